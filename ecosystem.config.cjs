@@ -14,6 +14,13 @@ module.exports = {
         NODE_ENV: 'production',
         CRON: 'true'
       }
+    },
+    {
+      name: 'tabs-api',
+      script: 'src/apiServer.js',
+      env: {
+        NODE_ENV: 'production'
+      }
     }
   ]
 };
\ No newline at end of file
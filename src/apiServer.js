@@ -0,0 +1,197 @@
+// src/apiServer.js
+// Read-only HTTP API over the cached analytics, for dashboards. Runs as its own process
+// (npm run api / pm2 "tabs-api"): it only reads Redis and queues jobs for the worker.
+//
+//   GET /v1/:chain/token/:ca/summary            refreshToken() payload        token:${chain}:${ca}:summary
+//   GET /v1/:chain/token/:ca/index              buildIndexSnapshot() payload  token:${chain}:${ca}:index:data
+//   GET /v1/:chain/token/:ca/bundles            buildBundlesSnapshot() payload token:${chain}:${ca}:bundles
+//   GET /v1/:chain/wallet/:addr/pnl?window=30d  refreshPnl() result           pnl:result:${id} (pnlCache.js)
+//
+// A hit answers 200 { data }. A miss queues the job on the worker's queue and answers
+// 202 { status: 'queued' } with Retry-After; poll again.
+//
+// Auth: "Authorization: Bearer <key>" or "X-API-Key: <key>" (API_KEYS). Requests per minute are
+// counted per key in Redis (api:rl:${name}:${minute}), so several API processes share the limit.
+//
+// Also serves the 📱 token dashboard Mini App (webApp.js), authenticated by Telegram initData instead:
+//   GET /app?chain=&ca=        the page (WEBAPP_URL points here)
+//   GET /app/data?chain=&ca=   dashboardData(), header X-Telegram-Init-Data; limited per Telegram user (app:rl:${userId}:${minute})
+import './configEnv.js';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { Queue } from 'bullmq';
+import { getJSON, redis } from './cache.js';
+import { resolveChain, listChainAliases } from './chains.js';
+import { pnlId } from './pnlLedger.js';
+import { WEBAPP_HTML, validateInitData, dashboardData } from './webApp.js';
+
+const API_PORT = Number(process.env.API_PORT || 8787);
+const API_HOST = process.env.API_HOST || '0.0.0.0';
+const API_RATE_LIMIT = Math.max(1, Number(process.env.API_RATE_LIMIT || 60)); // per key per minute
+const API_CORS_ORIGIN = process.env.API_CORS_ORIGIN || '';
+const WEBAPP_RATE_LIMIT = Math.max(1, Number(process.env.WEBAPP_RATE_LIMIT || 30)); // per Telegram user per minute
+const RETRY_AFTER_SEC = 10;
+
+// Same queue and job names as refreshWorker.js. Importing that module would start a Worker in
+// this process, so the API keeps its own producer handle.
+const queue = new Queue('multichain_refresh', { connection: redis });
+
+const PNL_WINDOWS = ['24h', '7d', '30d', '90d', 'all'];
+const ADDR_RE = /^0x[a-f0-9]{40}$/;
+
+// ----- API keys -----
+// API_KEYS="dashboard:<key>[:<requests per minute>],ops:<key>" — the name shows in logs and
+// rate-limit counters; keys are only kept as sha256 digests.
+const digest = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+function parseKeys(spec) {
+  const keys = new Map();
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, key, rpm] = part.split(':');
+    if (!name || !key) { console.warn('[API] ignoring malformed API_KEYS entry', name || '(empty)'); continue; }
+    keys.set(digest(key), { name, rpm: Math.max(1, Number(rpm) || API_RATE_LIMIT) });
+  }
+  return keys;
+}
+const KEYS = parseKeys(process.env.API_KEYS);
+if (!KEYS.size) console.error('[API] API_KEYS is empty — every request will get 401');
+
+function clientFor(req) {
+  const auth = String(req.headers.authorization || '');
+  const key = auth.startsWith('Bearer ') ? auth.slice(7).trim() : String(req.headers['x-api-key'] || '').trim();
+  return key ? KEYS.get(digest(key)) || null : null;
+}
+
+// Fixed one-minute window per key; prefix keeps API keys and Mini App users in separate buckets
+async function takeRate(client, prefix = 'api:rl') {
+  const minute = Math.floor(Date.now() / 60_000);
+  const key = `${prefix}:${client.name}:${minute}`;
+  // one MULTI so the counter can never be left without its TTL
+  const [[, n]] = await redis.multi().incr(key).expire(key, 120).exec();
+  return { ok: n <= client.rpm, limit: client.rpm, remaining: Math.max(0, client.rpm - n), reset: (minute + 1) * 60 };
+}
+
+// ----- Routes -----
+// Each resolves to { key, job: [name, data, jobId] }: the cache entry to serve and what to queue on a miss.
+// jobIds keep repeated misses from queueing the same work twice (index matches enqueueIndexJob()).
+const TOKEN_VIEWS = {
+  summary: (chain, ca) => ({ key: `token:${chain}:${ca}:summary`,    job: ['refresh', { tokenAddress: ca, chain }, `refresh-${chain}-${ca}`] }),
+  index:   (chain, ca) => ({ key: `token:${chain}:${ca}:index:data`, job: ['index',   { tokenAddress: ca, chain }, `index-${chain}-${ca}`] }),
+  bundles: (chain, ca) => ({ key: `token:${chain}:${ca}:bundles`,    job: ['bundles', { tokenAddress: ca, chain }, `bundles-${chain}-${ca}`] }),
+};
+
+// Thrown by route(); the status goes straight to the client
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const chainFor = (arg) => {
+  const a = String(arg || '').toLowerCase();
+  if (!listChainAliases().some(c => c.aliases.includes(a))) throw httpError(404, `Unknown chain "${arg}"`);
+  return resolveChain(a).key;
+};
+
+function route(url) {
+  const parts = url.pathname.split('/').filter(Boolean);
+  if (parts[0] !== 'v1' || parts.length !== 5) throw httpError(404, 'Not found');
+  const [, chainArg, kind, addrRaw, view] = parts;
+  const addr = addrRaw.toLowerCase();
+
+  if (kind === 'token' && TOKEN_VIEWS[view]) {
+    const chain = chainFor(chainArg);
+    if (!ADDR_RE.test(addr)) throw httpError(400, 'Bad contract address');
+    return TOKEN_VIEWS[view](chain, addr);
+  }
+  if (kind === 'wallet' && view === 'pnl') {
+    const chain = chainFor(chainArg);
+    if (!ADDR_RE.test(addr)) throw httpError(400, 'Bad wallet address');
+    const window = url.searchParams.get('window') || '30d';
+    if (!PNL_WINDOWS.includes(window)) throw httpError(400, `window must be one of ${PNL_WINDOWS.join(', ')}`);
+    const id = pnlId([addr], window, chain);
+    return { key: `pnl:result:${id}`, job: ['pnl', { wallets: [addr], window, chain }, `pnl-${id}`], strip: ['ledger'] };
+  }
+  throw httpError(404, 'Not found');
+}
+
+// ----- Mini App -----
+async function handleApp(req, res, url) {
+  if (url.pathname === '/app' || url.pathname === '/app/') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+    return res.end(WEBAPP_HTML);
+  }
+  if (url.pathname !== '/app/data') throw httpError(404, 'Not found');
+
+  const user = validateInitData(String(req.headers['x-telegram-init-data'] || ''));
+  if (!user) return send(res, 401, { error: 'Invalid Telegram init data' });
+
+  const chain = chainFor(url.searchParams.get('chain'));
+  const ca = String(url.searchParams.get('ca') || '').toLowerCase();
+  if (!ADDR_RE.test(ca)) throw httpError(400, 'Bad contract address');
+
+  const rate = await takeRate({ name: String(user.id), rpm: WEBAPP_RATE_LIMIT }, 'app:rl');
+  if (!rate.ok) return send(res, 429, { error: 'Rate limit exceeded' }, { 'Retry-After': Math.max(1, rate.reset - Math.floor(Date.now() / 1000)) });
+
+  const data = await dashboardData(chain, ca);
+  if (data) return send(res, 200, { data });
+
+  const [name, jobData, jobId] = TOKEN_VIEWS.summary(chain, ca).job;
+  await queue.add(name, jobData, { jobId, removeOnComplete: true, removeOnFail: true });
+  return send(res, 202, { status: 'queued', retryAfter: RETRY_AFTER_SEC }, { 'Retry-After': RETRY_AFTER_SEC });
+}
+
+// ----- Server -----
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...(API_CORS_ORIGIN ? { 'Access-Control-Allow-Origin': API_CORS_ORIGIN, 'Vary': 'Origin' } : {}),
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS' && API_CORS_ORIGIN) {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': API_CORS_ORIGIN,
+      'Access-Control-Allow-Methods': 'GET',
+      'Access-Control-Allow-Headers': 'Authorization, X-API-Key',
+    });
+    return res.end();
+  }
+  if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' }, { Allow: 'GET' });
+
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/health') return send(res, 200, { ok: true });
+  if (url.pathname === '/app' || url.pathname.startsWith('/app/')) return handleApp(req, res, url);
+
+  const client = clientFor(req);
+  if (!client) return send(res, 401, { error: 'Missing or unknown API key' });
+
+  const rate = await takeRate(client);
+  const rateHeaders = { 'X-RateLimit-Limit': rate.limit, 'X-RateLimit-Remaining': rate.remaining, 'X-RateLimit-Reset': rate.reset };
+  if (!rate.ok) {
+    return send(res, 429, { error: 'Rate limit exceeded' }, { ...rateHeaders, 'Retry-After': Math.max(1, rate.reset - Math.floor(Date.now() / 1000)) });
+  }
+
+  const { key, job, strip = [] } = route(url);
+  const cached = await getJSON(key);
+  if (cached) {
+    for (const f of strip) delete cached[f];
+    return send(res, 200, { data: cached }, rateHeaders);
+  }
+
+  const [name, data, jobId] = job;
+  await queue.add(name, data, { jobId, removeOnComplete: true, removeOnFail: true });
+  return send(res, 202, { status: 'queued', retryAfter: RETRY_AFTER_SEC }, { ...rateHeaders, 'Retry-After': RETRY_AFTER_SEC });
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch((e) => {
+    if (e.status) return send(res, e.status, { error: e.message });
+    console.error('[API] error:', req.method, req.url, e?.message || e);
+    return send(res, 500, { error: 'Internal error' });
+  });
+});
+
+server.listen(API_PORT, API_HOST, () => {
+  console.log(`[API] listening on ${API_HOST}:${API_PORT} (${KEYS.size} keys, ${API_RATE_LIMIT}/min default)`);
+});
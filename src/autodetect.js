@@ -0,0 +1,55 @@
+// src/autodetect.js
+// Auto-detect mode: find EVM addresses in chat messages and tell tokens from wallets.
+//
+// Cache keys:
+//   addr:kind:${chainKey}:${addr}         -> { kind:'token'|'wallet'|'contract' }   (7d)
+//   autodetect:cd:${chatId}:${addr}       -> 1   (per-address cooldown in a chat)
+import { redis, getJSON, setJSON } from './cache.js';
+import { resolveChain } from './chains.js';
+import { getScanClient } from './scanClient.js';
+
+export const AUTODETECT_COOLDOWN_SEC = Math.max(10, Number(process.env.AUTODETECT_COOLDOWN_SEC || 300));
+// Addresses answered per message; more than this is usually a paste of a list
+export const AUTODETECT_MAX_PER_MSG = Math.max(1, Number(process.env.AUTODETECT_MAX_PER_MSG || 2));
+
+const ADDR_RE = /\b0x[a-fA-F0-9]{40}\b/g;
+
+/** Distinct lowercase addresses in a text, in order of appearance. */
+export function extractAddresses(text) {
+  return [...new Set((String(text || '').match(ADDR_RE) || []).map(a => a.toLowerCase()))];
+}
+
+/** true the first time an address shows up in a chat within the cooldown window. */
+export async function takeCooldown(chatId, addr) {
+  const ok = await redis.set(`autodetect:cd:${chatId}:${addr}`, '1', 'EX', AUTODETECT_COOLDOWN_SEC, 'NX');
+  return ok === 'OK';
+}
+
+/**
+ * 'token' | 'wallet' | 'contract' (non-token contract: routers, pairs, …) | null on lookup failure.
+ * EOA → wallet; contract with a total supply → token.
+ */
+export async function classifyAddress(addr, chainKey = 'tabs') {
+  const chain = resolveChain(chainKey);
+  const cacheKey = `addr:kind:${chain.key}:${addr}`;
+  const cached = await getJSON(cacheKey);
+  if (cached?.kind) return cached.kind;
+
+  const es = getScanClient(chain.etherscanChainId);
+  let kind = null;
+  try {
+    const code = await es.esGET({ module: 'proxy', action: 'eth_getCode', address: addr, tag: 'latest' });
+    if (code === '0x') kind = 'wallet';
+    else {
+      let supply = '0';
+      try { supply = String(await es.esGET({ module: 'stats', action: 'tokensupply', contractaddress: addr })); } catch {}
+      kind = /^\d+$/.test(supply) && supply !== '0' ? 'token' : 'contract';
+    }
+  } catch (e) {
+    console.warn('[AUTODETECT] classify failed', chain.key, addr, e?.message || e);
+    return null;
+  }
+
+  await setJSON(cacheKey, { kind }, 7 * 24 * 3600);
+  return kind;
+}
@@ -0,0 +1,41 @@
+// src/balances.js
+// Full per-holder balances, written by refreshToken after each log crawl so other
+// views (funding map, clusters, …) can check current holdings without re-crawling.
+//
+// Cache key (multichain):
+//   token:${chainKey}:${ca}:balances -> { tokenAddress, chain, updatedAt, totalSupply, decimals, balances:{addr:raw} }
+import { getJSON, setJSON } from './cache.js';
+import { resolveChain } from './chains.js';
+
+const BALANCES_TTL = Math.max(60, Number(process.env.BALANCES_TTL || 6 * 3600));
+
+/** Persist a Map<address, bigint> of balances (raw units). */
+export async function saveBalances(tokenAddress, chainKey, balances, { totalSupply = '0', decimals = 18 } = {}) {
+  const chain = resolveChain(chainKey);
+  const ca = String(tokenAddress || '').toLowerCase();
+  const out = {};
+  for (const [addr, bal] of balances.entries()) {
+    if (bal > 0n) out[String(addr).toLowerCase()] = bal.toString();
+  }
+  return setJSON(`token:${chain.key}:${ca}:balances`, {
+    tokenAddress: ca,
+    chain: chain.key,
+    updatedAt: Date.now(),
+    totalSupply: String(totalSupply || '0'),
+    decimals: Number(decimals ?? 18),
+    balances: out,
+  }, BALANCES_TTL);
+}
+
+/** Load balances back as { ...meta, balances: Map<address, bigint> } or null if not cached. */
+export async function loadBalances(tokenAddress, chainKey) {
+  const chain = resolveChain(chainKey);
+  const ca = String(tokenAddress || '').toLowerCase();
+  const raw = await getJSON(`token:${chain.key}:${ca}:balances`);
+  if (!raw) return null;
+  const balances = new Map();
+  for (const [addr, v] of Object.entries(raw.balances || {})) {
+    try { balances.set(addr, BigInt(v)); } catch {}
+  }
+  return { ...raw, balances };
+}
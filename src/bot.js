@@ -2,20 +2,69 @@
 import './configEnv.js';
 import { Telegraf } from 'telegraf';
 import { getJSON, setJSON } from './cache.js';
-import { queue, refreshToken } from './queueCore.js';
-import { renderOverview, renderBuyers, renderHolders, renderAbout } from './renderers.js';
-import { isAddress } from './util.js';
+import { queue, refreshToken, enqueueClustersJob, clustersJobId, enqueueIndexJob } from './queueCore.js';
+import { renderOverview, renderCompactOverview, renderBuyers, renderHolders, renderHolderChanges, renderAbout, renderTokenPicker } from './renderers.js';
+import { searchDexscreenerTokens } from './services/dexscreener.js';
+import { isAddress, sleep, parseAmount } from './util.js';
 
 // PNL imports (queue optional; see notes below)
-import { refreshPnl } from './pnlWorker.js'; // ⬅ only refreshPnl to avoid export mismatch
-import { renderPNL } from './renderers_pnl.js';
+import { computePnl, cachedPnl } from './pnlCache.js'; // refreshPnl() + ledgers, cached for the PnL buttons
+import { renderPNL, renderPnlEntry, renderPnlToken } from './renderers_pnl.js';
+import { renderChart, CHART_KINDS } from './renderers_charts.js';
+import { getHistory, historyChange, HISTORY_WINDOWS } from './history.js';
+import { renderHistory } from './renderers_history.js';
+import { recordLookup, topTrending, TRENDING_WINDOWS } from './trending.js';
+import { renderTrending } from './renderers_trending.js';
+import { parseStartPayload } from './deepLinks.js';
+import { loadLedger } from './pnlLedger.js';
 
 // INDEX — multichain-aware wrappers
 import { ensureIndexSnapshot, buildIndexSnapshot } from './indexWorker.js';
 import { renderIndexView } from './renderers_index.js';
+import { getIndexSnapshot } from './indexer.js';
+
+// COMPARE — 2–4 tokens side by side from cache
+import { renderCompare } from './renderers_compare.js';
+
+// BUNDLES / FUNDING — early same-block buyer groups + who funded early recipients
+import { buildBundlesSnapshot, buildFundingMap, fundingHoldStats } from './bundles.js';
+import { renderBundlesView } from './renderers_bundles.js';
+import { renderFundingView } from './renderers_funding.js';
+import { loadBalances } from './balances.js';
+
+// CLUSTERS — funder (sybil) analysis, runs as a BullMQ job
+import { renderClustersView, renderClustersProgress } from './renderers_clusters.js';
+
+// WATCHLISTS — per-chat tokens with threshold alerts (evaluated by the worker)
+import { addWatch, removeWatch, listWatches, WATCH_MAX_PER_CHAT } from './watchlist.js';
+import { renderWatchlist, renderWatchAdded, renderPriceAlerts, renderPriceAlertAdded } from './renderers_alerts.js';
+import { addPriceAlert, removePriceAlert, listPriceAlerts, metricValue, isTriggered, ALERT_MAX_PER_USER } from './priceAlerts.js';
+
+// PORTFOLIO PNL — several wallets as one, saved as named groups per user
+import { saveGroup, deleteGroup, getGroup, listGroups, rememberPortfolio, loadPortfolio, GROUP_NAME_RE, PORTFOLIO_MAX_WALLETS, PORTFOLIO_MAX_GROUPS } from './walletGroups.js';
+
+// WALLET TRACKING — /track, polled by the worker
+import { addTrack, removeTrack, listTracks, TRACK_MAX_PER_USER } from './walletTracker.js';
+import { renderTrackList } from './renderers_alerts.js';
+
+// SETTINGS — per-chat defaults (chain, timezone, number format, PnL window, cooldowns)
+import { getChatSettings, updateChatSettings, canChangeSettings, chatOpts, nextChoice, isValidTimezone, SETTING_CHOICES } from './chatSettings.js';
+import { renderSettings } from './renderers_settings.js';
+
+// AUTO-DETECT — per-chat opt-in replies to pasted addresses
+import { extractAddresses, takeCooldown, classifyAddress, AUTODETECT_MAX_PER_MSG } from './autodetect.js';
 
 // MULTICHAIN
-import { CHAINS } from './chains.js';
+import { CHAINS, resolveChain, listChainAliases } from './chains.js';
+import { cb, parseCb, cbRoute } from './callbacks.js';
+
+// I18N — per-chat language (falls back to the user's Telegram language), see i18n.js
+import { translator } from './i18n.js';
+
+// EXPORTS — ⬇️ CSV / JSON documents of holders, buyers and PnL
+import { EXPORT_KINDS, holdersExport, buyersExport, pnlExport } from './exports.js';
+import { loadLedgers } from './pnlLedger.js';
+import { esc, fmt0 } from './ui_html.js';
 
 // --- Bot with longer handler timeout + global error catcher ---
 const bot = new Telegraf(process.env.BOT_TOKEN, { handlerTimeout: 60_000 });
@@ -47,13 +96,27 @@ const editHTML = async (ctx, text, extra = {}) => {
   } catch (err) {
     const desc = err?.response?.description || '';
     if (desc.includes('message is not modified')) {
-      try { await ctx.answerCbQuery('Already up to date'); } catch {}
+      try { await ackT(ctx, 'ack.upToDate'); } catch {}
       return;
     }
     throw err;
   }
 };
 
+// Renderer opts for the chat an update belongs to (inline messages have no chat: use the sender's)
+// botUsername lets renderers build t.me deep links (🔗 Share); locale follows the chat, then the sender.
+// privateChat: web_app buttons (📱 Open dashboard) only work in DMs
+const optsFor = async (ctx) => ({
+  ...(await chatOpts(ctx.chat?.id ?? ctx.from?.id, ctx.from?.language_code)),
+  botUsername: ctx.botInfo?.username,
+  privateChat: ctx.chat?.type === 'private',
+});
+
+// Plain replies / callback answers from the catalog, in the same language as the views
+const tFor = async (ctx) => translator((await optsFor(ctx)).locale);
+const replyT = async (ctx, key, vars, extra) => ctx.reply((await tFor(ctx))(key, vars), extra);
+const ackT = async (ctx, key, vars, extra) => ctx.answerCbQuery((await tFor(ctx))(key, vars), extra);
+
 // ===== Multichain-aware helpers =====
 
 // Try all chains for a given token cache key and return {chainKey, data} or null
@@ -61,11 +124,45 @@ async function findSummaryAnyChain(ca) {
   for (const c of Object.values(CHAINS)) {
     const key = `token:${c.key}:${ca}:summary`;
     const data = await getJSON(key);
-    if (data) return { chainKey: c.key, data };
+    if (data) return { chainKey: c.key, data: { chain: c.key, ...data } };
   }
   // Legacy (pre-multichain) fallback:
   const legacy = await getJSON(`token:${ca}:summary`);
-  if (legacy) return { chainKey: 'tabs', data: legacy };
+  if (legacy) return { chainKey: 'tabs', data: { chain: 'tabs', ...legacy } };
+  return null;
+}
+
+// Summary on the chain a button carries; buttons without one (sent before chains were encoded)
+// fall back to whichever chain has it cached. data is null when nothing is cached on that chain.
+async function summaryFor(ca, chainKey) {
+  if (!chainKey) return findSummaryAnyChain(ca);
+  const data = await getJSON(`token:${chainKey}:${ca}:summary`);
+  return { chainKey, data: data ? { chain: chainKey, ...data } : null };
+}
+
+// Count a token lookup for /trending (fire-and-forget; never fails the reply)
+function noteLookup(ctx, chainKey, ca) {
+  recordLookup(chainKey, ca, ctx.from?.id).catch(e => console.warn('[TRENDING] record failed:', e?.message || e));
+}
+
+// Ticker / name → contract on one chain (Dexscreener search, cached 5 min).
+// One match returns its address; otherwise replies with the picker (or usage) and returns null.
+const TOKEN_QUERY_RE = /^[\p{L}\p{N} $._-]{1,32}$/u;
+async function resolveTokenQuery(ctx, query, chainKey, opts, usage) {
+  const q = String(query || '').trim().replace(/^\$+/, '').trim(); // '$PEPE' searches as 'PEPE'
+  if (!TOKEN_QUERY_RE.test(q)) { await replyT(ctx, 'bot.send', { usage }); return null; }
+
+  const chain = resolveChain(chainKey);
+  const key = `search:${chain.key}:${q.toLowerCase()}`;
+  let matches = await getJSON(key);
+  if (!matches) {
+    matches = await searchDexscreenerTokens(q, chain.key);
+    if (matches.length) await setJSON(key, matches, 300);
+  }
+  if (matches.length === 1) return matches[0].address;
+
+  const { text, extra } = renderTokenPicker(matches, { query: q, chain }, opts);
+  await sendHTML(ctx, text, extra);
   return null;
 }
 
@@ -93,8 +190,19 @@ async function ensureData(ca, preferredChainKey = 'tabs') {
   }
 }
 
+// Per-token cooldown gate on token:${chain}:${ca}[:${kind}]:last_refresh. Returns { ok, age } where
+// age is seconds since the last pass (null if none); ok=true also stamps this pass.
+async function checkCooldown(chainKey, ca, kind, sec) {
+  const gateKey = `token:${chainKey}:${ca}${kind ? `:${kind}` : ''}:last_refresh`;
+  const last = await getJSON(gateKey);
+  const age = last ? (Date.now() - last.ts) / 1000 : Infinity;
+  if (Number.isFinite(age) && age < sec) return { ok: false, age };
+  await setJSON(gateKey, { ts: Date.now() }, Math.max(600, sec));
+  return { ok: true, age: Number.isFinite(age) ? age : null };
+}
+
 // Always return { ok:boolean, age?:number, error?:string }
-async function requestRefresh(ca, hintChainKey = null) {
+async function requestRefresh(ca, hintChainKey = null, cooldownSec = 30) {
   try {
     // detect chain of cached summary first
     let chainKey = hintChainKey;
@@ -104,127 +212,620 @@ async function requestRefresh(ca, hintChainKey = null) {
     }
     if (!chainKey) chainKey = 'tabs'; // default
 
-    const last = await getJSON(`token:${chainKey}:${ca}:last_refresh`);
-    const age = last ? (Date.now() - last.ts) / 1000 : Infinity;
-
-    if (Number.isFinite(age) && age < 30) {
-      return { ok: false, age };
-    }
+    const gate = await checkCooldown(chainKey, ca, null, cooldownSec);
+    if (!gate.ok) return gate;
 
-    await setJSON(`token:${chainKey}:${ca}:last_refresh`, { ts: Date.now() }, 600);
     await queue.add('refresh', { tokenAddress: ca, chain: chainKey }, { removeOnComplete: true, removeOnFail: true });
-
-    return { ok: true, age: Number.isFinite(age) ? age : null };
+    return gate;
   } catch (e) {
     return { ok: false, error: e?.message || 'enqueue failed' };
   }
 }
 
+// Funding map + holding counts (balances come from the last refreshToken crawl)
+async function buildFundingView(ca, chainKey, summary, { force = false, opts = {} } = {}) {
+  const funding = await buildFundingMap(ca, chainKey, { force });
+  const bal = await loadBalances(ca, chainKey);
+  if (!bal) await requestRefresh(ca, chainKey); // fills balances for the next look
+  return renderFundingView(summary, funding, bal ? fundingHoldStats(funding, bal.balances) : null, opts);
+}
+
+// Follow a clusters job in the background and keep one message updated until it finishes.
+// Not awaited by handlers: the job can outlive Telegram's handler timeout.
+async function followClustersJob(chatId, messageId, ca, chainKey, summary, opts = {}) {
+  const edit = async ({ text, extra }) => {
+    try {
+      await bot.telegram.editMessageText(chatId, messageId, undefined, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...extra });
+    } catch (err) {
+      const desc = err?.response?.description || '';
+      if (!desc.includes('message is not modified')) console.warn('[CLUSTERS] edit failed:', desc || err?.message || err);
+    }
+  };
+
+  const started = Date.now();
+  let lastText = '';
+  while (Date.now() - started < 20 * 60_000) {
+    await sleep(3000);
+    const job = await queue.getJob(clustersJobId(ca, chainKey));
+    const state = job ? await job.getState() : null;
+
+    if (state === 'failed') return edit(renderClustersProgress(summary, ca, null, state, chainKey, opts));
+    if (!job || state === 'completed') {
+      const result = job?.returnvalue || await getJSON(`token:${chainKey}:${ca}:clusters`);
+      if (result) return edit(renderClustersView(summary, result, opts));
+      return edit({ text: translator(opts.locale)('bot.clustersNoResult'), extra: {} });
+    }
+
+    const view = renderClustersProgress(summary, ca, job.progress, state, chainKey, opts);
+    if (view.text !== lastText) {
+      lastText = view.text;
+      await edit(view);
+    }
+  }
+}
+
+// Cached result, or enqueue the job and follow it in the given message.
+async function startClusters(ca, chainKey, summary, { force = false, opts = {} } = {}) {
+  if (!force) {
+    const cached = await getJSON(`token:${chainKey}:${ca}:clusters`);
+    if (cached) return { view: renderClustersView(summary, cached, opts) };
+  } else {
+    // a finished job is kept for a few minutes under the same id; drop it so a new one can start
+    const old = await queue.getJob(clustersJobId(ca, chainKey));
+    if (old && await old.isCompleted()) await old.remove();
+  }
+
+  await enqueueClustersJob(ca, chainKey);
+  const view = renderClustersProgress(summary, ca, null, 'waiting', chainKey, opts);
+  return { view, follow: (chatId, msgId) => followClustersJob(chatId, msgId, ca, chainKey, summary, opts).catch(e => console.warn('[CLUSTERS] follow failed:', e?.message || e)) };
+}
+
+// opts = optsFor(ctx) of the chat the list is shown in
+async function watchlistView(chatId, opts) {
+  const items = await listWatches(chatId);
+  const summaries = {};
+  for (const it of items) summaries[`${it.chain}:${it.ca}`] = await getJSON(`token:${it.chain}:${it.ca}:summary`);
+  return renderWatchlist(items, summaries, { ...opts, max: WATCH_MAX_PER_CHAT });
+}
+
+const isChainArg = (s) => listChainAliases().some(c => c.aliases.includes(String(s || '').toLowerCase()));
+
+async function priceAlertsView(userId, opts) {
+  const items = await listPriceAlerts(userId);
+  const summaries = {};
+  for (const a of items) summaries[`${a.chain}:${a.ca}`] = await getJSON(`token:${a.chain}:${a.ca}:summary`);
+  return renderPriceAlerts(items, summaries, { ...opts, max: ALERT_MAX_PER_USER });
+}
+
 // ----- Commands -----
-bot.start((ctx) =>
-  ctx.reply(
-    [
-      'the tABS Laboratory on Telegram is ready. If you see this message the bot is live!',
-      'Use /tabs <contract>  •  /pnl <wallet>',
-    ].join('\n')
-  )
-);
-
-// ===== Default commands (backward compatible) — default to 'tabs' =====
-
-// /stats <ca>
-bot.command('stats', async (ctx) => {
-  const [, caRaw] = (ctx.message?.text || '').trim().split(/\s+/);
-  if (!isAddress(caRaw)) return ctx.reply('Send: /stats <contractAddress>');
+// /start with a deep-link payload (see deepLinks.js) opens that view; plain /start greets
+bot.start(async (ctx) => {
+  const link = parseStartPayload(ctx.payload ?? ctx.startPayload);
 
-  const ca = caRaw.toLowerCase();
-  const data = await ensureData(ca, 'tabs');
-  if (!data) return ctx.reply('Initializing… try again in a few seconds.');
+  if (link?.kind === 'token') {
+    const opts = await optsFor(ctx);
+    let { data } = await summaryFor(link.ca, link.chain);
+    if (!data) {
+      try { await refreshToken(link.ca, link.chain); } catch {}
+      ({ data } = await summaryFor(link.ca, link.chain));
+    }
+    if (!data) {
+      requestRefresh(link.ca, link.chain, opts.settings.refreshCooldown).catch(() => {});
+      return replyT(ctx, 'bot.initializingLink');
+    }
+    noteLookup(ctx, link.chain, link.ca);
+    const { text, extra } = renderOverview(data, opts);
+    return sendHTML(ctx, text, extra);
+  }
+
+  if (link?.kind === 'wallet') {
+    try {
+      const opts = await optsFor(ctx);
+      const { pnlWindow } = opts.settings;
+      // shared links get opened by many people: serve a recent computation when there is one
+      const { data, ledger } = await cachedPnl(link.wallet, pnlWindow, link.chain || opts.settings.chain);
+      const { text, extra } = renderPNL(data, pnlWindow, 'overview', { ...opts, ledger });
+      return ctx.replyWithHTML(text, extra);
+    } catch (e) {
+      console.error('[PNL /start] error:', e?.message || e);
+      return replyT(ctx, 'bot.failed', { what: 'PNL' });
+    }
+  }
+
+  return replyT(ctx, 'bot.greeting');
+});
+
+// ===== Default commands — chain defaults to the chat's /settings chain ('tabs' out of the box) =====
+
+// /stats <ca | ticker | name>
+bot.command('stats', async (ctx) => {
+  const [, ...args] = (ctx.message?.text || '').trim().split(/\s+/);
+  const opts = await optsFor(ctx);
+  const ca = isAddress(args[0])
+    ? args[0].toLowerCase()
+    : await resolveTokenQuery(ctx, args.join(' '), opts.settings.chain, opts, '/stats <contractAddress | ticker>');
+  if (!ca) return;
+  const data = await ensureData(ca, opts.settings.chain);
+  if (!data) return replyT(ctx, 'bot.initializing');
+  noteLookup(ctx, data.chain, ca);
 
-  const { text, extra } = renderOverview(data);
+  const { text, extra } = renderOverview(data, opts);
   return sendHTML(ctx, text, extra);
 });
 
 // /refresh <ca>
 bot.command('refresh', async (ctx) => {
   const [, caRaw] = (ctx.message?.text || '').trim().split(/\s+/);
-  if (!isAddress(caRaw)) return ctx.reply('Send: /refresh <contractAddress>');
+  if (!isAddress(caRaw)) return replyT(ctx, 'bot.send', { usage: '/refresh <contractAddress>' });
 
   const ca = caRaw.toLowerCase();
-  // Try to infer chain first; fallback to tabs
+  // Try to infer chain first; fallback to the chat's default chain
+  const { settings } = await optsFor(ctx);
   const inferred = await findSummaryAnyChain(ca);
-  const hintChainKey = inferred?.chainKey || 'tabs';
+  const hintChainKey = inferred?.chainKey || settings.chain;
 
-  const res = await requestRefresh(ca, hintChainKey);
+  const res = await requestRefresh(ca, hintChainKey, settings.refreshCooldown);
 
   if (!res.ok) {
     if (typeof res.age === 'number') {
-      return ctx.reply(`Recently refreshed (${res.age.toFixed(0)}s ago). Try again shortly.`);
+      return replyT(ctx, 'bot.recentlyRefreshed', { age: res.age.toFixed(0) });
+    }
+    return replyT(ctx, 'bot.refreshFailed', { error: res.error ? `: ${res.error}` : '' });
+  }
+  return replyT(ctx, 'bot.refreshingCa', { ca });
+});
+
+// /bundles <ca> [chain]
+bot.command('bundles', async (ctx) => {
+  const [, caRaw, chainArg] = (ctx.message?.text || '').trim().split(/\s+/);
+  if (!isAddress(caRaw)) return replyT(ctx, 'bot.send', { usage: '/bundles <contractAddress> [chain]' });
+
+  const ca = caRaw.toLowerCase();
+  const opts = await optsFor(ctx);
+  const hit = await findSummaryAnyChain(ca);
+  const chainKey = chainArg ? resolveChain(chainArg).key : (hit?.chainKey || opts.settings.chain);
+  const summary = (hit?.chainKey === chainKey) ? hit.data : await getJSON(`token:${chainKey}:${ca}:summary`);
+
+  try {
+    const bundles = await buildBundlesSnapshot(ca, chainKey);
+    const { text, extra } = renderBundlesView(summary, bundles, opts);
+    return sendHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[BUNDLES /bundles] error:', e?.message || e);
+    return replyT(ctx, 'bot.failed', { what: 'Bundles' });
+  }
+});
+
+// /history <ca> [24h|7d|30d] [chain] — change over each window from the stored time series
+async function historyView(ca, chainKey, window, opts) {
+  const changes = {};
+  for (const w of (window ? [window] : Object.keys(HISTORY_WINDOWS))) {
+    changes[w] = historyChange(await getHistory(chainKey, ca, w), w);
+  }
+  const summary = (await summaryFor(ca, chainKey))?.data || null;
+  return renderHistory({ ca, chainKey, summary, changes, window }, opts);
+}
+
+bot.command('history', async (ctx) => {
+  const [, caRaw, ...rest] = (ctx.message?.text || '').trim().split(/\s+/);
+  if (!isAddress(caRaw)) return replyT(ctx, 'bot.send', { usage: '/history <contractAddress> [24h|7d|30d] [chain]' });
+
+  const ca = caRaw.toLowerCase();
+  const window = rest.find(a => HISTORY_WINDOWS[a.toLowerCase()])?.toLowerCase() || null;
+  const chainArg = rest.find(a => !HISTORY_WINDOWS[a.toLowerCase()]);
+  const opts = await optsFor(ctx);
+  const chainKey = chainArg ? resolveChain(chainArg).key : ((await findSummaryAnyChain(ca))?.chainKey || opts.settings.chain);
+
+  try {
+    const { text, extra } = await historyView(ca, chainKey, window, opts);
+    return sendHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[HISTORY /history] error:', e?.message || e);
+    return replyT(ctx, 'bot.failed', { what: 'History' });
+  }
+});
+
+// /trending [chain] [1h|24h|7d] — most looked-up tokens, deduped per user
+async function trendingView(chainKey, window, opts) {
+  const items = await topTrending(chainKey, window, 10);
+  for (const it of items) {
+    it.summary = await getJSON(`token:${chainKey}:${it.ca}:summary`);
+    it.change24 = it.summary?.market?.priceChange?.h24 ?? null;
+    if (typeof it.change24 !== 'number') {
+      const ch = historyChange(await getHistory(chainKey, it.ca, '24h'), '24h');
+      it.change24 = ch?.from?.p && ch?.to?.p ? ((ch.to.p - ch.from.p) / ch.from.p) * 100 : null;
     }
-    return ctx.reply(`Couldn't queue refresh. ${res.error ? 'Error: ' + res.error : ''}`);
   }
-  return ctx.reply(`Refreshing ${ca}…`);
+  return renderTrending(items, { chain: resolveChain(chainKey), window }, opts);
+}
+
+bot.command('trending', async (ctx) => {
+  const args = (ctx.message?.text || '').trim().split(/\s+/).slice(1).map(a => a.toLowerCase());
+  const window = args.find(a => TRENDING_WINDOWS[a]) || '24h';
+  const chainArg = args.find(a => !TRENDING_WINDOWS[a]);
+  const opts = await optsFor(ctx);
+  try {
+    const { text, extra } = await trendingView(chainArg ? resolveChain(chainArg).key : opts.settings.chain, window, opts);
+    return sendHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[TRENDING /trending] error:', e?.message || e);
+    return replyT(ctx, 'bot.failed', { what: 'Trending' });
+  }
+});
+
+// /funding <ca> [chain]
+bot.command('funding', async (ctx) => {
+  const [, caRaw, chainArg] = (ctx.message?.text || '').trim().split(/\s+/);
+  if (!isAddress(caRaw)) return replyT(ctx, 'bot.send', { usage: '/funding <contractAddress> [chain]' });
+
+  const ca = caRaw.toLowerCase();
+  const opts = await optsFor(ctx);
+  const hit = await findSummaryAnyChain(ca);
+  const chainKey = chainArg ? resolveChain(chainArg).key : (hit?.chainKey || opts.settings.chain);
+  const summary = (hit?.chainKey === chainKey) ? hit.data : await getJSON(`token:${chainKey}:${ca}:summary`);
+
+  try {
+    const { text, extra } = await buildFundingView(ca, chainKey, summary, { opts });
+    return sendHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[FUNDING /funding] error:', e?.message || e);
+    return replyT(ctx, 'bot.failed', { what: 'Funding' });
+  }
+});
+
+// /clusters <ca> [chain]
+bot.command('clusters', async (ctx) => {
+  const [, caRaw, chainArg] = (ctx.message?.text || '').trim().split(/\s+/);
+  if (!isAddress(caRaw)) return replyT(ctx, 'bot.send', { usage: '/clusters <contractAddress> [chain]' });
+
+  const ca = caRaw.toLowerCase();
+  const opts = await optsFor(ctx);
+  const hit = await findSummaryAnyChain(ca);
+  const chainKey = chainArg ? resolveChain(chainArg).key : (hit?.chainKey || opts.settings.chain);
+  const summary = (hit?.chainKey === chainKey) ? hit.data : await getJSON(`token:${chainKey}:${ca}:summary`);
+
+  try {
+    const { view, follow } = await startClusters(ca, chainKey, summary, { opts });
+    const msg = await sendHTML(ctx, view.text, view.extra);
+    if (follow) follow(msg.chat.id, msg.message_id);
+  } catch (e) {
+    console.error('[CLUSTERS /clusters] error:', e?.message || e);
+    return replyT(ctx, 'bot.failed', { what: 'Clusters' });
+  }
+});
+
+// /compare <ca> <ca> [ca] [ca] — any of them may carry a chain prefix: base:0x…
+bot.command('compare', async (ctx) => {
+  const t = await tFor(ctx);
+  const usage = t('bot.compareUsage');
+  const args = (ctx.message?.text || '').trim().split(/\s+/).slice(1);
+
+  const wanted = [];
+  for (const arg of args) {
+    const [chainArg, caRaw] = arg.includes(':') ? arg.split(':') : [null, arg];
+    if (!isAddress(caRaw) || (chainArg && !isChainArg(chainArg))) return ctx.reply(t('bot.badToken', { arg, usage }));
+    const ca = caRaw.toLowerCase();
+    const chainKey = chainArg ? resolveChain(chainArg).key : null;
+    if (!wanted.some(w => w.ca === ca && w.chainKey === chainKey)) wanted.push({ ca, chainKey });
+  }
+  if (wanted.length < 2 || wanted.length > 4) return ctx.reply(usage);
+
+  try {
+    const opts = await optsFor(ctx);
+    const items = [];
+    for (const { ca, chainKey } of wanted) {
+      const hit = await summaryFor(ca, chainKey);
+      const chain = resolveChain(hit?.chainKey || opts.settings.chain);
+      const summary = hit?.data || null;
+      const index = await getIndexSnapshot(ca, chain.key);
+
+      // Only queue here: a refresh or an index crawl can take minutes. The index wants the
+      // summary's LP address, so it is queued on a later /compare once the summary exists.
+      const pending = [];
+      if (!summary) {
+        await requestRefresh(ca, chain.key, opts.settings.refreshCooldown);
+        pending.push('refresh');
+      } else if (!index) {
+        await enqueueIndexJob(ca, chain.key);
+        pending.push('index');
+      }
+      items.push({ chain, ca, summary, index, pending });
+    }
+
+    const { text, extra } = renderCompare(items, opts);
+    return sendHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[COMPARE /compare] error:', e?.message || e);
+    return ctx.reply(t('bot.failed', { what: 'Compare' }));
+  }
+});
+
+// /watch <ca> [chain] [chg=20] [vol=50k] [mcap=1m] [dev=0|1] [whale=0|1]
+bot.command('watch', async (ctx) => {
+  const t = await tFor(ctx);
+  const usage = t('bot.send', { usage: '/watch <contractAddress> [chain] [chg=20] [vol=50k] [mcap=1m] [dev=0|1] [whale=0|1]' });
+  const [, caRaw, ...rest] = (ctx.message?.text || '').trim().split(/\s+/);
+  if (!isAddress(caRaw)) return ctx.reply(usage);
+
+  const ca = caRaw.toLowerCase();
+  let chainArg = null;
+  const th = {};
+  for (const arg of rest) {
+    const [k, v] = arg.split('=');
+    if (v === undefined) { chainArg = k; continue; }
+    const key = k.toLowerCase();
+    const n = parseAmount(v.replace(/%$/, ''));
+    if (!['chg', 'vol', 'mcap', 'dev', 'whale'].includes(key) || !Number.isFinite(n)) return ctx.reply(t('bot.badThreshold', { arg, usage }));
+    th[key] = n;
+  }
+
+  try {
+    const opts = await optsFor(ctx);
+    const { settings } = opts;
+    if (!('chg' in th)) th.chg = settings.watchChg;
+    const hit = await findSummaryAnyChain(ca);
+    const chain = resolveChain(chainArg || hit?.chainKey || settings.chain);
+    const res = await addWatch(ctx.chat.id, ca, chain.key, th, ctx.from?.id);
+    if (!res.ok) return ctx.reply(t('bot.watchFull', { max: WATCH_MAX_PER_CHAT }));
+
+    await requestRefresh(ca, chain.key); // arms the alert state on the first refresh
+    const { text, extra } = renderWatchAdded(res.item, chain, { ...opts, updated: res.updated });
+    return sendHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[WATCH /watch] error:', e?.message || e);
+    return ctx.reply(t('bot.failed', { what: 'Watch' }));
+  }
+});
+
+// /unwatch <ca> [chain]
+bot.command('unwatch', async (ctx) => {
+  const [, caRaw, chainArg] = (ctx.message?.text || '').trim().split(/\s+/);
+  if (!isAddress(caRaw)) return replyT(ctx, 'bot.send', { usage: '/unwatch <contractAddress> [chain]' });
+  const n = await removeWatch(ctx.chat.id, caRaw.toLowerCase(), chainArg ? resolveChain(chainArg).key : null);
+  return n ? replyT(ctx, 'bot.unwatched', { ca: caRaw.toLowerCase() }) : replyT(ctx, 'bot.notWatched');
+});
+
+// /watchlist
+bot.command('watchlist', async (ctx) => {
+  const { text, extra } = await watchlistView(ctx.chat.id, await optsFor(ctx));
+  return sendHTML(ctx, text, extra);
+});
+
+// /alert <ca> above|below <value> [price|mcap] [chain]
+bot.command('alert', async (ctx) => {
+  const t = await tFor(ctx);
+  const [, caRaw, dirRaw, valueRaw, ...rest] = (ctx.message?.text || '').trim().split(/\s+/);
+  const dir = String(dirRaw || '').toLowerCase();
+  const value = parseAmount(valueRaw);
+  if (!isAddress(caRaw) || !['above', 'below'].includes(dir) || !(value > 0)) return ctx.reply(t('bot.alertUsage'));
+  if (!ctx.from?.id) return ctx.reply(t('bot.alertsPerUser'));
+
+  const ca = caRaw.toLowerCase();
+  let metric = 'price', chainArg = null;
+  for (const arg of rest) {
+    const a = arg.toLowerCase();
+    if (a === 'price' || a === 'mcap') metric = a; else chainArg = a;
+  }
+
+  try {
+    const opts = await optsFor(ctx);
+    const hit = await findSummaryAnyChain(ca);
+    const chain = resolveChain(chainArg || hit?.chainKey || opts.settings.chain);
+    const summary = hit?.chainKey === chain.key ? hit.data : await getJSON(`token:${chain.key}:${ca}:summary`);
+    const current = metricValue(summary, metric);
+
+    const draft = { ca, metric, dir, value };
+    if (isTriggered(draft, current)) {
+      const key = dir === 'above' ? 'bot.alreadyAbove' : 'bot.alreadyBelow';
+      return ctx.reply(t(key, { metric: t(metric === 'mcap' ? 'bot.metricMcap' : 'bot.metricPrice'), current }));
+    }
+
+    const res = await addPriceAlert(ctx.from.id, { ca, chainKey: chain.key, metric, dir, value, chatId: ctx.chat.id });
+    if (!res.ok) return ctx.reply(t('bot.alertsFull', { max: ALERT_MAX_PER_USER }));
+
+    if (!summary) await requestRefresh(ca, chain.key);
+    const { text, extra } = renderPriceAlertAdded(res.item, chain, current, opts);
+    return sendHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[ALERT /alert] error:', e?.message || e);
+    return ctx.reply(t('bot.failed', { what: 'Alert' }));
+  }
 });
 
-// ----- PNL command (default: 30d, overview) -----
+// /alerts — list / cancel your alerts
+bot.command('alerts', async (ctx) => {
+  if (!ctx.from?.id) return;
+  const { text, extra } = await priceAlertsView(ctx.from.id, await optsFor(ctx));
+  return sendHTML(ctx, text, extra);
+});
+
+// /track <wallet> [label] [chain]
+bot.command('track', async (ctx) => {
+  const [, walletRaw, ...rest] = (ctx.message?.text || '').trim().split(/\s+/);
+  if (!isAddress(walletRaw)) return replyT(ctx, 'bot.send', { usage: '/track <wallet> [label] [chain]' });
+
+  const wallet = walletRaw.toLowerCase();
+  const chainArg = rest.length && isChainArg(rest[rest.length - 1]) ? rest.pop() : null;
+  const label = rest.join(' ').replace(/[<>]/g, '').slice(0, 24);
+  const chain = resolveChain(chainArg || (await getChatSettings(ctx.chat.id)).chain);
+
+  try {
+    const res = await addTrack(ctx.chat.id, wallet, chain.key, label, ctx.from?.id);
+    if (!res.ok) return replyT(ctx, 'bot.trackFull', { max: TRACK_MAX_PER_USER });
+    const name = res.item.label ? `${res.item.label} (${wallet})` : wallet;
+    return replyT(ctx, res.updated ? 'bot.trackUpdated' : 'bot.tracking', { name, chain: chain.title });
+  } catch (e) {
+    console.error('[TRACK /track] error:', e?.message || e);
+    return replyT(ctx, 'bot.failed', { what: 'Track' });
+  }
+});
+
+// /untrack <wallet> [chain]
+bot.command('untrack', async (ctx) => {
+  const [, walletRaw, chainArg] = (ctx.message?.text || '').trim().split(/\s+/);
+  if (!isAddress(walletRaw)) return replyT(ctx, 'bot.send', { usage: '/untrack <wallet> [chain]' });
+  const n = await removeTrack(ctx.chat.id, walletRaw.toLowerCase(), chainArg ? resolveChain(chainArg).key : null);
+  return n ? replyT(ctx, 'bot.untracked', { wallet: walletRaw.toLowerCase() }) : replyT(ctx, 'bot.notTracked');
+});
+
+// /tracked — list tracked wallets of this chat
+bot.command('tracked', async (ctx) => {
+  const { text, extra } = renderTrackList(await listTracks(ctx.chat.id), { ...(await optsFor(ctx)), max: TRACK_MAX_PER_USER });
+  return sendHTML(ctx, text, extra);
+});
+
+// /settings — per-chat defaults; /settings tz <IANA zone> for zones not in the menu
+bot.command('settings', async (ctx) => {
+  const [, field, value] = (ctx.message?.text || '').trim().split(/\s+/);
+  const canEdit = await canChangeSettings(ctx);
+
+  if (field) {
+    if (field.toLowerCase() !== 'tz' || !value) return replyT(ctx, 'bot.settingsUsage');
+    if (!canEdit) return replyT(ctx, 'bot.adminsOnly');
+    if (!isValidTimezone(value)) return replyT(ctx, 'bot.badTimezone', { tz: value });
+    await updateChatSettings(ctx.chat.id, { tz: value }, ctx.from?.id);
+  }
+
+  const { text, extra } = renderSettings(await getChatSettings(ctx.chat.id), { canEdit, languageCode: ctx.from?.language_code });
+  return sendHTML(ctx, text, extra);
+});
+
+const PNL_WINDOWS = ['24h', '7d', '30d', '90d', 'all'];
+
+// Portfolio PnL takes a while (every wallet is crawled): post a placeholder and edit it when done
+async function replyPortfolio(ctx, wallets, name, window, opts) {
+  const msg = await ctx.replyWithHTML(translator(opts.locale)('bot.portfolioComputing', { n: wallets.length }));
+  const id = await rememberPortfolio(wallets, name);
+  const { data, ledger } = await computePnl(wallets, window, opts.settings.chain, id);
+  const { text, extra } = renderPNL(data, window, 'overview', { ...opts, portfolio: { id, name }, ledger });
+  return bot.telegram.editMessageText(msg.chat.id, msg.message_id, undefined, text, { ...extra, parse_mode: 'HTML', disable_web_page_preview: true });
+}
+
+// ----- PNL command (default: the chat's /settings window and chain, overview) -----
+// /pnl <wallet> [window]  ·  /pnl <w1> <w2> … [window] (portfolio)  ·  /pnl <group> [window]
 bot.command('pnl', async (ctx) => {
   try {
-    const parts = (ctx.message?.text || '').trim().split(/\s+/);
-    const wallet = (parts[1] || '').toLowerCase();
-    if (!/^0x[a-f0-9]{40}$/.test(wallet)) {
-      return ctx.reply('Usage: /pnl <walletAddress>');
+    const parts = (ctx.message?.text || '').trim().split(/\s+/).slice(1).map(s => s.toLowerCase());
+    const opts = await optsFor(ctx);
+    const window = PNL_WINDOWS.includes(parts[parts.length - 1]) ? parts.pop() : opts.settings.pnlWindow;
+    const wallets = [...new Set(parts.filter(p => /^0x[a-f0-9]{40}$/.test(p)))];
+
+    if (parts.length === 1 && !wallets.length && GROUP_NAME_RE.test(parts[0]) && ctx.from?.id) {
+      const group = await getGroup(ctx.from.id, parts[0]);
+      if (!group) return replyT(ctx, 'bot.noGroupSee', { name: parts[0] });
+      return replyPortfolio(ctx, group.wallets, parts[0], window, opts);
     }
-    // default to tabs
-    const data = await refreshPnl(wallet, '30d', 'tabs'); // window: 24h|7d|30d|90d|all
-    const { text, extra } = renderPNL(data, '30d', 'overview');
+    if (!wallets.length || wallets.length !== parts.length) return replyT(ctx, 'bot.pnlUsage');
+    if (wallets.length > PORTFOLIO_MAX_WALLETS) return replyT(ctx, 'bot.portfolioMax', { max: PORTFOLIO_MAX_WALLETS });
+    if (wallets.length > 1) return replyPortfolio(ctx, wallets, '', window, opts);
+
+    const { data, ledger } = await computePnl(wallets[0], window, opts.settings.chain); // window: 24h|7d|30d|90d|all
+    const { text, extra } = renderPNL(data, window, 'overview', { ...opts, ledger });
     return ctx.replyWithHTML(text, extra);
   } catch (e) {
     console.error('[PNL /pnl] error:', e?.message || e);
-    return ctx.reply('PNL: something went wrong.');
+    return replyT(ctx, 'bot.failed', { what: 'PNL' });
+  }
+});
+
+// /pnltoken <wallet> <contract> [window] — every trade of one token with running position and cost basis
+bot.command('pnltoken', async (ctx) => {
+  try {
+    const parts = (ctx.message?.text || '').trim().split(/\s+/).slice(1).map(s => s.toLowerCase());
+    const opts = await optsFor(ctx);
+    const window = PNL_WINDOWS.includes(parts[parts.length - 1]) ? parts.pop() : opts.settings.pnlWindow;
+    const [wallet, ca] = parts;
+    if (parts.length !== 2 || !/^0x[a-f0-9]{40}$/.test(wallet) || !/^0x[a-f0-9]{40}$/.test(ca)) {
+      return replyT(ctx, 'bot.usage', { usage: '/pnltoken <walletAddress> <tokenContract> [24h|7d|30d|90d|all]' });
+    }
+
+    const { ledger: { id, index } } = await cachedPnl(wallet, window, opts.settings.chain);
+    const doc = index[ca] != null ? await loadLedger(id, index[ca]) : null;
+    if (!doc) return replyT(ctx, 'bot.noTrades', { window });
+
+    const { text, extra } = renderPnlToken(doc, opts);
+    return ctx.replyWithHTML(text, extra);
+  } catch (e) {
+    console.error('[PNL /pnltoken] error:', e?.message || e);
+    return replyT(ctx, 'bot.failed', { what: 'PNL' });
+  }
+});
+
+// /pnlgroup — list  ·  /pnlgroup save <name> <wallet> <wallet> …  ·  /pnlgroup del <name>
+bot.command('pnlgroup', async (ctx) => {
+  const t = await tFor(ctx);
+  if (!ctx.from?.id) return ctx.reply(t('bot.groupsPerUser'));
+  const [, sub, nameRaw, ...rest] = (ctx.message?.text || '').trim().split(/\s+/);
+  const name = String(nameRaw || '').toLowerCase();
+  const action = String(sub || '').toLowerCase();
+
+  if (action === 'save') {
+    const wallets = [...new Set(rest.map(w => w.toLowerCase()))];
+    if (!GROUP_NAME_RE.test(name) || wallets.length < 2 || !wallets.every(w => /^0x[a-f0-9]{40}$/.test(w))) {
+      return ctx.reply(t('bot.groupSaveUsage'));
+    }
+    if (wallets.length > PORTFOLIO_MAX_WALLETS) return ctx.reply(t('bot.groupMax', { max: PORTFOLIO_MAX_WALLETS }));
+    const res = await saveGroup(ctx.from.id, name, wallets);
+    if (!res.ok) return ctx.reply(t('bot.groupsFull', { max: PORTFOLIO_MAX_GROUPS }));
+    return ctx.reply(t(res.updated ? 'bot.groupUpdated' : 'bot.groupSaved', { name, n: wallets.length }));
   }
+
+  if (action === 'del') {
+    return ctx.reply(t(await deleteGroup(ctx.from.id, name) ? 'bot.groupDeleted' : 'bot.noGroup', { name }));
+  }
+
+  const groups = await listGroups(ctx.from.id);
+  const lines = [t('bot.groupsTitle'), ''];
+  if (!groups.length) lines.push(t('bot.noneYet'));
+  for (const g of groups) lines.push(`• <b>${g.name}</b> — ${g.wallets.map(w => `<code>${w.slice(0, 6)}…${w.slice(-4)}</code>`).join(', ')}`);
+  lines.push('', t('bot.groupsHelp'));
+  return sendHTML(ctx, lines.join('\n'));
 });
 
 // ===== AUTO-GENERATED CHAIN COMMANDS from chains.js =====
 // Provides: /<chain> <ca> and /<chain>pnl <wallet>
 for (const chain of Object.values(CHAINS)) {
-  // /<chain> <ca>
+  // /<chain> <ca | ticker | name>
   bot.command(chain.key, async (ctx) => {
-    const [, caRaw] = (ctx.message?.text || '').trim().split(/\s+/);
-    if (!isAddress(caRaw)) return ctx.reply(`Send: /${chain.key} <contractAddress>`);
+    const [, ...args] = (ctx.message?.text || '').trim().split(/\s+/);
+    const ca = isAddress(args[0])
+      ? args[0].toLowerCase()
+      : await resolveTokenQuery(ctx, args.join(' '), chain.key, await optsFor(ctx), `/${chain.key} <contractAddress | ticker>`);
+    if (!ca) return;
 
-    const ca = caRaw.toLowerCase();
-
-    // Try to serve from cache first; if empty, do a one-shot refresh on that chain
-    const hit = await findSummaryAnyChain(ca);
-    if (!hit?.data) {
+    // Try to serve from this chain's cache first; if empty, do a one-shot refresh on it
+    const hit = await summaryFor(ca, chain.key);
+    if (!hit.data) {
       try {
         await refreshToken(ca, chain.key);
       } catch {
         try { await queue.add('refresh', { tokenAddress: ca, chain: chain.key }, { removeOnComplete: true, removeOnFail: true }); } catch {}
-        return ctx.reply('Initializing… try again in a few seconds.');
+        return replyT(ctx, 'bot.initializing');
       }
     }
 
-    // Load again (will find the namespaced key for this chain)
-    const finalHit = await findSummaryAnyChain(ca);
-    const data = finalHit?.data;
-    if (!data) return ctx.reply('Initializing… try again in a few seconds.');
+    // Load again (the namespaced key for this chain)
+    const { data } = await summaryFor(ca, chain.key);
+    if (!data) return replyT(ctx, 'bot.initializing');
+    noteLookup(ctx, chain.key, ca);
 
-    const { text, extra } = renderOverview(data);
+    const { text, extra } = renderOverview(data, await optsFor(ctx));
     return sendHTML(ctx, text, extra);
   });
 
   // /<chain>pnl <wallet>
   bot.command(chain.key + 'pnl', async (ctx) => {
     const [, wallet] = (ctx.message?.text || '').trim().split(/\s+/);
-    if (!wallet) return ctx.reply(`Send: /${chain.key}pnl <walletAddress>`);
+    if (!wallet) return replyT(ctx, 'bot.send', { usage: `/${chain.key}pnl <walletAddress>` });
     try {
-      const data = await refreshPnl(String(wallet).toLowerCase(), '30d', chain.key);
-      const { text, extra } = renderPNL(data, '30d', 'overview');
+      const opts = await optsFor(ctx);
+      const { pnlWindow } = opts.settings;
+      const { data, ledger } = await computePnl(String(wallet).toLowerCase(), pnlWindow, chain.key);
+      const { text, extra } = renderPNL(data, pnlWindow, 'overview', { ...opts, ledger });
       return ctx.replyWithHTML(text, extra);
     } catch (e) {
       console.error('[PNL cmd] error:', e?.message || e);
-      return ctx.reply('PNL error: ' + (e?.message || 'unknown'));
+      return replyT(ctx, 'bot.pnlError', { error: e?.message || 'unknown' });
     }
   });
 }
@@ -234,42 +835,45 @@ for (const chain of Object.values(CHAINS)) {
 // noop buttons: just close the spinner
 bot.action('noop', (ctx) => ctx.answerCbQuery(''));
 
-// Main action router for stats/buyers/holders/refresh/index
-// NOTE: callbacks don't include chain, so we detect chain from cache when needed
-bot.action(/^(stats|buyers|holders|refresh|index):/, async (ctx) => {
+// Main action router for stats/buyers/holders/refresh/index/changes
+// Buttons carry the chain (see callbacks.js); older ones without it use whichever chain is cached
+bot.action(cbRoute('stats', 'buyers', 'holders', 'refresh', 'index', 'changes'), async (ctx) => {
   const dataStr = ctx.callbackQuery?.data || '';
   try {
     // ACK asap so Telegram doesn't show "loading…" forever
-    try { await ctx.answerCbQuery('Working…'); } catch {}
+    try { await ackT(ctx, 'ack.working'); } catch {}
 
-    const [kind, ca, maybePage] = dataStr.split(':');
+    const { view: kind, chain, addr: ca, args: [maybePage] } = parseCb(dataStr);
+    const opts = await optsFor(ctx);
+    const t = translator(opts.locale);
 
     // ---------- Refresh ----------
     if (kind === 'refresh') {
-      // detect cached chain
-      const hit = await findSummaryAnyChain(ca);
-      const hintChain = hit?.chainKey || 'tabs';
-      const res = await requestRefresh(ca, hintChain);
+      const hintChain = chain || (await findSummaryAnyChain(ca))?.chainKey || opts.settings.chain;
+      const res = await requestRefresh(ca, hintChain, opts.settings.refreshCooldown);
       const msg = res.ok
-        ? 'Refreshing…'
+        ? t('ack.refreshing')
         : (typeof res.age === 'number'
-            ? `Recently refreshed (${res.age.toFixed(0)}s ago). Try again shortly.`
-            : `Couldn't queue refresh${res.error ? `: ${res.error}` : ''}`);
+            ? t('bot.recentlyRefreshed', { age: res.age.toFixed(0) })
+            : t('bot.refreshFailed', { error: res.error ? `: ${res.error}` : '' }));
       try { await ctx.answerCbQuery(msg, { show_alert: false }); } catch {}
       return;
     }
 
-    // We need summary data for all tabs (chain-agnostic fetch)
-    const hit = await findSummaryAnyChain(ca);
+    // We need summary data for all tabs
+    const hit = await summaryFor(ca, chain);
     const data = hit?.data || null;
     if (!data) {
-      try { await ctx.answerCbQuery('Initializing… try again shortly.', { show_alert: true }); } catch {}
+      // e.g. a /trending entry whose summary expired: queue it so the next tap has data
+      if (chain) requestRefresh(ca, chain, opts.settings.refreshCooldown).catch(() => {});
+      try { await ctx.answerCbQuery(t('bot.initializingShort'), { show_alert: true }); } catch {}
       return;
     }
+    noteLookup(ctx, hit.chainKey, ca);
 
     // ---------- Overview ----------
     if (kind === 'stats') {
-      const { text, extra } = renderOverview(data);
+      const { text, extra } = renderOverview(data, opts);
       await editHTML(ctx, text, extra);
       return;
     }
@@ -277,7 +881,7 @@ bot.action(/^(stats|buyers|holders|refresh|index):/, async (ctx) => {
     // ---------- Buyers (paginated) ----------
     if (kind === 'buyers') {
       const page = Number(maybePage || 1);
-      const { text, extra } = renderBuyers(data, page);
+      const { text, extra } = renderBuyers(data, page, 10, opts);
       await editHTML(ctx, text, extra);
       return;
     }
@@ -285,7 +889,15 @@ bot.action(/^(stats|buyers|holders|refresh|index):/, async (ctx) => {
     // ---------- Holders (paginated) ----------
     if (kind === 'holders') {
       const page = Number(maybePage || 1);
-      const { text, extra } = renderHolders(data, page);
+      const { text, extra } = renderHolders(data, page, 10, opts);
+      await editHTML(ctx, text, extra);
+      return;
+    }
+
+    // ---------- Top-holder changes since the previous refresh ----------
+    if (kind === 'changes') {
+      const diff = await getJSON(`token:${hit.chainKey}:${ca}:holders_diff`);
+      const { text, extra } = renderHolderChanges(data, diff, opts);
       await editHTML(ctx, text, extra);
       return;
     }
@@ -295,14 +907,14 @@ bot.action(/^(stats|buyers|holders|refresh|index):/, async (ctx) => {
       // 1) Show a safe “working” view immediately (no raw `$` or unclosed tags).
       await editHTML(
         ctx,
-        '📈 <b>Index</b>\n\n<i>Crunching holder distribution…</i>\n\nThis runs once and is cached for 6 hours.',
+        [t('index.title'), '', t('index.crunching'), '', t('index.cachedFor')].join('\n'),
         {
           reply_markup: {
             inline_keyboard: [[
-              { text:'🏠 Overview',        callback_data:`stats:${ca}` },
-              { text:'🧑‍🤝‍🧑 Buyers',     callback_data:`buyers:${ca}:1` },
+              { text:t('btn.overview'),    callback_data:cb('stats', hit.chainKey, ca) },
+              { text:t('btn.buyers'),      callback_data:cb('buyers', hit.chainKey, ca, 1) },
               ...(Array.isArray(data?.holdersTop20) && data.holdersTop20.length
-                ? [{ text:'📊 Holders',    callback_data:`holders:${ca}:1` }]
+                ? [{ text:t('btn.holders'), callback_data:cb('holders', hit.chainKey, ca, 1) }]
                 : [])
             ]]
           }
@@ -310,77 +922,537 @@ bot.action(/^(stats|buyers|holders|refresh|index):/, async (ctx) => {
       );
 
       // 2) Kick off (or retrieve) the snapshot without blocking the UI.
-      const chainKey = hit?.chainKey || 'tabs';
-      const first = await ensureIndexSnapshot(ca, chainKey);   // { ready: boolean, data?: snapshot }
+      const first = await ensureIndexSnapshot(ca, hit.chainKey);   // { ready: boolean, data?: snapshot }
 
       // 3) Render either the “preparing…” placeholder or the finished snapshot.
-      const { text, extra } = renderIndexView(data, first);
+      const { text, extra } = renderIndexView(data, first, opts);
       await editHTML(ctx, text, extra);
       return;
     }
 
   } catch (e) {
     console.error('[stats/buyers/holders/index cb] error:', e?.response?.description || e);
-    try { await ctx.answerCbQuery('Error — try again', { show_alert: true }); } catch {}
+    try { await ackT(ctx, 'ack.errorRetry', {}, { show_alert: true }); } catch {}
   }
 });
 
-// ----- PNL callbacks (windows / views / refresh) -----
-bot.on('callback_query', async (ctx) => {
-  const d = ctx.callbackQuery?.data || '';
+// ----- Search picker: open a token's overview, refreshing it first when it isn't cached -----
+bot.action(cbRoute('open'), async (ctx) => {
   try {
-    // ACK immediately so Telegram doesn't expire the callback
-    try { await ctx.answerCbQuery('Working…'); } catch {}
+    try { await ackT(ctx, 'ack.loading'); } catch {}
+    const opts = await optsFor(ctx);
+    const { chain, addr: ca } = parseCb(ctx.callbackQuery?.data);
+    const chainKey = chain || opts.settings.chain;
 
-    if (d.startsWith('pnlv:')) {
-      const [, wallet, window, view] = d.split(':');
-      const data = await refreshPnl(wallet, window, 'tabs');
-      const { text, extra } = renderPNL(data, window, view);
-      await ctx.editMessageText(text, { ...extra, parse_mode: 'HTML', disable_web_page_preview: true });
-      return;
+    let { data } = await summaryFor(ca, chainKey);
+    if (!data) {
+      try { await refreshToken(ca, chainKey); } catch {}
+      ({ data } = await summaryFor(ca, chainKey));
+    }
+    if (!data) {
+      requestRefresh(ca, chainKey, opts.settings.refreshCooldown).catch(() => {});
+      return replyT(ctx, 'bot.initializingTap');
     }
+    noteLookup(ctx, chainKey, ca);
 
-    if (d.startsWith('pnl:')) {
-      const [, wallet, window] = d.split(':');
-      const data = await refreshPnl(wallet, window, 'tabs');
-      const { text, extra } = renderPNL(data, window, 'overview');
-      await ctx.editMessageText(text, { ...extra, parse_mode: 'HTML', disable_web_page_preview: true });
-      return;
+    const { text, extra } = renderOverview(data, opts);
+    await editHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[OPEN cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
+
+// ----- /trending window tabs -----
+bot.action(cbRoute('trending'), async (ctx) => {
+  try {
+    try { await ctx.answerCbQuery(); } catch {}
+    const { chain, args: [w] } = parseCb(ctx.callbackQuery?.data);
+    const opts = await optsFor(ctx);
+    const { text, extra } = await trendingView(chain || opts.settings.chain, TRENDING_WINDOWS[w] ? w : '24h', opts);
+    await editHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[TRENDING cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
+
+// ----- /history window tabs -----
+bot.action(cbRoute('history'), async (ctx) => {
+  try {
+    try { await ctx.answerCbQuery(); } catch {}
+    const { chain, addr: ca, args: [w] } = parseCb(ctx.callbackQuery?.data);
+    const opts = await optsFor(ctx);
+    const { text, extra } = await historyView(ca, chain || opts.settings.chain, HISTORY_WINDOWS[w] ? w : null, opts);
+    await editHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[HISTORY cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
+
+// ----- 📉 Charts (sent as a new photo under the view) -----
+bot.action(cbRoute('chart'), async (ctx) => {
+  try {
+    const { chain, addr: ca, args: [kind, window] } = parseCb(ctx.callbackQuery?.data);
+    if (!CHART_KINDS.includes(kind)) return ctx.answerCbQuery();
+    if (!ctx.chat) return ackT(ctx, 'ack.chartInline', {}, { show_alert: true });
+
+    const hit = await summaryFor(ca, chain);
+    if (!hit?.data) return ackT(ctx, 'bot.initializingShort', {}, { show_alert: true });
+
+    let index = null;
+    if (kind === 'dpct' || kind === 'dusd') {
+      index = await getIndexSnapshot(ca, hit.chainKey);
+      if (!index) return ackT(ctx, 'ack.indexFirst', {}, { show_alert: true });
+    }
+    try { await ackT(ctx, 'ack.drawing'); } catch {}
+
+    const span = HISTORY_WINDOWS[window] ? window : '7d';
+    const history = (kind === 'price' || kind === 'holders') ? await getHistory(hit.chainKey, ca, span) : [];
+    const { photo, caption, extra } = renderChart(kind, { summary: hit.data, history, index }, await optsFor(ctx));
+    await ctx.replyWithPhoto({ source: photo, filename: `${kind}.png` }, { caption, parse_mode: 'HTML', ...extra });
+  } catch (e) {
+    console.error('[CHART cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
+
+// ----- ⬇️ Export (CSV document; the 🧾 JSON button under it sends the same data as JSON) -----
+// x:<chain>:<ca>:h|b[:j] for a token's holders / buyers, x:<chain>:<ledger id>:p[:j] for a PnL
+bot.action(cbRoute('export'), async (ctx) => {
+  try {
+    const { chain, addr, args: [code, fmtCode] } = parseCb(ctx.callbackQuery?.data);
+    const kind = EXPORT_KINDS[code];
+    if (!kind) return ctx.answerCbQuery();
+    if (!ctx.chat) return ackT(ctx, 'ack.exportInline', {}, { show_alert: true });
+    const format = fmtCode === 'j' ? 'json' : 'csv';
+    const t = await tFor(ctx);
+
+    let files, caption, chainKey = chain;
+    if (kind === 'pnl') {
+      const ledgers = await loadLedgers(addr.replace(/^0x/, ''));
+      if (!ledgers) return ackT(ctx, 'ack.pnlExpired', {}, { show_alert: true });
+      try { await ackT(ctx, 'ack.exporting'); } catch {}
+      // positions come from the cached computation (recomputed if it expired), trades from the ledgers
+      const { data } = await cachedPnl(ledgers.wallets, ledgers.window, ledgers.chain, ledgers.portfolioId);
+      files = pnlExport(data, ledgers, format);
+      caption = t('export.pnl', { window: esc(ledgers.window), n: ledgers.wallets.length });
+    } else {
+      const hit = await summaryFor(addr, chain);
+      if (!hit?.data) return ackT(ctx, 'bot.initializingShort', {}, { show_alert: true });
+      chainKey = hit.chainKey;
+      const name = esc(hit.data.market?.name || t('common.token'));
+      if (kind === 'holders') {
+        // the full list is the balances map of the last refresh (balances.js), not holdersTop20
+        const bal = await loadBalances(addr, hit.chainKey);
+        if (!bal) {
+          await requestRefresh(addr, hit.chainKey);
+          return ackT(ctx, 'ack.exportRefreshing', {}, { show_alert: true });
+        }
+        try { await ackT(ctx, 'ack.exporting'); } catch {}
+        files = holdersExport(bal, hit.data, format);
+        caption = t('export.holders', { name, n: bal.balances.size });
+      } else {
+        try { await ackT(ctx, 'ack.exporting'); } catch {}
+        files = buyersExport(hit.data, format);
+        caption = t('export.buyers', { name, n: (hit.data.first20Buyers || []).length });
+      }
+    }
+
+    const json = format === 'csv'
+      ? { reply_markup: { inline_keyboard: [[{ text:t('btn.json'), callback_data:cb('export', chainKey, addr, code, 'j') }]] } }
+      : {};
+    for (const [i, file] of files.entries()) {
+      await ctx.replyWithDocument(file, { caption, parse_mode: 'HTML', ...(i === files.length - 1 ? json : {}) });
     }
+  } catch (e) {
+    console.error('[EXPORT cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
 
-    if (d.startsWith('pnl_refresh:')) {
-      const [, wallet, window] = d.split(':');
-      const data = await refreshPnl(wallet, window, 'tabs');
-      const { text, extra } = renderPNL(data, window, 'overview');
-      await ctx.editMessageText(text, { ...extra, parse_mode: 'HTML', disable_web_page_preview: true });
-      try { await ctx.answerCbQuery('Refreshed'); } catch {}
+// ----- Bundles / Funding callbacks (view / refresh with their own cooldown) -----
+bot.action(cbRoute('bundles', 'bundles_refresh', 'funding', 'funding_refresh'), async (ctx) => {
+  const dataStr = ctx.callbackQuery?.data || '';
+  try {
+    const { view: kindRaw, chain, addr: ca } = parseCb(dataStr);
+    if (!/^0x[a-f0-9]{40}$/.test(ca)) return ackT(ctx, 'ack.badAddress');
+
+    const force = kindRaw.endsWith('_refresh');
+    const kind = force ? kindRaw.slice(0, -'_refresh'.length) : kindRaw;
+
+    // Summary is optional here (both views only need the CA); older buttons need it for the chain.
+    const opts = await optsFor(ctx);
+    const hit = await summaryFor(ca, chain);
+    const chainKey = hit?.chainKey || opts.settings.chain;
+
+    if (force) {
+      const gate = await checkCooldown(chainKey, ca, kind, opts.settings.refreshCooldown);
+      if (!gate.ok) {
+        try { await ackT(ctx, 'bot.recentlyRefreshed', { age: gate.age.toFixed(0) }); } catch {}
+        return;
+      }
+    }
+
+    const t = translator(opts.locale);
+    try { await ctx.answerCbQuery(t(force ? 'ack.refreshing' : 'ack.working')); } catch {}
+
+    const title = t(kind === 'funding' ? 'bot.fundingTitle' : 'bot.bundlesTitle');
+    await editHTML(
+      ctx,
+      `${title}\n\n${t('bot.scanning')}`,
+      { reply_markup: { inline_keyboard: [[{ text:t('btn.overview'), callback_data:cb('stats', chainKey, ca) }]] } }
+    );
+
+    if (kind === 'funding') {
+      const { text, extra } = await buildFundingView(ca, chainKey, hit?.data || null, { force, opts });
+      await editHTML(ctx, text, extra);
       return;
     }
 
-    // ignore other callback routes here (handled above)
+    const bundles = await buildBundlesSnapshot(ca, chainKey, { force });
+    const { text, extra } = renderBundlesView(hit?.data || null, bundles, opts);
+    await editHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[BUNDLES/FUNDING cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry', {}, { show_alert: true }); } catch {}
+  }
+});
+
+// ----- Clusters callbacks (view / recompute) -----
+bot.action(cbRoute('clusters', 'clusters_refresh'), async (ctx) => {
+  const dataStr = ctx.callbackQuery?.data || '';
+  try {
+    const { view: kind, chain, addr: ca } = parseCb(dataStr);
+    if (!/^0x[a-f0-9]{40}$/.test(ca)) return ackT(ctx, 'ack.badAddress');
+    const force = kind === 'clusters_refresh';
+
+    const opts = await optsFor(ctx);
+    const hit = await summaryFor(ca, chain);
+    const chainKey = hit?.chainKey || opts.settings.chain;
+
+    if (force) {
+      // the analysis is expensive: one recompute per token every 10 minutes
+      const gate = await checkCooldown(chainKey, ca, 'clusters', 600);
+      if (!gate.ok) {
+        try { await ackT(ctx, 'ack.recomputed', { m: Math.round(gate.age / 60) }); } catch {}
+        return;
+      }
+    }
+
+    try { await ackT(ctx, force ? 'ack.recomputing' : 'ack.working'); } catch {}
+
+    const { view, follow } = await startClusters(ca, chainKey, hit?.data || null, { force, opts });
+    await editHTML(ctx, view.text, view.extra);
+    const msg = ctx.callbackQuery?.message;
+    if (follow && msg) follow(msg.chat.id, msg.message_id);
+  } catch (e) {
+    console.error('[CLUSTERS cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry', {}, { show_alert: true }); } catch {}
+  }
+});
+
+// ----- Watchlist callbacks (🗑 in /watchlist, 🔕 on alerts) -----
+bot.action(cbRoute('unwatch'), async (ctx) => {
+  try {
+    const { chain: chainKey, addr: ca, args: [from] } = parseCb(ctx.callbackQuery?.data);
+    const chatId = ctx.callbackQuery?.message?.chat?.id;
+    if (!chatId || !/^0x[a-f0-9]{40}$/.test(ca)) return ackT(ctx, 'ack.badAddress');
+
+    const n = await removeWatch(chatId, ca, chainKey);
+    try { await ackT(ctx, n ? 'ack.unwatched' : 'ack.alreadyRemoved'); } catch {}
+
+    if (from === 'l') {
+      const { text, extra } = await watchlistView(chatId, await optsFor(ctx));
+      await editHTML(ctx, text, extra);
+    }
+  } catch (e) {
+    console.error('[WATCH cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
+
+// ----- Price alert callbacks (❌ in /alerts) -----
+bot.action(/^alert_rm:/, async (ctx) => {
+  try {
+    const id = (ctx.callbackQuery?.data || '').split(':')[1];
+    const userId = ctx.from?.id;
+    // Alerts are keyed by user, so someone else tapping a list in a group can't cancel yours
+    const removed = userId ? await removePriceAlert(userId, id) : null;
+    try { await ackT(ctx, removed ? 'ack.alertCancelled' : 'ack.notYourAlert'); } catch {}
+    if (removed) {
+      const { text, extra } = await priceAlertsView(userId, await optsFor(ctx));
+      await editHTML(ctx, text, extra);
+    }
+  } catch (e) {
+    console.error('[ALERT cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
+
+// ----- Tracked wallet callbacks (🗑 in /tracked) -----
+bot.action(cbRoute('untrack'), async (ctx) => {
+  try {
+    const { chain: chainKey, addr: wallet } = parseCb(ctx.callbackQuery?.data);
+    const chatId = ctx.callbackQuery?.message?.chat?.id;
+    if (!chatId || !/^0x[a-f0-9]{40}$/.test(wallet)) return ackT(ctx, 'ack.badAddress');
+
+    const n = await removeTrack(chatId, wallet, chainKey);
+    try { await ackT(ctx, n ? 'ack.untracked' : 'ack.alreadyRemoved'); } catch {}
+    const { text, extra } = renderTrackList(await listTracks(chatId), { ...(await optsFor(ctx)), max: TRACK_MAX_PER_USER });
+    await editHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[TRACK cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
+
+// ----- Settings callbacks (tap a row in /settings to cycle its value) -----
+bot.action(/^set:/, async (ctx) => {
+  try {
+    const field = (ctx.callbackQuery?.data || '').split(':')[1];
+    const chatId = ctx.chat?.id;
+    if (!chatId || !SETTING_CHOICES[field]) return ackT(ctx, 'ack.unknownSetting');
+    if (!(await canChangeSettings(ctx))) return ackT(ctx, 'ack.settingsAdmins', {}, { show_alert: true });
+
+    const current = await getChatSettings(chatId);
+    const settings = await updateChatSettings(chatId, { [field]: nextChoice(field, current[field]) }, ctx.from?.id);
+    try { await ackT(ctx, 'ack.saved'); } catch {}
+    const { text, extra } = renderSettings(settings, { languageCode: ctx.from?.language_code });
+    await editHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[SETTINGS cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.errorRetry'); } catch {}
+  }
+});
+
+// ----- Portfolio PNL callbacks (views / refresh) -----
+bot.action(cbRoute('portfolio', 'portfolio_refresh'), async (ctx) => {
+  try {
+    const { view: kind, chain, addr, args: [window, view, page, sort] } = parseCb(ctx.callbackQuery?.data);
+    const id = addr.replace(/^0x/, '');
+    const portfolio = await loadPortfolio(id);
+    if (!portfolio) return ackT(ctx, 'ack.portfolioExpired', {}, { show_alert: true });
+    try { await ackT(ctx, 'ack.working'); } catch {}
+
+    // views / pages / sorts re-render the cached computation; only 🔄 recomputes
+    const opts = await optsFor(ctx);
+    const run = kind === 'portfolio_refresh' ? computePnl : cachedPnl;
+    const { data, ledger } = await run(portfolio.wallets, window, chain || opts.settings.chain, id);
+    const { text, extra } = renderPNL(data, window, kind === 'portfolio' ? view : 'overview', { ...opts, portfolio: { id, name: portfolio.name }, ledger, page, sort });
+    await editHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[PORTFOLIO cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.error'); } catch {}
+  }
+});
+
+// ----- PNL callbacks (windows / views / refresh) -----
+// The chain rides in the button; older buttons without one use the chat's default chain.
+bot.action(cbRoute('pnl', 'pnlv', 'pnl_refresh'), async (ctx) => {
+  try {
+    // ACK immediately so Telegram doesn't expire the callback
+    try { await ackT(ctx, 'ack.working'); } catch {}
+
+    const { view: kind, chain, addr: wallet, args: [window, view, page, sort] } = parseCb(ctx.callbackQuery?.data);
+    const opts = await optsFor(ctx);
+    // windows / views / pages / sorts re-render the cached computation; only 🔄 recomputes
+    const run = kind === 'pnl_refresh' ? computePnl : cachedPnl;
+    const { data, ledger } = await run(wallet, window, chain || opts.settings.chain);
+    const { text, extra } = renderPNL(data, window, kind === 'pnlv' ? view : 'overview', { ...opts, ledger, page, sort });
+    await ctx.editMessageText(text, { ...extra, parse_mode: 'HTML', disable_web_page_preview: true });
+    if (kind === 'pnl_refresh') try { await ackT(ctx, 'ack.refreshed'); } catch {}
   } catch (e) {
     console.error('[PNL cb] error:', e?.response?.description || e);
-    try { await ctx.answerCbQuery('Error'); } catch {}
+    try { await ackT(ctx, 'ack.error'); } catch {}
   }
 });
 
-bot.action(/^index_refresh:/, async (ctx) => {
+// ----- PNL per-token drill-down (🔎 buttons; ledger stored by the PnL view, no recompute) -----
+bot.action(cbRoute('pnltoken'), async (ctx) => {
   try {
-    const ca = ctx.callbackQuery?.data?.split(':')[1];
-    if (!/^0x[a-f0-9]{40}$/.test(ca)) return ctx.answerCbQuery('Bad address');
+    const { addr, args: [i] } = parseCb(ctx.callbackQuery?.data);
+    const doc = await loadLedger(addr.replace(/^0x/, ''), i);
+    if (!doc) return ackT(ctx, 'ack.tradesExpired', {}, { show_alert: true });
+    try { await ctx.answerCbQuery(); } catch {}
 
-    // detect chain for snapshot build
-    const hit = await findSummaryAnyChain(ca);
-    const chainKey = hit?.chainKey || 'tabs';
+    const { text, extra } = renderPnlToken(doc, await optsFor(ctx));
+    await editHTML(ctx, text, extra);
+  } catch (e) {
+    console.error('[PNLTOKEN cb] error:', e?.response?.description || e);
+    try { await ackT(ctx, 'ack.error'); } catch {}
+  }
+});
+
+bot.action(cbRoute('index_refresh'), async (ctx) => {
+  try {
+    const { chain, addr: ca } = parseCb(ctx.callbackQuery?.data);
+    if (!/^0x[a-f0-9]{40}$/.test(ca)) return ackT(ctx, 'ack.badAddress');
+
+    // chain for the snapshot build
+    const opts = await optsFor(ctx);
+    const hit = await summaryFor(ca, chain);
+    const chainKey = hit?.chainKey || opts.settings.chain;
 
-    await ctx.answerCbQuery('Refreshing…');
+    await ackT(ctx, 'ack.refreshing');
     const snap = await buildIndexSnapshot(ca, chainKey); // force rebuild + cache
-    const { text, extra } = renderIndexView(hit?.data || null, { ready: true, data: snap });
+    const { text, extra } = renderIndexView(hit?.data || null, { ready: true, data: snap }, opts);
     await editHTML(ctx, text, extra);
-    try { await ctx.answerCbQuery('Refreshed'); } catch {}
+    try { await ackT(ctx, 'ack.refreshed'); } catch {}
   } catch (e) {
     console.error('[INDEX refresh] error:', e?.message || e);
-    try { await ctx.answerCbQuery('Error'); } catch {}
+    try { await ackT(ctx, 'ack.error'); } catch {}
+  }
+});
+
+// Anything not routed above (e.g. ℹ️ About): close the spinner. Must stay after every bot.action.
+bot.on('callback_query', (ctx) => ctx.answerCbQuery().catch(() => {}));
+
+// ----- Auto-detect: addresses pasted into chats that opted in -----
+// /autodetect on|off (admins only in groups). In groups the bot needs privacy mode off
+// (@BotFather /setprivacy) or admin rights to see plain messages.
+bot.command('autodetect', async (ctx) => {
+  const arg = String((ctx.message?.text || '').trim().split(/\s+/)[1] || '').toLowerCase();
+  const settings = await getChatSettings(ctx.chat.id);
+  const t = await tFor(ctx);
+  if (!['on', 'off'].includes(arg)) {
+    return ctx.reply(t('bot.autodetectState', { state: t(settings.autodetect ? 'bot.on' : 'bot.off') }));
+  }
+  if (!(await canChangeSettings(ctx))) return ctx.reply(t('bot.adminsOnly'));
+  await updateChatSettings(ctx.chat.id, { autodetect: arg === 'on' }, ctx.from?.id);
+  return ctx.reply(t(arg === 'on' ? 'bot.autodetectOn' : 'bot.autodetectOff'));
+});
+
+// Edit a "loading" reply into the compact overview once the queued refresh lands
+async function followSummary(chatId, messageId, ca, opts = {}) {
+  const started = Date.now();
+  while (Date.now() - started < 90_000) {
+    await sleep(3000);
+    const hit = await findSummaryAnyChain(ca);
+    if (!hit?.data) continue;
+    const { text, extra } = renderCompactOverview(hit.data, opts);
+    try {
+      await bot.telegram.editMessageText(chatId, messageId, undefined, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...extra });
+    } catch (err) {
+      console.warn('[AUTODETECT] edit failed:', err?.response?.description || err?.message || err);
+    }
+    return;
+  }
+}
+
+async function autodetectReply(ctx, addr) {
+  const reply = { reply_to_message_id: ctx.message.message_id, disable_web_page_preview: true };
+  const opts = await optsFor(ctx);
+
+  const hit = await findSummaryAnyChain(addr);
+  if (hit?.data) {
+    const { text, extra } = renderCompactOverview(hit.data, opts);
+    return ctx.replyWithHTML(text, { ...reply, ...extra });
+  }
+
+  const kind = await classifyAddress(addr, opts.settings.chain);
+  if (kind === 'wallet') {
+    const { text, extra } = renderPnlEntry(addr, opts.settings.chain, opts);
+    return ctx.replyWithHTML(text, { ...reply, ...extra });
+  }
+  if (kind !== 'token') return; // routers, pairs, unknown
+
+  await requestRefresh(addr, opts.settings.chain);
+  const msg = await ctx.replyWithHTML(translator(opts.locale)('bot.fetchingStats', { ca: addr }), reply);
+  followSummary(ctx.chat.id, msg.message_id, addr, opts).catch(e => console.warn('[AUTODETECT] follow failed:', e?.message || e));
+}
+
+// Registered after all commands, so only plain text gets here
+bot.on('text', async (ctx, next) => {
+  const text = ctx.message?.text || '';
+  // skip commands, other bots and our own inline cards (they contain the CA)
+  if (text.startsWith('/') || ctx.from?.is_bot || ctx.message?.via_bot) return next();
+
+  const addrs = extractAddresses(text).slice(0, AUTODETECT_MAX_PER_MSG);
+  if (!addrs.length) return next();
+  if (!(await getChatSettings(ctx.chat.id)).autodetect) return next();
+
+  for (const addr of addrs) {
+    if (!(await takeCooldown(ctx.chat.id, addr))) continue;
+    try {
+      await autodetectReply(ctx, addr);
+    } catch (e) {
+      console.error('[AUTODETECT] reply failed:', addr, e?.response?.description || e?.message || e);
+    }
+  }
+});
+
+// ----- Inline mode: @bot <contract|ticker> [chain] -----
+// Needs inline mode enabled for the bot in @BotFather (/setinline).
+async function findSummaryByTicker(sym, chainKey = null) {
+  const chains = chainKey ? [resolveChain(chainKey)] : Object.values(CHAINS);
+  for (const c of chains) {
+    const ptr = await getJSON(`ticker:${c.key}:${sym.toUpperCase()}`);
+    if (!ptr?.ca) continue;
+    const hit = await summaryFor(ptr.ca, c.key);
+    if (hit.data) return hit;
+  }
+  return null;
+}
+
+// Inline result card; the description line uses the sender's language and number format
+function overviewArticle(data, chainKey, opts = {}) {
+  const m = data.market || {};
+  const { money, pct } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const { text, extra } = renderOverview(data, opts);
+  const bits = [];
+  if (m.priceUsd) bits.push(money(m.priceUsd, 10));
+  if (m.marketCap) bits.push(t('inline.mc', { v: money(m.marketCap, 0) }));
+  if (typeof m.priceChange?.h24 === 'number') bits.push(t('inline.chg', { v: pct(m.priceChange.h24) }));
+  return {
+    type: 'article',
+    id: `ov:${chainKey}:${data.tokenAddress}`,
+    title: `${m.name || t('common.token')}${m.symbol ? ` (${m.symbol})` : ''} · ${resolveChain(chainKey).title}`,
+    description: bits.join(' · ') || data.tokenAddress,
+    input_message_content: { message_text: text, parse_mode: 'HTML', disable_web_page_preview: true },
+    reply_markup: extra.reply_markup,
+  };
+}
+
+bot.on('inline_query', async (ctx) => {
+  const [q, chainArg] = (ctx.inlineQuery?.query || '').trim().split(/\s+/);
+  const chainKey = chainArg && isChainArg(chainArg) ? resolveChain(chainArg).key : null;
+  try {
+    if (!q) return await ctx.answerInlineQuery([], { cache_time: 5 });
+    const opts = await optsFor(ctx); // no chat in inline mode: the sender's private-chat settings
+
+    if (isAddress(q)) {
+      const ca = q.toLowerCase();
+      const hit = await summaryFor(ca, chainKey);
+      if (hit?.data) return await ctx.answerInlineQuery([overviewArticle(hit.data, hit.chainKey, opts)], { cache_time: 30, is_personal: true });
+
+      // Cache miss: queue a refresh and offer a placeholder whose button opens the overview once ready
+      const target = chainKey || opts.settings.chain;
+      const t = translator(opts.locale);
+      await requestRefresh(ca, target);
+      return await ctx.answerInlineQuery([{
+        type: 'article',
+        id: `ld:${ca}`,
+        title: t('bot.inlineLoading'),
+        description: t('bot.inlineNotCached', { ca }),
+        input_message_content: {
+          message_text: `${t('bot.fetchingStats', { ca })}\n${t('bot.inlineTapOverview')}`,
+          parse_mode: 'HTML',
+        },
+        reply_markup: { inline_keyboard: [[{ text:t('btn.overview'), callback_data:cb('stats', target, ca) }]] },
+      }], { cache_time: 5 });
+    }
+
+    if (/^\$?[a-z0-9]{2,12}$/i.test(q)) {
+      const hit = await findSummaryByTicker(q.replace(/^\$/, ''), chainKey);
+      return await ctx.answerInlineQuery(hit ? [overviewArticle(hit.data, hit.chainKey, opts)] : [], { cache_time: hit ? 30 : 5, is_personal: true });
+    }
+
+    return await ctx.answerInlineQuery([], { cache_time: 5 });
+  } catch (e) {
+    console.error('[INLINE] error:', e?.response?.description || e?.message || e);
   }
 });
 
@@ -65,7 +65,7 @@ async function detectLaunchMeta(ca, chain) {
 
   if (!creator) {
     try {
-      const r = await esGET({ module:'contract', action:'getcontractcreation', contractaddresses: ca });
+      const r = await esGET({ module:'contract', action:'getcontractcreation', contractaddresses: ca }, chain.etherscanChainId);
       const first = Array.isArray(r) ? r[0] : r;
       creator = String(first?.contractCreator || first?.creatorAddress || '').toLowerCase() || null;
     } catch { /* ignore */ }
@@ -75,22 +75,26 @@ async function detectLaunchMeta(ca, chain) {
 }
 
 /** ———————————————————————————————————————————————————————————————
- * buildBundlesSnapshot(ca)
+ * buildBundlesSnapshot(ca, chainKey, { force })
  *  • Scans earliest transfers (asc) and clusters first ~100 recipients
  *    receiving directly from creator / ZERO / token (if moonshot).
  *  • Useful to detect “bundles” of simultaneous early buys.
- * Cached 10 minutes.
+ *  • force=true skips the cache (manual refresh).
+ * Cached 10 minutes under token:<chain>:<ca>:bundles.
  * ——————————————————————————————————————————————————————————————— */
-export async function buildBundlesSnapshot(contractAddress) {
+export async function buildBundlesSnapshot(contractAddress, chainKey = 'tabs', { force = false } = {}) {
+  const chain = resolveChain(chainKey);
   const ca = String(contractAddress || '').toLowerCase();
-  const cacheKey = `token:${ca}:bundles`;
-  const cached = await getJSON(cacheKey);
-  if (cached) return cached;
+  const cacheKey = `token:${chain.key}:${ca}:bundles`;
+  if (!force) {
+    const cached = await getJSON(cacheKey);
+    if (cached) return cached;
+  }
 
   const { creator, allowTokenAsSender, meta } = await detectLaunchMeta(ca, chain);
 
   if (!creator && !allowTokenAsSender) {
-    const res = { updatedAt: Date.now(), totalBundles: 0, groups: [], hints: { creator:null, allowTokenAsSender:false, meta } };
+    const res = { chain: chain.key, tokenAddress: ca, updatedAt: Date.now(), totalBundles: 0, groups: [], hints: { creator:null, allowTokenAsSender:false, meta } };
     await setJSON(cacheKey, res, 600);
     return res;
   }
@@ -99,7 +103,7 @@ export async function buildBundlesSnapshot(contractAddress) {
   const PAGES = 12;   // ~2400 events max
   const OFFSET = 200;
   for (let page=1; page<=PAGES; page++) {
-    const batch = await esGET({ module:'account', action:'tokentx', contractaddress: ca, page, offset: OFFSET, sort:'asc' });
+    const batch = await esGET({ module:'account', action:'tokentx', contractaddress: ca, page, offset: OFFSET, sort:'asc' }, chain.etherscanChainId);
     if (!Array.isArray(batch) || !batch.length) break;
     out.push(...batch);
     if (batch.length < OFFSET) break;
@@ -179,6 +183,8 @@ export async function buildBundlesSnapshot(contractAddress) {
   }).sort((a,b)=> b.size - a.size || b.sharePct - a.sharePct);
 
   const result = {
+    chain: chain.key,
+    tokenAddress: ca,
     updatedAt: Date.now(),
     totalBundles: groupStats.length,
     groups: groupStats,
@@ -190,24 +196,28 @@ export async function buildBundlesSnapshot(contractAddress) {
 }
 
 /** ———————————————————————————————————————————————————————————————
- * buildFundingMap(ca)
+ * buildFundingMap(ca, chainKey, { force })
  *  • Very lightweight “who funded early” view.
  *  • Aggregates value transferred FROM (creator | ZERO | token-if-moonshot)
  *    TO distinct addresses in the earliest ~2000 transfers.
- *  • Returns a simple ranked list by amount and a few totals.
- * Cached 10 minutes.
+ *  • Returns a simple ranked list by amount (raw + decimals + % of supply)
+ *    and the recipient list per source, for holding checks.
+ * Cached 10 minutes under token:<chain>:<ca>:funding.
  * ——————————————————————————————————————————————————————————————— */
-export async function buildFundingMap(contractAddress) {
+export async function buildFundingMap(contractAddress, chainKey = 'tabs', { force = false } = {}) {
+  const chain = resolveChain(chainKey);
   const ca = String(contractAddress || '').toLowerCase();
-  const cacheKey = `token:${ca}:funding`;
-  const cached = await getJSON(cacheKey);
-  if (cached) return cached;
+  const cacheKey = `token:${chain.key}:${ca}:funding`;
+  if (!force) {
+    const cached = await getJSON(cacheKey);
+    if (cached) return cached;
+  }
 
   const { creator, allowTokenAsSender, meta } = await detectLaunchMeta(ca, chain);
 
   // If we can't identify any valid funding source, return an empty map
   if (!creator && !allowTokenAsSender) {
-    const res = { updatedAt: Date.now(), sources: [], uniqueRecipients: 0, totalFundedRaw: '0', hints: { creator:null, allowTokenAsSender:false, meta } };
+    const res = { chain: chain.key, tokenAddress: ca, updatedAt: Date.now(), sources: [], uniqueRecipients: 0, totalFundedRaw: '0', totalSupplyRaw: '0', decimals: 18, hints: { creator:null, allowTokenAsSender:false, meta } };
     await setJSON(cacheKey, res, 600);
     return res;
   }
@@ -217,12 +227,18 @@ export async function buildFundingMap(contractAddress) {
   const PAGES = 10;   // ~2000
   const OFFSET = 200;
   for (let page=1; page<=PAGES; page++) {
-    const batch = await esGET({ module:'account', action:'tokentx', contractaddress: ca, page, offset: OFFSET, sort:'asc' });
+    const batch = await esGET({ module:'account', action:'tokentx', contractaddress: ca, page, offset: OFFSET, sort:'asc' }, chain.etherscanChainId);
     if (!Array.isArray(batch) || !batch.length) break;
     out.push(...batch);
     if (batch.length < OFFSET) break;
   }
 
+  let totalSupply = 0n;
+  try {
+    totalSupply = toBig(await esGET({ module:'stats', action:'tokensupply', contractaddress: ca }, chain.etherscanChainId) || '0');
+  } catch { /* share of supply shows as N/A */ }
+  const decimals = Number(out[0]?.tokenDecimal ?? 18);
+
   const totalsBySource = new Map();   // from -> bigint amount
   const recipientsBySource = new Map(); // from -> Set(to)
   let totalFunded = 0n;
@@ -248,19 +264,30 @@ export async function buildFundingMap(contractAddress) {
     recipientsBySource.get(k).add(to);
   }
 
+  const supplyPct = (amt) => totalSupply > 0n ? Number((amt * 1000000n) / totalSupply) / 10000 : null;
+  const kindOf = (source) => (creator && source === creator) ? 'creator' : (source === ZERO ? 'mint' : 'token');
+
   const sources = [...totalsBySource.entries()]
     .map(([source, amt]) => ({
       source,
+      kind: kindOf(source),
       amountRaw: amt.toString(),
-      uniqueRecipients: recipientsBySource.get(source)?.size || 0
+      supplyPct: supplyPct(amt),
+      uniqueRecipients: recipientsBySource.get(source)?.size || 0,
+      recipients: [...(recipientsBySource.get(source) || [])],
     }))
     .sort((a,b) => (toBig(b.amountRaw) > toBig(a.amountRaw) ? 1 : -1));
 
   const result = {
+    chain: chain.key,
+    tokenAddress: ca,
     updatedAt: Date.now(),
     sources,
-    uniqueRecipients: [...recipientsBySource.values()].reduce((acc, s) => acc + (s?.size || 0), 0),
+    uniqueRecipients: new Set([...recipientsBySource.values()].flatMap(s => [...s])).size,
     totalFundedRaw: totalFunded.toString(),
+    totalFundedPct: supplyPct(totalFunded),
+    totalSupplyRaw: totalSupply.toString(),
+    decimals,
     hints: { creator, allowTokenAsSender, meta }
   };
 
@@ -268,6 +295,25 @@ export async function buildFundingMap(contractAddress) {
   return result;
 }
 
+/** ———————————————————————————————————————————————————————————————
+ * fundingHoldStats(funding, balances)
+ *  • Counts how many funded recipients still hold a non-zero balance,
+ *    per source and overall, given the Map from loadBalances().
+ * ——————————————————————————————————————————————————————————————— */
+export function fundingHoldStats(funding, balances) {
+  if (!funding || !(balances instanceof Map)) return null;
+  const bySource = {};
+  const holding = new Set();
+  for (const s of funding.sources || []) {
+    let n = 0;
+    for (const addr of s.recipients || []) {
+      if ((balances.get(addr) || 0n) > 0n) { n++; holding.add(addr); }
+    }
+    bySource[s.source] = n;
+  }
+  return { bySource, holding: holding.size };
+}
+
 // default export with both builders
 export default { buildBundlesSnapshot, buildFundingMap };
 export { buildBundlesSnapshot as detectBundles };
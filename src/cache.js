@@ -52,3 +52,58 @@ export async function withLock(lockKey, ttlSec, fn) {
     }
   }
 }
+
+const SREM_PRUNE_LUA = `
+local n = redis.call('SREM', KEYS[1], ARGV[1])
+local pruned = 0
+if redis.call('SCARD', KEYS[1]) == 0 then pruned = redis.call('SREM', KEYS[2], ARGV[2]) end
+return { n, pruned }`;
+
+/**
+ * SREM member from setKey and, if the set is now empty, SREM indexMember from indexKey — atomically,
+ * so a concurrent SADD to both can't leave the set populated but missing from the index.
+ * Returns [removed, pruned] (0/1 each).
+ */
+export async function sremAndPrune(setKey, member, indexKey, indexMember) {
+  return redis.eval(SREM_PRUNE_LUA, 2, setKey, indexKey, String(member), String(indexMember));
+}
+
+const HSETNX_CAPPED_LUA = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 then return 0 end
+if redis.call('HLEN', KEYS[1]) >= tonumber(ARGV[3]) then return -1 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return 1`;
+
+/** HSETNX that also refuses once the hash holds max fields. Returns 1 (set), 0 (field exists) or -1 (full). */
+export async function hsetnxCapped(key, field, value, max) {
+  return redis.eval(HSETNX_CAPPED_LUA, 1, key, String(field), value, String(max));
+}
+
+/** "<chain>:<address>" id used as hash field / set member for a token or wallet on a chain. */
+export const pairId = (chainKey, addr) => `${chainKey}:${addr}`;
+
+/** Inverse of pairId: [chainKey, addr]. */
+export function splitPairId(id) {
+  const i = id.indexOf(':');
+  return [id.slice(0, i), id.slice(i + 1)];
+}
+
+/** JSON.parse that returns null for missing or malformed values. */
+export function parseJSON(raw) {
+  try { return raw ? JSON.parse(raw) : null; } catch { return null; }
+}
+
+export async function hgetJSON(key, field) {
+  return parseJSON(await redis.hget(key, field));
+}
+
+/** Every JSON value of a hash, ascending by the numeric field sortBy. */
+export async function hvalsJSON(key, sortBy) {
+  const rows = (await redis.hvals(key)).map(parseJSON).filter(Boolean);
+  return sortBy ? rows.sort((a, b) => a[sortBy] - b[sortBy]) : rows;
+}
+
+/** Members of a set of pairIds as [chainKey, addr] tuples. */
+export async function smembersPairs(key) {
+  return (await redis.smembers(key)).map(splitPairId);
+}
@@ -0,0 +1,64 @@
+// src/callbacks.js
+// Compact callback_data for inline keyboards. Telegram caps callback_data at 64 bytes, so
+// views and chains get short codes and addresses drop their 0x:
+//   "<view>:<chain>:<40 hex>[:<arg>…]"      e.g. holders page 3 on Base → "h:b:4200…0006:3"
+// The longest button (pnlv … profits:<page>:<sort>) is 62 bytes. Portfolio views carry the portfolio id
+// (hex, see walletGroups.js) in the address slot, and pnltoken the ledger id (pnlLedger.js).
+// Buttons sent before this format ("stats:0x…:1") still parse; their chain comes back null.
+import { CHAINS } from './chains.js';
+
+const VIEW_CODES = {
+  stats: 's', open: 'o', buyers: 'b', holders: 'h', changes: 'c', refresh: 'r',
+  index: 'i', index_refresh: 'ir',
+  bundles: 'bu', bundles_refresh: 'br',
+  funding: 'f', funding_refresh: 'fr',
+  clusters: 'cl', clusters_refresh: 'cr',
+  pnl: 'p', pnlv: 'pv', pnl_refresh: 'pr',
+  portfolio: 'pf', portfolio_refresh: 'pfr', pnltoken: 'pt',
+  chart: 'ch', history: 'hi', trending: 'tr', export: 'x',
+  unwatch: 'uw', untrack: 'ut',
+};
+const CODE_VIEWS = Object.fromEntries(Object.entries(VIEW_CODES).map(([v, c]) => [c, v]));
+
+const CHAIN_CODES = Object.fromEntries(Object.values(CHAINS).map(c => [c.key, c.cbCode]));
+const CODE_CHAINS = Object.fromEntries(Object.values(CHAINS).map(c => [c.cbCode, c.key]));
+const NO_CHAIN = '_';
+
+// Old layouts put the chain before the address for these two
+const LEGACY_CHAIN_FIRST = new Set(['unwatch', 'untrack']);
+
+/** callback_data for a button: cb('holders', 'base', '0xabc…', 2) → "h:b:abc…:2". */
+export function cb(view, chainKey, addr, ...args) {
+  const code = VIEW_CODES[view];
+  if (!code) throw new Error(`callbacks: unknown view "${view}"`);
+  const hex = String(addr || '').toLowerCase().replace(/^0x/, '');
+  const out = [code, CHAIN_CODES[chainKey] || NO_CHAIN, hex, ...args.filter(a => a != null)].join(':');
+  if (out.length > 64) throw new Error(`callbacks: "${out}" exceeds 64 bytes`);
+  return out;
+}
+
+/** { view, chain, addr, args } for either format, or null when it isn't one of ours. */
+export function parseCb(data) {
+  const [head, ...parts] = String(data || '').split(':');
+
+  if (CODE_VIEWS[head]) {
+    const [chainCode, hex, ...args] = parts;
+    return { view: CODE_VIEWS[head], chain: CODE_CHAINS[chainCode] || null, addr: hex ? `0x${hex}` : '', args };
+  }
+
+  if (VIEW_CODES[head]) {
+    if (LEGACY_CHAIN_FIRST.has(head)) {
+      const [chain, addr, ...args] = parts;
+      return { view: head, chain: chain || null, addr: addr || '', args };
+    }
+    const [addr, ...args] = parts;
+    return { view: head, chain: null, addr: addr || '', args };
+  }
+  return null;
+}
+
+/** bot.action trigger matching the given views in both formats. */
+export function cbRoute(...views) {
+  const heads = views.flatMap(v => [VIEW_CODES[v], v]);
+  return new RegExp(`^(?:${heads.join('|')}):`);
+}
@@ -1,12 +1,14 @@
 // src/chains.js
 // Central multichain config. Extend here to support more EVM chains.
 export const CHAINS = {
-  // key: { title, etherscanChainId, dsSlug, aliases:[] }
+  // key: { title, etherscanChainId, dsSlug, cbCode, aliases:[] }
+  // cbCode: one-char id used in button callback data (see callbacks.js) — keep it unique and stable
   tabs: {            // Abstract
     key: 'tabs',
     title: 'Abstract',
     etherscanChainId: '2741',
     dsSlug: 'abstract',
+    cbCode: 't',
     aliases: ['abstract', 'abs']
   },
   base: {
@@ -14,6 +16,7 @@ export const CHAINS = {
     title: 'Base',
     etherscanChainId: '8453',
     dsSlug: 'base',
+    cbCode: 'b',
     aliases: ['coinbase', 'cb']
   },
   polygon: {
@@ -21,13 +24,15 @@ export const CHAINS = {
     title: 'Polygon',
     etherscanChainId: '137',
     dsSlug: 'polygon',
+    cbCode: 'p',
     aliases: ['matic', 'poly']
   },
-  bnb: {
+  bsc: {
     key: 'bsc',
     title: 'Binance',
     etherscanChainId: '56',
     dsSlug: 'bsc',
+    cbCode: 'n',
     aliases: ['bnb', 'bsc']
   },
 };
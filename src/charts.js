@@ -0,0 +1,290 @@
+// src/charts.js
+// PNG charts drawn in pure JS: an RGB raster, a 5×7 bitmap font and a tiny PNG encoder on top of
+// node:zlib. No canvas, browser or native module — the bot sends the Buffer as a photo.
+//
+//   lineChartPng({ title, subtitle, points:[{ t, v }], color })   price / holder-count history
+//   barChartPng({ title, subtitle, bars:[{ label, value }] })      distPct / distUsd histograms
+//   pieChartPng({ title, subtitle, slices:[{ label, value }] })    top-holder shares
+import zlib from 'node:zlib';
+
+const W = 960;
+const H = 540;
+
+const COLORS = {
+  bg:    [0x17, 0x1a, 0x21],
+  grid:  [0x2c, 0x31, 0x3c],
+  axis:  [0x5c, 0x63, 0x70],
+  text:  [0xe6, 0xe8, 0xeb],
+  muted: [0x9a, 0xa1, 0xad],
+  line:  [0x4f, 0xc3, 0xf7],
+  bar:   [0x81, 0xc7, 0x84],
+};
+// Pie slices, in order; the last one is reused for "Others"
+const PALETTE = [
+  [0x4f, 0xc3, 0xf7], [0xff, 0xb7, 0x4d], [0x81, 0xc7, 0x84], [0xe5, 0x73, 0x73], [0xba, 0x68, 0xc8],
+  [0x4d, 0xd0, 0xe1], [0xff, 0xd5, 0x4f], [0xa1, 0x88, 0x7f], [0xf0, 0x62, 0x92], [0x90, 0xa4, 0xae],
+];
+
+// ----- PNG encoding -----
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function encodePng(width, height, rgb) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 2;  // colour type: RGB
+  // compression, filter, interlace: 0
+
+  // every scanline starts with filter byte 0 (none)
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) rgb.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ----- 5×7 font (row-major, bit 4 = leftmost column); text is drawn upper-case -----
+const GLYPHS = {
+  '0': [0x0e,0x11,0x13,0x15,0x19,0x11,0x0e], '1': [0x04,0x0c,0x04,0x04,0x04,0x04,0x0e],
+  '2': [0x0e,0x11,0x01,0x02,0x04,0x08,0x1f], '3': [0x1f,0x02,0x04,0x02,0x01,0x11,0x0e],
+  '4': [0x02,0x06,0x0a,0x12,0x1f,0x02,0x02], '5': [0x1f,0x10,0x1e,0x01,0x01,0x11,0x0e],
+  '6': [0x06,0x08,0x10,0x1e,0x11,0x11,0x0e], '7': [0x1f,0x01,0x02,0x04,0x08,0x08,0x08],
+  '8': [0x0e,0x11,0x11,0x0e,0x11,0x11,0x0e], '9': [0x0e,0x11,0x11,0x0f,0x01,0x02,0x0c],
+  'A': [0x0e,0x11,0x11,0x11,0x1f,0x11,0x11], 'B': [0x1e,0x11,0x11,0x1e,0x11,0x11,0x1e],
+  'C': [0x0e,0x11,0x10,0x10,0x10,0x11,0x0e], 'D': [0x1c,0x12,0x11,0x11,0x11,0x12,0x1c],
+  'E': [0x1f,0x10,0x10,0x1e,0x10,0x10,0x1f], 'F': [0x1f,0x10,0x10,0x1e,0x10,0x10,0x10],
+  'G': [0x0e,0x11,0x10,0x17,0x11,0x11,0x0f], 'H': [0x11,0x11,0x11,0x1f,0x11,0x11,0x11],
+  'I': [0x0e,0x04,0x04,0x04,0x04,0x04,0x0e], 'J': [0x07,0x02,0x02,0x02,0x02,0x12,0x0c],
+  'K': [0x11,0x12,0x14,0x18,0x14,0x12,0x11], 'L': [0x10,0x10,0x10,0x10,0x10,0x10,0x1f],
+  'M': [0x11,0x1b,0x15,0x15,0x11,0x11,0x11], 'N': [0x11,0x11,0x19,0x15,0x13,0x11,0x11],
+  'O': [0x0e,0x11,0x11,0x11,0x11,0x11,0x0e], 'P': [0x1e,0x11,0x11,0x1e,0x10,0x10,0x10],
+  'Q': [0x0e,0x11,0x11,0x11,0x15,0x12,0x0d], 'R': [0x1e,0x11,0x11,0x1e,0x14,0x12,0x11],
+  'S': [0x0f,0x10,0x10,0x0e,0x01,0x01,0x1e], 'T': [0x1f,0x04,0x04,0x04,0x04,0x04,0x04],
+  'U': [0x11,0x11,0x11,0x11,0x11,0x11,0x0e], 'V': [0x11,0x11,0x11,0x11,0x11,0x0a,0x04],
+  'W': [0x11,0x11,0x11,0x15,0x15,0x15,0x0a], 'X': [0x11,0x11,0x0a,0x04,0x0a,0x11,0x11],
+  'Y': [0x11,0x11,0x11,0x0a,0x04,0x04,0x04], 'Z': [0x1f,0x01,0x02,0x04,0x08,0x10,0x1f],
+  ' ': [0,0,0,0,0,0,0],                      '.': [0,0,0,0,0,0x0c,0x0c],
+  ',': [0,0,0,0,0x0c,0x04,0x08],             ':': [0,0x0c,0x0c,0,0x0c,0x0c,0],
+  '%': [0x18,0x19,0x02,0x04,0x08,0x13,0x03], '$': [0x04,0x0f,0x14,0x0e,0x05,0x1e,0x04],
+  '-': [0,0,0,0x1f,0,0,0],                   '+': [0,0x04,0x04,0x1f,0x04,0x04,0],
+  '<': [0x02,0x04,0x08,0x10,0x08,0x04,0x02], '>': [0x08,0x04,0x02,0x01,0x02,0x04,0x08],
+  '≥': [0x08,0x04,0x02,0x04,0x08,0,0x1f],    '≤': [0x02,0x04,0x08,0x04,0x02,0,0x1f],
+  '/': [0,0x01,0x02,0x04,0x08,0x10,0],       '(': [0x02,0x04,0x08,0x08,0x08,0x04,0x02],
+  ')': [0x08,0x04,0x02,0x02,0x02,0x04,0x08], '=': [0,0,0x1f,0,0x1f,0,0],
+  '?': [0x0e,0x11,0x01,0x02,0x04,0,0x04],    '#': [0x0a,0x0a,0x1f,0x0a,0x1f,0x0a,0x0a],
+  '_': [0,0,0,0,0,0,0x1f],                   '·': [0,0,0,0x0c,0x0c,0,0],
+  '…': [0,0,0,0,0,0,0x15],                   "'": [0x04,0x04,0x08,0,0,0,0],
+};
+const GLYPH_ALIASES = { '–': '-', '—': '-', '−': '-', '×': 'X' };
+
+// ----- Raster -----
+function surface(width, height, bg = COLORS.bg) {
+  const px = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < px.length; i += 3) { px[i] = bg[0]; px[i + 1] = bg[1]; px[i + 2] = bg[2]; }
+
+  const set = (x, y, c) => {
+    x |= 0; y |= 0;
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 3;
+    px[i] = c[0]; px[i + 1] = c[1]; px[i + 2] = c[2];
+  };
+
+  const rect = (x, y, w, h, c) => {
+    for (let yy = Math.round(y); yy < Math.round(y + h); yy++) {
+      for (let xx = Math.round(x); xx < Math.round(x + w); xx++) set(xx, yy, c);
+    }
+  };
+
+  // Bresenham with a square brush
+  const line = (x0, y0, x1, y1, c, thick = 1) => {
+    x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+    const r = Math.floor(thick / 2);
+    let err = dx + dy;
+    for (;;) {
+      rect(x0 - r, y0 - r, thick, thick, c);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x0 += sx; }
+      if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+  };
+
+  const textWidth = (s, scale = 2) => [...String(s)].length * 6 * scale - scale;
+
+  const text = (s, x, y, c = COLORS.text, scale = 2, align = 'left') => {
+    const chars = [...String(s).toUpperCase()];
+    let cx = align === 'center' ? x - textWidth(s, scale) / 2 : align === 'right' ? x - textWidth(s, scale) : x;
+    for (const ch of chars) {
+      // accented letters (translated titles) fall back to the base letter: Ñ → N, Ş → S
+      const g = GLYPHS[ch] || GLYPHS[GLYPH_ALIASES[ch]] || GLYPHS[ch.normalize('NFD')[0]] || GLYPHS['?'];
+      for (let row = 0; row < 7; row++) {
+        for (let col = 0; col < 5; col++) {
+          if (g[row] & (0x10 >> col)) rect(cx + col * scale, y + row * scale, scale, scale, c);
+        }
+      }
+      cx += 6 * scale;
+    }
+  };
+
+  return { width, height, set, rect, line, text, textWidth, png: () => encodePng(width, height, px) };
+}
+
+// ----- Labels -----
+// Short axis numbers: 1.2K / 3.4M / 0.00001234 (4 significant digits below 1)
+export function axisNum(v) {
+  const n = Number(v || 0);
+  const a = Math.abs(n);
+  if (a >= 1e9) return (n / 1e9).toFixed(a >= 1e10 ? 0 : 1) + 'B';
+  if (a >= 1e6) return (n / 1e6).toFixed(a >= 1e7 ? 0 : 1) + 'M';
+  if (a >= 1e4) return (n / 1e3).toFixed(a >= 1e5 ? 0 : 1) + 'K';
+  if (a >= 1 || a === 0) return String(Math.round(n * 100) / 100);
+  return n.toFixed(Math.min(12, 3 - Math.floor(Math.log10(a))));
+}
+
+// UTC "MM-DD HH:MM" for the x axis
+const axisTime = (t) => new Date(t).toISOString().slice(5, 16).replace('T', ' ');
+
+function frame(s, title, subtitle) {
+  s.text(title, 40, 28, COLORS.text, 3);
+  if (subtitle) s.text(subtitle, 40, 62, COLORS.muted, 2);
+}
+
+// ----- Charts -----
+/** Line chart over time. points = [{ t: ms, v }], oldest first. */
+export function lineChartPng({ title, subtitle = '', points = [], color = COLORS.line }) {
+  const s = surface(W, H);
+  frame(s, title, subtitle);
+  const pts = points.filter(p => Number.isFinite(Number(p.v)) && p.t);
+  const R = W - 40, T = 100, B = H - 60;
+
+  if (pts.length < 2) {
+    s.text('Not enough history yet', W / 2, H / 2, COLORS.muted, 3, 'center');
+    return s.png();
+  }
+
+  let lo = Math.min(...pts.map(p => Number(p.v)));
+  let hi = Math.max(...pts.map(p => Number(p.v)));
+  if (hi === lo) { hi = hi ? hi * 1.05 : 1; lo = lo ? lo * 0.95 : 0; }
+  const pad = (hi - lo) * 0.08;
+  hi += pad; lo = Math.max(0, lo - pad);
+  // left margin fits the widest y label (tiny prices run long)
+  const ticks = [0, 1, 2, 3, 4].map(i => lo + (hi - lo) * (i / 4));
+  const L = 36 + Math.max(...ticks.map(v => s.textWidth(axisNum(v), 2)));
+  const t0 = pts[0].t, t1 = pts[pts.length - 1].t;
+  const X = (t) => L + (R - L) * ((t - t0) / Math.max(1, t1 - t0));
+  const Y = (v) => B - (B - T) * ((v - lo) / (hi - lo));
+
+  for (const v of ticks) {
+    s.line(L, Y(v), R, Y(v), COLORS.grid);
+    s.text(axisNum(v), L - 12, Y(v) - 7, COLORS.muted, 2, 'right');
+  }
+  s.line(L, T, L, B, COLORS.axis, 2);
+  s.line(L, B, R, B, COLORS.axis, 2);
+  s.text(axisTime(t0), L, B + 16, COLORS.muted, 2);
+  s.text(axisTime(t1) + ' UTC', R, B + 16, COLORS.muted, 2, 'right');
+
+  for (let i = 1; i < pts.length; i++) {
+    s.line(X(pts[i - 1].t), Y(Number(pts[i - 1].v)), X(pts[i].t), Y(Number(pts[i].v)), color, 3);
+  }
+  return s.png();
+}
+
+/** Vertical bar chart with the count above each bar. bars = [{ label, value }]. */
+export function barChartPng({ title, subtitle = '', bars = [], color = COLORS.bar }) {
+  const s = surface(W, H);
+  frame(s, title, subtitle);
+  const L = 40, R = W - 40, T = 130, B = H - 70;
+
+  if (!bars.length) {
+    s.text('No data', W / 2, H / 2, COLORS.muted, 3, 'center');
+    return s.png();
+  }
+
+  const max = Math.max(1, ...bars.map(b => Number(b.value || 0)));
+  const slot = (R - L) / bars.length;
+  const bw = Math.max(8, slot * 0.6);
+  s.line(L, B, R, B, COLORS.axis, 2);
+
+  bars.forEach((b, i) => {
+    const v = Number(b.value || 0);
+    const cx = L + slot * i + slot / 2;
+    const h = (B - T) * (v / max);
+    s.rect(cx - bw / 2, B - h, bw, h, color);
+    s.text(axisNum(v), cx, B - h - 22, COLORS.text, 2, 'center');
+    const label = String(b.label || '');
+    const scale = s.textWidth(label, 2) <= slot - 6 ? 2 : 1;
+    s.text(label, cx, B + 16, COLORS.muted, scale, 'center');
+  });
+  return s.png();
+}
+
+/** Pie chart with a legend; slices past the palette are folded into "Others". */
+export function pieChartPng({ title, subtitle = '', slices = [] }) {
+  const s = surface(W, H);
+  frame(s, title, subtitle);
+
+  let parts = slices.filter(p => Number(p.value) > 0);
+  if (parts.length > PALETTE.length) {
+    const rest = parts.slice(PALETTE.length - 1).reduce((a, p) => a + Number(p.value), 0);
+    parts = [...parts.slice(0, PALETTE.length - 1), { label: 'Others', value: rest }];
+  }
+  const total = parts.reduce((a, p) => a + Number(p.value), 0);
+  if (!total) {
+    s.text('No data', W / 2, H / 2, COLORS.muted, 3, 'center');
+    return s.png();
+  }
+
+  const cx = 280, cy = 310, r = 190;
+  // slice i covers [edges[i], edges[i+1]) of the turn, clockwise from 12 o'clock
+  const edges = [0];
+  for (const p of parts) edges.push(edges[edges.length - 1] + Number(p.value) / total);
+  for (let y = cy - r; y <= cy + r; y++) {
+    for (let x = cx - r; x <= cx + r; x++) {
+      const dx = x - cx, dy = y - cy;
+      if (dx * dx + dy * dy > r * r) continue;
+      const turn = ((Math.atan2(dx, -dy) / (2 * Math.PI)) + 1) % 1;
+      let i = 0;
+      while (i < parts.length - 1 && turn >= edges[i + 1]) i++;
+      s.set(x, y, PALETTE[i % PALETTE.length]);
+    }
+  }
+
+  parts.forEach((p, i) => {
+    const y = 130 + i * 36;
+    s.rect(540, y, 20, 20, PALETTE[i % PALETTE.length]);
+    const share = (Number(p.value) / total) * 100;
+    s.text(`${p.label}  ${share.toFixed(share < 10 ? 2 : 1)}%`, 574, y + 3, COLORS.text, 2);
+  });
+  return s.png();
+}
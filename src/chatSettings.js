@@ -0,0 +1,79 @@
+// src/chatSettings.js
+// Per-chat preferences stored as one JSON doc.
+//
+// Cache key:
+//   settings:chat:${chatId} -> { ...CHAT_DEFAULTS, updatedBy, updatedAt }
+import { getJSON, setJSON } from './cache.js';
+import { CHAINS } from './chains.js';
+import { makeFmt } from './ui_html.js';
+import { LOCALES, resolveLocale } from './i18n.js';
+
+export const CHAT_DEFAULTS = {
+  chain: 'tabs',          // chain for commands without an explicit [chain]
+  tz: null,               // IANA timezone for timestamps (null = server time)
+  numFormat: 'auto',      // see NUM_FORMATS in ui_html.js
+  locale: 'auto',         // reply language (en | es | tr); 'auto' follows the user's Telegram language
+  pnlWindow: '30d',       // default /pnl window
+  refreshCooldown: 30,    // seconds between manual refreshes of the same token
+  watchChg: 20,           // default |1h change| % for /watch
+  autodetect: false,      // reply to contract/wallet addresses pasted in messages (opt-in)
+};
+
+// Choices offered by the /settings keyboard (tapping a row cycles through them)
+export const SETTING_CHOICES = {
+  chain: Object.values(CHAINS).map(c => c.key),
+  tz: [null, 'UTC', 'Europe/London', 'Europe/Madrid', 'Europe/Istanbul', 'America/New_York', 'America/Los_Angeles', 'Asia/Singapore'],
+  numFormat: ['auto', 'en', 'eu', 'space'],
+  locale: ['auto', ...Object.keys(LOCALES)],
+  pnlWindow: ['24h', '7d', '30d', '90d', 'all'],
+  refreshCooldown: [15, 30, 60, 120],
+  watchChg: [10, 20, 30, 50],
+  autodetect: [false, true],
+};
+
+export const isValidTimezone = (tz) => {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
+};
+
+/** Next value of a setting in SETTING_CHOICES (wraps around; unknown current → first). */
+export function nextChoice(field, current) {
+  const list = SETTING_CHOICES[field] || [];
+  const i = list.indexOf(current);
+  return list[(i + 1) % list.length];
+}
+
+const key = (chatId) => `settings:chat:${chatId}`;
+
+/** Settings for a chat with defaults filled in. */
+export async function getChatSettings(chatId) {
+  const saved = chatId != null ? await getJSON(key(chatId)) : null;
+  return { ...CHAT_DEFAULTS, ...(saved || {}) };
+}
+
+/** Merge a patch into a chat's settings; returns the updated settings. */
+export async function updateChatSettings(chatId, patch, userId = null) {
+  const next = { ...(await getChatSettings(chatId)), ...patch, updatedBy: userId, updatedAt: Date.now() };
+  await setJSON(key(chatId), next);
+  return next;
+}
+
+/**
+ * Formatter + settings bundle passed to renderers as `opts`. locale is the catalog key (i18n.js);
+ * languageCode (the Telegram user's) only matters while the chat's language is 'auto'.
+ */
+export async function chatOpts(chatId, languageCode = null) {
+  const settings = await getChatSettings(chatId);
+  const locale = resolveLocale(settings.locale, languageCode);
+  return { settings, locale, fmt: makeFmt({ ...settings, intl: LOCALES[locale] }) };
+}
+
+/** Private chats: always allowed. Groups: creator/administrators only. */
+export async function canChangeSettings(ctx) {
+  if (ctx.chat?.type === 'private') return true;
+  try {
+    const member = await ctx.getChatMember(ctx.from.id);
+    return ['creator', 'administrator'].includes(member?.status);
+  } catch {
+    return false;
+  }
+}
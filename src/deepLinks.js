@@ -0,0 +1,49 @@
+// src/deepLinks.js
+// t.me/<bot>?start=<payload> links that open a view directly. Telegram allows 64 chars of
+// [A-Za-z0-9_-] in the payload:
+//   t_<chain>_<ca>          token overview          e.g. t_base_0x4200…0006
+//   w_<wallet>[_<chain>]    wallet PnL (chat's window; chain defaults to the chat's)
+import { CHAINS, resolveChain } from './chains.js';
+
+const ADDR = '0x[a-f0-9]{40}';
+const TOKEN_RE = new RegExp(`^t_([a-z0-9]+)_(${ADDR})$`);
+const WALLET_RE = new RegExp(`^w_(${ADDR})(?:_([a-z0-9]+))?$`);
+
+export const tokenPayload = (chainKey, ca) => `t_${resolveChain(chainKey).key}_${String(ca).toLowerCase()}`;
+export const walletPayload = (wallet, chainKey = null) =>
+  `w_${String(wallet).toLowerCase()}${chainKey ? `_${resolveChain(chainKey).key}` : ''}`;
+
+/** { kind:'token', chain, ca } | { kind:'wallet', wallet, chain|null } | null */
+export function parseStartPayload(payload) {
+  const p = String(payload || '').toLowerCase();
+  let m = p.match(TOKEN_RE);
+  if (m && CHAINS[m[1]]) return { kind: 'token', chain: m[1], ca: m[2] };
+  m = p.match(WALLET_RE);
+  if (m && (!m[2] || CHAINS[m[2]])) return { kind: 'wallet', wallet: m[1], chain: m[2] || null };
+  return null;
+}
+
+/** "🔗 Share" url button (Telegram's share sheet with the deep link), or null without a bot username. */
+export function shareButton(botUsername, payload, text = '', label = '🔗 Share') {
+  if (!botUsername) return null;
+  const link = `https://t.me/${botUsername}?start=${payload}`;
+  const url = `https://t.me/share/url?url=${encodeURIComponent(link)}${text ? `&text=${encodeURIComponent(text)}` : ''}`;
+  return { text:label, url };
+}
+
+/**
+ * "📱 Open dashboard" — the Mini App (webApp.js) at WEBAPP_URL?chain=&ca=. Telegram only allows
+ * web_app buttons in private chats, so elsewhere it links to the bot's DM with the same token.
+ * null when WEBAPP_URL isn't configured (or, outside DMs, without a bot username).
+ */
+export function dashboardButton(botUsername, chainKey, ca, label = '📱 Open dashboard', privateChat = false) {
+  const base = process.env.WEBAPP_URL;
+  if (!base) return null;
+  if (privateChat) {
+    const url = new URL(base); // keeps any query/hash WEBAPP_URL already has
+    url.searchParams.set('chain', resolveChain(chainKey).key);
+    url.searchParams.set('ca', String(ca).toLowerCase());
+    return { text:label, web_app:{ url:url.toString() } };
+  }
+  return botUsername ? { text:label, url:`https://t.me/${botUsername}?start=${tokenPayload(chainKey, ca)}` } : null;
+}
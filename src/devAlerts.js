@@ -0,0 +1,91 @@
+// src/devAlerts.js
+// Creator ("dev") sell detection. refreshToken hands over the creator balance and the
+// transfer logs of each refresh; we keep the previous state per token and notify the
+// chats watching it when the creator sends tokens out or the balance drops.
+//
+// Cache key:
+//   token:${chainKey}:${ca}:creator_state -> { creator, balanceRaw, lastBlock, updatedAt }
+import { getJSON, setJSON } from './cache.js';
+import { resolveChain } from './chains.js';
+import { sendHTMLTo } from './notify.js';
+import { watchersOf, listWatches } from './watchlist.js';
+import { renderDevSellAlert } from './renderers_alerts.js';
+import { chatOpts } from './chatSettings.js';
+
+// Ignore dust: only moves of at least this % of supply are reported
+export const DEV_ALERT_MIN_PCT = Number(process.env.DEV_ALERT_MIN_PCT || 0.1);
+const STATE_TTL = 30 * 24 * 3600;
+
+const ZERO = '0x0000000000000000000000000000000000000000';
+const DEAD = new Set([ZERO, '0x000000000000000000000000000000000000dead']);
+const lc = (s) => String(s || '').toLowerCase();
+const topicToAddr = (t) => ('0x' + String(t).slice(-40)).toLowerCase();
+const pctOf = (amt, supply) => supply > 0n ? Number((amt * 1000000n) / supply) / 10000 : 0;
+
+/**
+ * Diff against the previous state and return the events for this refresh:
+ *   [{ kind:'sell'|'transfer'|'drop', to?, txHash?, amountRaw, pct }]
+ * 'sell' = sent to the pair, 'transfer' = sent anywhere else, 'drop' = balance fell
+ * with no outgoing log in the window (e.g. logs missing). Burns are not reported.
+ */
+export function detectDevMoves(prev, { creator, balance, logs, supply, ammPair }) {
+  if (!prev || prev.creator !== creator) return [];
+  const pair = ammPair ? lc(ammPair) : null;
+  const minPct = DEV_ALERT_MIN_PCT;
+
+  const events = [];
+  let sentTotal = 0n;
+  for (const lg of logs) {
+    if (Number(lg.blockNumber || 0) <= prev.lastBlock) continue;
+    if (topicToAddr(lg.topics?.[1]) !== creator) continue;
+    const to = topicToAddr(lg.topics?.[2]);
+    if (DEAD.has(to)) continue;
+    let amt = 0n;
+    try { amt = BigInt(String(lg.data)); } catch {}
+    if (amt <= 0n) continue;
+    sentTotal += amt;
+    const pct = pctOf(amt, supply);
+    if (pct >= minPct) {
+      events.push({ kind: pair && to === pair ? 'sell' : 'transfer', to, txHash: lg.transactionHash || null, amountRaw: amt.toString(), pct });
+    }
+  }
+
+  // Balance drop not explained by the logs above
+  let prevBal = 0n;
+  try { prevBal = BigInt(prev.balanceRaw || '0'); } catch {}
+  const drop = prevBal - balance - sentTotal;
+  if (drop > 0n && pctOf(drop, supply) >= minPct) {
+    events.push({ kind: 'drop', amountRaw: drop.toString(), pct: pctOf(drop, supply) });
+  }
+  return events;
+}
+
+/**
+ * Called by refreshToken after a successful log crawl.
+ * First sighting of a token (or a new creator address) only records the state.
+ */
+export async function evaluateDevSells(chainKey, tokenAddress, payload, { creator, balance, logs, supply, ammPair }) {
+  const chain = resolveChain(chainKey);
+  const ca = lc(tokenAddress);
+  const dev = lc(creator);
+  if (!dev || !Array.isArray(logs) || !logs.length) return [];
+
+  const stateKey = `token:${chain.key}:${ca}:creator_state`;
+  const prev = await getJSON(stateKey);
+  const lastBlock = logs.reduce((m, lg) => Math.max(m, Number(lg.blockNumber || 0)), prev?.lastBlock || 0);
+
+  const events = detectDevMoves(prev, { creator: dev, balance, logs, supply, ammPair });
+  await setJSON(stateKey, { creator: dev, balanceRaw: balance.toString(), lastBlock, updatedAt: Date.now() }, STATE_TTL);
+  if (!events.length) return events;
+
+  console.log('[DEV] creator moves', ca, chain.key, events.map(e => `${e.kind}:${e.pct}%`).join(','));
+  const moves = { creator: dev, events, balancePct: pctOf(balance, supply) };
+  for (const chatId of await watchersOf(chain.key, ca)) {
+    // dev=0 on /watch opts a chat out of these
+    const item = (await listWatches(chatId)).find(x => x.ca === ca && x.chain === chain.key);
+    if (!item || item.th?.dev === 0) continue;
+    const { text, extra } = renderDevSellAlert(payload, chain, moves, await chatOpts(chatId));
+    await sendHTMLTo(chatId, text, extra);
+  }
+  return events;
+}
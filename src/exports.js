@@ -0,0 +1,148 @@
+// src/exports.js
+// ⬇️ Export documents (CSV by default, JSON on request) for the holders, buyers and PnL views.
+// Builders are pure: bot.js loads the data and uploads each { filename, source } with
+// replyWithDocument. Quantities come both raw and decimals-adjusted (formatUnits).
+import { formatUnits } from './util.js';
+
+export const EXPORT_KINDS = { h: 'holders', b: 'buyers', p: 'pnl' };
+
+const NUMERIC_RE = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+
+// Symbols, names and labels are attacker-controlled: text that a spreadsheet would run as a
+// formula (= + - @ tab CR) gets a leading ' — numbers (even negative ones) stay as they are.
+// Then RFC 4180: quote fields with separators, quotes or line breaks.
+function csvCell(v) {
+  let s = v == null ? '' : String(v);
+  if (/^[=+\-@\t\r]/.test(s) && !NUMERIC_RE.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+const isoTs = (sec) => (sec ? new Date(Number(sec) * 1000).toISOString() : '');
+const short = (a) => String(a || '').slice(2, 10);
+
+function doc(name, format, columns, rows, json) {
+  return format === 'json'
+    ? { filename: `${name}.json`, source: Buffer.from(JSON.stringify(json, null, 2)) }
+    : { filename: `${name}.csv`, source: Buffer.from(toCsv(columns, rows)) };
+}
+
+/* ---------- Holders (full balances map, see balances.js) ---------- */
+const HOLDER_COLUMNS = ['rank', 'address', 'balance', 'balance_raw', 'percent_supply', 'tag'];
+
+/** bal = loadBalances() result; summary tags the LP pair and the creator. */
+export function holdersExport(bal, summary, format = 'csv') {
+  const decimals = Number(bal.decimals ?? summary?.decimals ?? 18);
+  const entries = [...bal.balances.entries()].sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0));
+  let supply = 0n;
+  try { supply = BigInt(bal.totalSupply || '0'); } catch {}
+  if (supply <= 0n) supply = entries.reduce((s, [, v]) => s + v, 0n);
+
+  const pair = String(summary?.market?.pairAddress || '').toLowerCase();
+  const creator = String(summary?.creator?.address || '').toLowerCase();
+  const rows = entries.map(([address, raw], i) => ({
+    rank: i + 1,
+    address,
+    balance: formatUnits(raw, decimals),
+    balance_raw: raw.toString(),
+    percent_supply: supply > 0n ? Number((raw * 100_000_000n) / supply) / 1e6 : '',
+    tag: address === pair ? 'lp' : address === creator ? 'creator' : '',
+  }));
+
+  const meta = { tokenAddress: bal.tokenAddress, chain: bal.chain, updatedAt: bal.updatedAt, decimals, totalSupply: supply.toString() };
+  return [doc(`holders_${bal.chain}_${short(bal.tokenAddress)}`, format, HOLDER_COLUMNS, rows, { ...meta, holders: rows })];
+}
+
+/* ---------- First buyers (summary.first20Buyers) ---------- */
+const BUYER_COLUMNS = ['rank', 'address', 'status', 'first_buy', 'first_buy_raw', 'balance_now', 'balance_now_raw', 'block'];
+
+export function buyersExport(summary, format = 'csv') {
+  const decimals = Number(summary.decimals ?? 18);
+  // summaries cached before amounts were recorded leave those columns empty
+  const units = (raw) => (raw == null ? '' : formatUnits(raw, decimals));
+  const rows = (summary.first20Buyers || []).map((b, i) => ({
+    rank: i + 1,
+    address: b.address,
+    status: b.status,
+    first_buy: units(b.firstBuyRaw),
+    first_buy_raw: b.firstBuyRaw ?? '',
+    balance_now: units(b.balanceRaw),
+    balance_now_raw: b.balanceRaw ?? '',
+    block: b.block ?? '',
+  }));
+
+  const meta = { tokenAddress: summary.tokenAddress, chain: summary.chain, updatedAt: summary.updatedAt, decimals };
+  return [doc(`buyers_${summary.chain}_${short(summary.tokenAddress)}`, format, BUYER_COLUMNS, rows, { ...meta, buyers: rows })];
+}
+
+/* ---------- PnL (refreshPnl result + its per-token ledgers, see pnlCache.js / pnlLedger.js) ---------- */
+const POSITION_COLUMNS = [
+  'token', 'symbol', 'decimals', 'bought_qty', 'sold_qty', 'spent_eth', 'recv_eth', 'avg_cost_eth',
+  'realized_eth', 'realized_pct', 'held_qty', 'value_usd', 'unrealized_eth', 'last_trade',
+];
+const TRADE_COLUMNS = ['time', 'token', 'symbol', 'side', 'qty', 'eth', 'price_eth', 'position', 'avg_cost_eth', 'tx'];
+
+/**
+ * data = cachedPnl().data, ledgers = loadLedgers() doc. CSV comes as two files
+ * (positions + trades); JSON is one file with the whole computation.
+ */
+export function pnlExport(data, ledgers, format = 'csv') {
+  const name = `pnl_${data._meta?.chain || 'tabs'}_${short(data.wallet)}${(data.wallets || []).length > 1 ? `+${data.wallets.length - 1}` : ''}_${data.window}`;
+  const tokens = ledgers?.tokens || [];
+
+  if (format === 'json') {
+    const { ledger, ...rest } = data;
+    return [doc(name, 'json', [], [], { ...rest, ledgers: tokens })];
+  }
+
+  const realized = new Map([...(data.fullProfits || []), ...(data.fullLosses || [])].map(r => [r.token, r]));
+  const open = new Map((data.open || []).map(r => [r.token, r]));
+  const byToken = new Map(tokens.map(l => [l.token, l]));
+  const positions = [...new Set([...byToken.keys(), ...open.keys()])].map(token => {
+    const l = byToken.get(token) || {};
+    const r = realized.get(token) || {};
+    const o = open.get(token) || {};
+    return {
+      token,
+      symbol: o.symbol || l.symbol || r.symbol || '',
+      decimals: l.decimals ?? o.decimals ?? '',
+      bought_qty: l.boughtQty ?? '',
+      sold_qty: l.soldQty ?? '',
+      spent_eth: l.spentEth ?? '',
+      recv_eth: l.recvEth ?? '',
+      avg_cost_eth: l.avgCostEth ?? o.avgBuyEth ?? '',
+      realized_eth: l.realizedEth ?? '',
+      realized_pct: r.realizedPct ?? '',
+      held_qty: o.heldNum ?? '',
+      value_usd: o.usdNow ?? '',
+      unrealized_eth: o.unrealizedEth ?? '',
+      last_trade: isoTs(o.lastTs || r.lastTs || l.trades?.[l.trades.length - 1]?.ts),
+    };
+  });
+
+  const trades = tokens
+    .flatMap(l => (l.trades || []).map(tr => ({
+      time: isoTs(tr.ts),
+      token: l.token,
+      symbol: l.symbol,
+      side: tr.side,
+      qty: tr.qty,
+      eth: tr.eth,
+      price_eth: tr.priceEth,
+      position: tr.position,
+      avg_cost_eth: tr.avgCostEth,
+      tx: tr.hash,
+      _ts: tr.ts || 0,
+    })))
+    .sort((a, b) => a._ts - b._ts);
+
+  return [
+    doc(`${name}_positions`, 'csv', POSITION_COLUMNS, positions),
+    doc(`${name}_trades`, 'csv', TRADE_COLUMNS, trades),
+  ];
+}
@@ -0,0 +1,89 @@
+// src/history.js
+// Per-token time series, appended by the refresh worker on every summary refresh.
+// Feeds /history, the 📉 price / holder-count charts and anything else that needs "how did it move".
+//
+// Cache keys (sorted sets, score = ts ms, member = JSON point):
+//   token:${chainKey}:${ca}:history        every refresh                 kept 48h
+//   token:${chainKey}:${ca}:history:1h     last point of each hour       kept 30d
+//   token:${chainKey}:${ca}:history:1d     last point of each UTC day    kept 1y
+// Point: { t, p: priceUsd, m: marketCap, l: liquidityUsd, h: holdersCount, t10: top10 %, c: creator %, b: burned % }
+import { redis } from './cache.js';
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+// finest tier first; a read uses the finest tier that still covers the requested range
+const TIERS = [
+  { suffix: '',    bucket: 0,    keep: 2 * DAY },
+  { suffix: ':1h', bucket: HOUR, keep: 30 * DAY },
+  { suffix: ':1d', bucket: DAY,  keep: 365 * DAY },
+];
+
+export const HISTORY_WINDOWS = { '24h': DAY, '7d': 7 * DAY, '30d': 30 * DAY };
+
+const historyKey = (chainKey, ca, suffix = '') => `token:${chainKey}:${String(ca).toLowerCase()}:history${suffix}`;
+
+const numOrNull = (x) => (x == null || !Number.isFinite(Number(x)) ? null : Number(x));
+
+/** Compact point from a refreshed summary (refreshWorker payload). */
+export function historyPoint(summary) {
+  const m = summary?.market || {};
+  return {
+    t: Number(summary?.updatedAt || Date.now()),
+    p: numOrNull(m.priceUsd) || null,
+    m: numOrNull(m.marketCap) || null,
+    l: numOrNull(m.liquidityUsd) || null,
+    h: numOrNull(summary?.holdersCount),
+    t10: numOrNull(summary?.top10CombinedPct),
+    c: numOrNull(summary?.creator?.percent),
+    b: numOrNull(summary?.burnedPct),
+  };
+}
+
+/** Append a point to every tier; bucketed tiers keep only the latest point per bucket. */
+export async function recordHistoryPoint(chainKey, ca, summary) {
+  const point = historyPoint(summary);
+  const member = JSON.stringify(point);
+  const tx = redis.multi();
+  for (const tier of TIERS) {
+    const key = historyKey(chainKey, ca, tier.suffix);
+    if (tier.bucket) {
+      const start = Math.floor(point.t / tier.bucket) * tier.bucket;
+      tx.zremrangebyscore(key, start, `(${start + tier.bucket}`);
+    }
+    tx.zadd(key, point.t, member);
+    tx.zremrangebyscore(key, '-inf', `(${point.t - tier.keep}`);
+    tx.pexpire(key, tier.keep);
+  }
+  await tx.exec();
+  return point;
+}
+
+/**
+ * Points of the last window ('24h' | '7d' | '30d'), oldest first, from the finest tier that keeps
+ * that long. The tier comes from the window itself, not from a caller-computed timestamp, so
+ * a few ms of drift can't push a 30d read down to the daily tier.
+ */
+export async function getHistory(chainKey, ca, window = '24h') {
+  const span = HISTORY_WINDOWS[window] || HISTORY_WINDOWS['24h'];
+  const tier = TIERS.find(t => t.keep >= span) || TIERS[TIERS.length - 1];
+  const rows = await redis.zrangebyscore(historyKey(chainKey, ca, tier.suffix), Date.now() - span, '+inf');
+  return rows.map(r => { try { return JSON.parse(r); } catch { return null; } }).filter(Boolean);
+}
+
+/**
+ * First vs latest point of a window: { window, from, to, points, high, low } (high/low = price),
+ * or null with fewer than two points.
+ */
+export function historyChange(points, window) {
+  if (!points || points.length < 2) return null;
+  const prices = points.map(p => p.p).filter(v => v != null);
+  return {
+    window,
+    from: points[0],
+    to: points[points.length - 1],
+    points: points.length,
+    high: prices.length ? Math.max(...prices) : null,
+    low: prices.length ? Math.min(...prices) : null,
+  };
+}
@@ -0,0 +1,32 @@
+// src/i18n.js
+// Message catalogs (src/locales/*.js) and locale selection. A chat's /settings language wins;
+// 'auto' follows the Telegram user's language_code, then English. Renderers get the locale as
+// opts.locale (see chatOpts) and look strings up with translator(opts.locale).
+import en from './locales/en.js';
+import es from './locales/es.js';
+import tr from './locales/tr.js';
+
+const CATALOGS = { en, es, tr };
+
+// catalog -> Intl locale for numbers and dates (when the chat's number format is 'auto')
+export const LOCALES = { en: 'en-US', es: 'es-ES', tr: 'tr-TR' };
+export const DEFAULT_LOCALE = 'en';
+
+/** Chat setting ('auto' | 'en' | 'es' | 'tr') + Telegram language_code ('es', 'tr', 'pt-br', …) → catalog key. */
+export function resolveLocale(setting, languageCode = null) {
+  if (setting && setting !== 'auto' && CATALOGS[setting]) return setting;
+  const lang = String(languageCode || '').toLowerCase().split('-')[0];
+  return CATALOGS[lang] ? lang : DEFAULT_LOCALE;
+}
+
+/**
+ * t(key, vars) for a locale: missing keys fall back to English, then to the key itself.
+ * "{name}" placeholders are filled from vars.
+ */
+export function translator(locale = DEFAULT_LOCALE) {
+  const cat = CATALOGS[locale] || en;
+  return (key, vars = {}) => {
+    const s = cat[key] ?? en[key] ?? key;
+    return s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+  };
+}
@@ -0,0 +1,447 @@
+// src/locales/en.js
+// English catalog — the reference: every key lives here, other catalogs fall back to it.
+// "{name}" placeholders are filled by translator() (i18n.js). Values may contain Telegram HTML.
+export default {
+  // ----- shared -----
+  'common.updated': 'Updated: {date}',
+  'common.page': 'Page {page}/{total}',
+  'common.na': 'N/A',
+  'common.yes': 'Yes',
+  'common.no': 'No',
+  'common.token': 'Token',
+
+  'btn.overview': '🏠 Overview',
+  'btn.buyers': '🧑‍🤝‍🧑 Buyers',
+  'btn.holders': '📊 Holders',
+  'btn.index': '📈 Index',
+  'btn.bundles': '🧺 Bundles',
+  'btn.refresh': '↻ Refresh',
+  'btn.chart': '📉 Chart',
+  'btn.changes': '🐋 Changes',
+  'btn.about': 'ℹ️ About',
+  'btn.share': '🔗 Share',
+  'btn.dashboard': '📱 Open dashboard',
+  'btn.fullStats': '📊 Full stats',
+  'btn.holderCount': '📉 Holder count',
+  'btn.website': 'Website',
+  'btn.back': 'Back',
+  'btn.export': '⬇️ Export',
+  'btn.json': '🧾 JSON',
+
+  // ----- overview (renderers.js) -----
+  'ov.moonshot': 'Moonshot: <b>{v}</b>',
+  'ov.capFdv': 'FDV (as cap)',
+  'ov.cap': 'Market Cap',
+  'ov.noMarket': '<i>No market data yet</i>',
+  'ov.price': 'Price: <b>{price}</b>   {badge}',
+  'ov.priceNA': '<i>Price unavailable</i>',
+  'ov.volume': 'Volume:',
+  'ov.change': 'Change:',
+  'ov.holders': 'Holders: <b>{n}</b>',
+  'ov.holdersNA': 'Holders: <i>N/A (explorer)</i>',
+  'ov.top10': 'Top 10 combined: <b>{v}</b>',
+  'ov.top10NA': 'Top 10 combined: <i>N/A</i>',
+  'ov.burned': 'Burned: <b>{v}</b>',
+  'ov.burnedNA': 'Burned: <i>N/A</i>',
+  'ov.creator': 'Creator: <code>{addr}</code>: <b>{pct}</b>',
+  'ov.creatorUnknown': 'unknown',
+  'ov.pick': '<i>Pick a section:</i>',
+  'ov.secBuyers': '• <b>Buyers</b> — first 20 buyers + status',
+  'ov.secHolders': '• <b>Holders</b> — top 20 holder percentages',
+  'ov.secBundles': '• <b>Bundles</b> — early buyers grouped in the same block',
+  'ov.secChanges': '• <b>Changes</b> — top-holder moves since the last refresh',
+  'ov.source': '<i>Source: Dexscreener · Explorer</i>',
+  'ov.shareText': '{sym} on {chain}',
+
+  'compact.noMarket': '<i>No market data yet.</i>',
+  'compact.market': '💵 <b>{price}</b> · 24h <b>{chg}</b> · MC <b>{mc}</b> · Liq <b>{liq}</b>',
+  'compact.holders': 'Holders <b>{n}</b>',
+  'compact.top10': 'Top 10 <b>{v}</b>',
+  'compact.creator': 'Creator <b>{v}</b>',
+
+  'picker.title': '🔎 <b>"{query}" on {chain}</b>',
+  'picker.none': '<i>No token found. Check the ticker, try the name, or paste the contract address.</i>',
+  'picker.count': '{n} matches, most liquid first:',
+  'picker.row': 'Liq <b>{liq}</b> · MC <b>${mc}</b> · {dex}',
+  'picker.warn': '<i>Tickers are not unique — check the contract before trading.</i>',
+  'picker.button': '{i}. {sym} · ${liq} liq',
+
+  'buyers.title': '🧑‍🤝‍🧑 <b>First 20 Buyers — {name}</b>',
+  'buyers.none': '<i>No buyers found yet</i>',
+  'buyers.tip': 'Tip: Status uses final balance vs buy/sell history.',
+  'buyers.hold': '🟢 Hold',
+  'buyers.soldAll': '🔴 Sold All',
+  'buyers.soldSome': '🟠 Sold Some',
+  'buyers.boughtMore': '🔵 Bought More',
+
+  'holders.title': '📊 <b>Top Holders — {name}</b>',
+  'holders.none': '<i>Top holders unavailable.</i>',
+  'holders.notes': 'Notes:',
+  'holders.noteBurn': '• Burn addresses (0x0 / 0xdead) are included in burned%.',
+  'holders.noteTop10': '• Top-10 combined is shown in the overview.',
+
+  'changes.title': '🐋 <b>Changes since last refresh — {name}</b>',
+  'changes.noSnapshot': '<i>No previous snapshot yet — changes show up after the next refresh.</i>',
+  'changes.none': 'No movement in the top 20.',
+  'changes.entrants': '<b>New in top 20</b> ({n})',
+  'changes.exits': '<b>Left top 20</b> ({n})',
+  'changes.moves': '<b>Position changes</b> ({n})',
+  'changes.was': 'was {v}',
+  'changes.now': ', now {v}',
+
+  'about.title': '🤖 <b>tABS Tools</b>',
+  'about.market': '• Market: Dexscreener (Abstract)',
+  'about.transfers': '• Transfers & creator: Explorer',
+  'about.cooldown': '• Refresh cooldown: 30s',
+  'about.cache': '• Data cache: 3 minutes',
+  'about.footer': '<i>Made for Abstract chain token analytics.</i>',
+
+  // ----- PnL (renderers_pnl.js) -----
+  'pnl.portfolioTitle': '💼 <b>Portfolio PnL{name}</b> ({n} wallets)',
+  'pnl.internalMoves': '🔁 Internal moves ignored: {n}',
+  'pnl.walletTitle': '💼 <b>Wallet PnL — {wallet}</b>',
+  'pnl.window': 'Window: {window}',
+  'pnl.balance': '💰 Wallet Balance: {eth}',
+  'pnl.holdings': '📦 Holdings: {v}',
+  'pnl.airdropsTotal': '🎁 Airdrops: {v}',
+  'pnl.total': '{em} Total PnL: {eth} ETH  ({em2} {pct})',
+  'pnl.tabProfits': '📈 Profits',
+  'pnl.tabLosses': '📉 Losses',
+  'pnl.tabOpen': '📦 Open',
+  'pnl.tabAirdrops': '🎁 Airdrops',
+  'pnl.sortEth': 'Ξ ETH',
+  'pnl.sortPct': '% Return',
+  'pnl.sortRecent': '🕒 Recent',
+  'pnl.entry': '👛 <b>Wallet</b> <code>{wallet}</code>',
+  'pnl.pickWindow': 'Pick a window to compute PnL:',
+  'pnl.shareText': 'Wallet PnL',
+  'pnl.topProfits': 'Top Profits (realized)',
+  'pnl.topLosses': 'Top Losses (realized)',
+  'pnl.allProfits': '📈 <b>All Realized Profits</b>',
+  'pnl.allLosses': '📉 <b>All Realized Losses</b>',
+  'pnl.noProfits': '<i>No realized profits.</i>',
+  'pnl.noLosses': '<i>No realized losses.</i>',
+  'pnl.bought': 'Bought {eth} ETH',
+  'pnl.sold': 'Sold {eth} ETH',
+  'pnl.openTitle': '📦 <b>Open Positions (>$0.10)</b>',
+  'pnl.noOpen': '<i>No open positions.</i>',
+  'pnl.held': 'Held: {qty} — Now: {usd} ({eth} ETH/ea)',
+  'pnl.unrealized': 'Unrealized: {em} {eth} ETH{pct}',
+  'pnl.airdropsTitle': '🎁 <b>Airdrops</b>',
+  'pnl.noAirdrops': '<i>No airdrops found.</i>',
+  'pnl.tokens': 'Tokens:',
+  'pnl.nfts': 'NFTs:',
+  'pnl.qty': 'qty {qty}',
+
+  'pnl.tradesTitle': '🔎 <b>{sym} — trades</b>',
+  'pnl.portfolioN': 'Portfolio ({n} wallets)',
+  'pnl.wallet': 'Wallet {wallet}',
+  'pnl.earlier': '<i>{n} earlier trades not shown (totals below include them)</i>',
+  'pnl.buy': '🟢 BUY',
+  'pnl.sell': '🔴 SELL',
+  'pnl.position': 'Position {qty} · avg cost {price}',
+  'pnl.totals': '<b>Totals</b>',
+  'pnl.boughtFor': 'Bought {qty} for {eth} ETH ({n} buys)',
+  'pnl.soldFor': 'Sold {qty} for {eth} ETH ({n} sells)',
+  'pnl.avgCost': 'Avg cost: {price} ETH per token',
+  'pnl.realized': '{em} Realized = {recv} − {avg} × {qty} = {eth} ETH',
+  'pnl.noRealized': '<i>No realized PnL: {why}.</i>',
+  'pnl.nothingSold': 'nothing sold yet',
+  'pnl.noBuys': 'no buys in this window',
+  'pnl.pricesNote': '<i>Prices in ETH per token; cost basis is the average over the window.</i>',
+  'pnl.back': '⬅️ Back to PnL',
+
+  // ----- index (renderers_index.js) -----
+  'index.title': '📈 <b>Index</b>',
+  'index.crunching': '<i>Crunching holder distribution…</i>',
+  'index.cachedFor': 'This runs once and is cached for 6 hours.',
+  'index.lpExcluded': ' (LP excluded)',
+  'index.top10': 'Top-10 combined: <b>{v}</b>{lp}',
+  'index.gini': 'Inequality (Gini): <b>{v}</b>{lp} <i>(0=fair • 1=concentrated)</i>',
+  'index.gte10': 'Holders ≥ $10: <b>{n}</b>',
+  'index.distPct': 'Distribution by % of supply',
+  'index.distUsd': 'Distribution by estimated value',
+  'index.snapshot': '<i>Snapshot cached for ~6h.</i>',
+  'index.chartPct': '📉 Chart: % supply',
+  'index.chartUsd': '📉 Chart: value',
+
+  // ----- token views (bundles, funding, clusters, history, trending, compare, charts) -----
+  'btn.funding': '🪙 Funding',
+  'btn.clusters': '🕸 Clusters',
+  'btn.recompute': '↻ Recompute',
+
+  'bundles.title': '🧺 <b>Bundles — {name}</b>',
+  'bundles.none': '<i>No buyer bundles detected in the first 100 buys.</i>',
+  'bundles.detected': 'Detected <b>{n}</b> bundle group(s) among the first 100 buys.',
+  'bundles.group': '{i}. <b>{n} wallets</b> — ~{pct}% of early volume',
+
+  'funding.title': '🪙 <b>Early Funding — {name}</b>',
+  'funding.none': '<i>No early funding from creator, mint or launchpad found.</i>',
+  'funding.funded': 'Funded: <b>{amount}</b>{share}',
+  'funding.ofSupply': '{pct} of supply',
+  'funding.recipients': 'Recipients: <b>{n}</b>',
+  'funding.holding': 'Still holding: <b>{n}</b> / {total}',
+  'funding.holdingNA': 'Still holding: <i>N/A (balances refreshing — try again shortly)</i>',
+  'funding.holdingN': '{n} holding',
+  'funding.toRecipients': '{n} recipients',
+  'funding.srcCreator': '👤 Creator',
+  'funding.srcMint': '🪙 Mint (0x0)',
+  'funding.srcToken': '🌙 Token contract',
+  'funding.srcOther': 'Source',
+
+  'clusters.title': '🕸 <b>Funder Clusters — {name}</b>',
+  'clusters.failed': '<i>Analysis failed — try ↻ Recompute in a few minutes.</i>',
+  'clusters.queued': '<i>Queued…</i>',
+  'clusters.refreshing': '<i>Refreshing holder balances…</i>',
+  'clusters.resolving': '<i>Resolving funders…</i>',
+  'clusters.scanning': '<i>Scanning first buyers…</i>',
+  'clusters.explain': 'Links each of the first 100 buyers to the wallet that funded it (native, ≤2h before the buy). This runs in the background and can take a few minutes.',
+  'clusters.analysed': 'First buyers analysed: <b>{n}</b> · funder found: <b>{f}</b>',
+  'clusters.none': '<i>No funder funded 3+ of the first buyers.</i>',
+  'clusters.funder': '{i}. Funder <code>{addr}</code> — <b>{n} wallets</b>',
+  'clusters.ofSupply': '<b>{pct}</b> of supply',
+  'clusters.hold': '🟢 Hold ({now}/{n} still in)',
+  'clusters.sold': '🔴 Sold',
+  'clusters.holding': 'Holding: {share} · {status}',
+  'clusters.holdingNA': 'Holding: <i>N/A (no balances cached)</i>',
+
+  // history / compare table labels: at most 8 characters
+  'history.title': '🕰 <b>History — {sym}</b> · {chain}',
+  'history.price': 'Price',
+  'history.mcap': 'MCap',
+  'history.liq': 'Liq',
+  'history.holders': 'Holders',
+  'history.top10': 'Top-10',
+  'history.creator': 'Creator',
+  'history.burned': 'Burned',
+  'history.start': 'Start',
+  'history.now': 'Now',
+  'history.high': 'High',
+  'history.low': 'Low',
+  'history.pp': 'pp',
+  'history.span': '{from} → {to} · {n} points',
+  'history.none': '<i>No history yet — points are recorded on every refresh. Check back after a few refreshes.</i>',
+  'history.note': '<i>pp = percentage points. Windows with too few points show –.</i>',
+  'history.all': 'All',
+
+  'trending.title': '🔥 <b>Trending on {chain}</b> · last {window}',
+  'trending.none': '<i>No lookups yet in this window.</i>',
+  'trending.lookup': '{n} lookup',
+  'trending.lookups': '{n} lookups',
+  'trending.footer': '<i>Each user counts once per token per 24h. Price change is 24h, from cache.</i>',
+
+  'compare.title': '⚖️ <b>Token comparison</b>',
+  'compare.chain': 'Chain',
+  'compare.vol': 'Vol 24h',
+  'compare.chg': 'Chg 24h',
+  'compare.gini': 'Gini',
+  'compare.queued': '<i>{what} queued</i>',
+  'compare.pending.refresh': 'refresh',
+  'compare.pending.index': 'index',
+  'compare.missing': '<i>Some data was missing and has been queued — run the same /compare again in a minute.</i>',
+  'compare.lpNote': '<i>Top-10 and Gini exclude the LP when an index snapshot exists.</i>',
+
+  // chart titles are drawn in the PNG (charts.js: A–Z, 0–9, basic punctuation; accents are dropped)
+  'chart.priceTitle': '{sym} price (USD)',
+  'chart.holdersTitle': '{sym} holders',
+  'chart.snapshots': '{chain} · {n} snapshots',
+  'chart.priceCaption': '📉 <b>{sym} — price history</b>',
+  'chart.holdersCaption': '📉 <b>{sym} — holder count history</b>',
+  'chart.notEnough': '<i>Not enough snapshots yet — one is recorded on every refresh.</i>',
+  'chart.pieTitle': '{sym} top holders',
+  'chart.pieSubtitle': '% of supply',
+  'chart.others': 'Others',
+  'chart.pieCaption': '📉 <b>{sym} — top {n} holders</b>',
+  'chart.together': 'Together {pct}% of supply',
+  'chart.valueTitle': '{sym} holders by value',
+  'chart.pctTitle': '{sym} holders by % of supply',
+  'chart.holdersN': '{n} holders',
+  'chart.holdersLp': '{n} holders · LP excluded',
+  'chart.valueCaption': '📉 <b>{sym} — distribution by estimated value</b>',
+  'chart.pctCaption': '📉 <b>{sym} — distribution by % of supply</b>',
+  'chart.fromIndex': '<i>From the index snapshot (cached ~6h).</i>',
+
+  // ----- alerts + their lists (renderers_alerts.js) -----
+  'btn.unwatch': '🔕 Unwatch',
+  'btn.cancel': '❌ Cancel',
+  'btn.statsSym': '📊 Stats {sym}',
+
+  'watch.thChg': '1h ±{v}%',
+  'watch.thVol': 'vol ≥ {v}',
+  'watch.thMcap': 'mcap ↕ {v}',
+  'watch.thDev': 'dev sells',
+  'watch.thWhale': 'whale moves',
+  'watch.thNone': 'no thresholds',
+  'watch.hitChg': '{em} 1h change <b>{v}</b> (threshold ±{th}%)',
+  'watch.hitVol': '📊 24h volume <b>{v}</b> crossed {th}',
+  'watch.hitMcapAbove': '⬆️ Market cap <b>{v}</b> moved above {th}',
+  'watch.hitMcapBelow': '⬇️ Market cap <b>{v}</b> moved below {th}',
+  'watch.price': 'Price: <b>{v}</b>',
+  'watch.watching': '👁 Watching <code>{ca}</code> on <b>{chain}</b>',
+  'watch.updated': '👁 Updated <code>{ca}</code> on <b>{chain}</b>',
+  'watch.alerts': 'Alerts: {v}',
+  'watch.addedHelp': '<i>Checked on every refresh; change with /watch again, list with /watchlist.</i>',
+  'watch.listTitle': '👁 <b>Watchlist</b> ({n}{max})',
+  'watch.listEmpty': '<i>Nothing watched yet.</i>',
+  'watch.listAdd': 'Add one: /watch &lt;contract&gt; [chain] [chg=20] [vol=50k] [mcap=1m]',
+  'watch.listFooter': '<i>Alerts fire when a threshold is crossed (checked on every refresh).</i>',
+
+  'dev.title': '🚨 <b>Dev wallet activity</b> · {token} · {chain}',
+  'dev.sold': '🔴 Dev sold <b>{pct}%</b> of supply',
+  'dev.sent': '🟠 Dev sent <b>{pct}%</b> of supply to <code>{to}</code>',
+  'dev.dropped': '🟠 Dev balance dropped by <b>{pct}%</b> of supply',
+  'dev.holds': 'Dev now holds <b>{pct}%</b> · <code>{addr}</code>',
+
+  'whale.title': '🐋 <b>Whale moves</b> · {token} · {chain}',
+  'whale.entered': '🆕 {who} entered top 20 with <b>{pct}%</b>',
+  'whale.left': '🚪 {who} left top 20 (was {was}%{now})',
+  'whale.now': ', now {pct}%',
+
+  'target.price.above': 'Price above {v}',
+  'target.price.below': 'Price below {v}',
+  'target.mcap.above': 'Market cap above {v}',
+  'target.mcap.below': 'Market cap below {v}',
+  'target.firedPrice': '{em} Price is <b>{v}</b>',
+  'target.firedMcap': '{em} Market cap is <b>{v}</b>',
+  'target.target': 'Target: {v}',
+  'target.removed': '<i>This alert has been removed. Set a new one with /alert.</i>',
+  'target.set': '🎯 Alert set on <code>{ca}</code> ({chain})',
+  'target.now': 'now {v}',
+  'target.setHelp': '<i>Fires once, by DM. Manage with /alerts.</i>',
+  'target.listTitle': '🎯 <b>Your alerts</b> ({n}{max})',
+  'target.listEmpty': '<i>No active alerts.</i>',
+  'target.listAdd': 'Add one: /alert &lt;contract&gt; above|below &lt;value&gt; [price|mcap] [chain]',
+
+  'track.buy': '🟢 <b>BUY</b>',
+  'track.sell': '🔴 <b>SELL</b>',
+  'track.bought': 'Bought <b>{qty} {sym}</b> for <b>{eth} ETH</b>',
+  'track.sold': 'Sold <b>{qty} {sym}</b> for <b>{eth} ETH</b>',
+  'track.token': 'Token: <code>{ca}</code>',
+  'track.skippedOne': '<i>+{n} earlier trade not shown</i>',
+  'track.skipped': '<i>+{n} earlier trades not shown</i>',
+  'track.listTitle': '👣 <b>Tracked wallets</b> ({n})',
+  'track.listEmpty': '<i>No wallets tracked yet.</i>',
+  'track.listAdd': 'Add one: /track &lt;wallet&gt; [label] [chain]',
+  'track.listFooter': '<i>Each member can track up to {max} wallets here. New buys/sells are posted as they happen.</i>',
+
+  // ----- /settings (renderers_settings.js) -----
+  'set.title': '⚙️ <b>Chat settings</b>',
+  'set.chain': 'Default chain',
+  'set.tz': 'Timezone',
+  'set.numFormat': 'Number format',
+  'set.locale': 'Language',
+  'set.pnlWindow': 'Default PnL window',
+  'set.refreshCooldown': 'Refresh cooldown',
+  'set.watchChg': 'Default /watch 1h change',
+  'set.autodetect': 'Auto-detect addresses',
+  'set.serverTime': 'server time',
+  'set.numAuto': 'auto (language)',
+  'set.localeAuto': 'auto (Telegram language)',
+  'set.on': 'on',
+  'set.off': 'off',
+  'set.preview': '<i>Preview:</i>',
+  'set.tapHint': '<i>Tap a row to change it. Any IANA zone: /settings tz Europe/Berlin</i>',
+  'set.adminsOnly': '<i>Only group admins can change these.</i>',
+
+  // ----- exports.js documents -----
+  'export.holders': '⬇️ <b>{name}</b> — all {n} holders',
+  'export.buyers': '⬇️ <b>{name}</b> — first {n} buyers',
+  'export.pnl': '⬇️ <b>PnL</b> — {window}, {n} wallet(s)',
+
+  // ----- bot.js replies -----
+  'bot.greeting': 'the tABS Laboratory on Telegram is ready. If you see this message the bot is live!\nUse /tabs <contract>  •  /pnl <wallet>',
+  'bot.send': 'Send: {usage}',
+  'bot.usage': 'Usage: {usage}',
+  'bot.failed': '{what}: something went wrong.',
+  'bot.pnlError': 'PNL error: {error}',
+  'bot.initializing': 'Initializing… try again in a few seconds.',
+  'bot.initializingLink': 'Initializing… send the link again in a few seconds.',
+  'bot.initializingTap': 'Initializing… tap it again in a few seconds.',
+  'bot.initializingShort': 'Initializing… try again shortly.',
+  'bot.recentlyRefreshed': 'Recently refreshed ({age}s ago). Try again shortly.',
+  'bot.refreshFailed': 'Couldn\'t queue refresh{error}',
+  'bot.refreshingCa': 'Refreshing {ca}…',
+  'bot.badToken': 'Bad token "{arg}". {usage}',
+  'bot.compareUsage': 'Send: /compare <contract> <contract> [contract] [contract]\nPrefix a chain when needed, e.g. /compare 0x… base:0x…',
+  'bot.badThreshold': 'Bad threshold "{arg}". {usage}',
+  'bot.watchFull': 'Watchlist is full ({max}). Remove one with /unwatch <contractAddress>.',
+  'bot.unwatched': 'Removed {ca} from the watchlist.',
+  'bot.notWatched': 'Not on this chat’s watchlist.',
+  'bot.alertUsage': 'Send: /alert <contractAddress> above|below <value> [price|mcap] [chain]\ne.g. /alert 0x… above 0.0012  ·  /alert 0x… below 500k mcap',
+  'bot.alertsPerUser': 'Alerts are per user — send this from your own account.',
+  'bot.alreadyAbove': 'Already above that: {metric} is {current}. Pick a target it hasn\'t reached yet.',
+  'bot.alreadyBelow': 'Already below that: {metric} is {current}. Pick a target it hasn\'t reached yet.',
+  'bot.metricPrice': 'price',
+  'bot.metricMcap': 'market cap',
+  'bot.alertsFull': 'You already have {max} alerts. Cancel one in /alerts.',
+  'bot.trackFull': 'You already track {max} wallets in this chat. Remove one with /untrack <wallet>.',
+  'bot.trackUpdated': 'Updated {name} on {chain}.',
+  'bot.tracking': 'Tracking {name} on {chain}. New buys and sells will be posted here.',
+  'bot.untracked': 'Stopped tracking {wallet}.',
+  'bot.notTracked': 'That wallet isn’t tracked in this chat.',
+  'bot.settingsUsage': 'Send: /settings  ·  /settings tz <IANA zone, e.g. Europe/Berlin>',
+  'bot.adminsOnly': 'Only group admins can change this.',
+  'bot.badTimezone': 'Unknown timezone "{tz}". Use an IANA name like Europe/Berlin or America/Chicago.',
+  'bot.portfolioComputing': '⏳ Computing portfolio PnL for {n} wallets…',
+  'bot.noGroupSee': 'No group "{name}". See /pnlgroup.',
+  'bot.pnlUsage': 'Usage: /pnl <walletAddress> [24h|7d|30d|90d|all]\nPortfolio: /pnl <wallet> <wallet> … or /pnl <group> (see /pnlgroup)',
+  'bot.portfolioMax': 'A portfolio can have up to {max} wallets.',
+  'bot.noTrades': 'No trades of that token by this wallet in {window}.',
+  'bot.groupsPerUser': 'Groups are per user — send this from your own account.',
+  'bot.groupSaveUsage': 'Send: /pnlgroup save <name> <wallet> <wallet> …\nName: up to 16 of a-z 0-9 _ -',
+  'bot.groupMax': 'A group can have up to {max} wallets.',
+  'bot.groupsFull': 'You already have {max} groups. Delete one with /pnlgroup del <name>.',
+  'bot.groupSaved': 'Saved group "{name}" ({n} wallets). Run it with /pnl {name}',
+  'bot.groupUpdated': 'Updated group "{name}" ({n} wallets). Run it with /pnl {name}',
+  'bot.groupDeleted': 'Deleted group "{name}".',
+  'bot.noGroup': 'No group "{name}".',
+  'bot.groupsTitle': '💼 <b>Your wallet groups</b>',
+  'bot.noneYet': '<i>None yet.</i>',
+  'bot.groupsHelp': 'Save: /pnlgroup save &lt;name&gt; &lt;wallet&gt; &lt;wallet&gt; …\nRun: /pnl &lt;name&gt;  ·  Delete: /pnlgroup del &lt;name&gt;',
+  'bot.autodetectState': 'Auto-detect is {state} here.\nUse /autodetect on|off (group admins only).',
+  'bot.on': 'ON',
+  'bot.off': 'OFF',
+  'bot.autodetectOn': 'Auto-detect ON: pasted token contracts get a compact overview, wallets get a PnL shortcut.',
+  'bot.autodetectOff': 'Auto-detect OFF.',
+  'bot.fetchingStats': '⏳ Fetching stats for <code>{ca}</code>…',
+  'bot.inlineLoading': '⏳ Loading token data…',
+  'bot.inlineNotCached': '{ca} — not cached yet, try again in a few seconds',
+  'bot.inlineTapOverview': 'Tap <b>Overview</b> in a few seconds.',
+  'bot.clustersNoResult': '🕸 <b>Funder Clusters</b>\n\n<i>Analysis finished without a result — try again.</i>',
+  'bot.fundingTitle': '🪙 <b>Early Funding</b>',
+  'bot.bundlesTitle': '🧺 <b>Bundles</b>',
+  'bot.scanning': '<i>Scanning early transfers…</i>',
+
+  // inline mode result cards (overviewArticle)
+  'inline.mc': 'MC {v}',
+  'inline.chg': '24h {v}',
+
+  // callback answers (toasts / alerts)
+  'ack.upToDate': 'Already up to date',
+  'ack.working': 'Working…',
+  'ack.loading': 'Loading…',
+  'ack.refreshing': 'Refreshing…',
+  'ack.refreshed': 'Refreshed',
+  'ack.recomputing': 'Recomputing…',
+  'ack.recomputed': 'Recomputed {m}m ago. Try again later.',
+  'ack.drawing': 'Drawing chart…',
+  'ack.error': 'Error',
+  'ack.errorRetry': 'Error — try again',
+  'ack.badAddress': 'Bad address',
+  'ack.chartInline': 'Charts are sent as photos — open the token in the bot chat.',
+  'ack.indexFirst': 'Open 📈 Index first — the distribution is still being computed.',
+  'ack.unwatched': 'Removed from watchlist',
+  'ack.alreadyRemoved': 'Already removed',
+  'ack.alertCancelled': 'Alert cancelled',
+  'ack.notYourAlert': 'Not one of your alerts',
+  'ack.untracked': 'Stopped tracking',
+  'ack.unknownSetting': 'Unknown setting',
+  'ack.settingsAdmins': 'Only group admins can change settings',
+  'ack.saved': 'Saved',
+  'ack.portfolioExpired': 'This portfolio expired — run /pnl again.',
+  'ack.tradesExpired': 'These trades expired — open the PnL again.',
+  'ack.exporting': 'Preparing export…',
+  'ack.exportInline': 'Exports are sent as files — open the view in the bot chat.',
+  'ack.exportRefreshing': 'Holder list not cached yet — refreshing, try again in a minute.',
+  'ack.pnlExpired': 'This PnL expired — open it again.',
+};
@@ -0,0 +1,446 @@
+// src/locales/es.js
+// Spanish catalog. Missing keys fall back to en.js; command syntax stays as typed (/pnl <wallet> …).
+export default {
+  // ----- shared -----
+  'common.updated': 'Actualizado: {date}',
+  'common.page': 'Página {page}/{total}',
+  'common.na': 'N/D',
+  'common.yes': 'Sí',
+  'common.no': 'No',
+  'common.token': 'Token',
+
+  'btn.overview': '🏠 Resumen',
+  'btn.buyers': '🧑‍🤝‍🧑 Compradores',
+  'btn.holders': '📊 Holders',
+  'btn.index': '📈 Índice',
+  'btn.bundles': '🧺 Bundles',
+  'btn.refresh': '↻ Actualizar',
+  'btn.chart': '📉 Gráfico',
+  'btn.changes': '🐋 Cambios',
+  'btn.about': 'ℹ️ Info',
+  'btn.share': '🔗 Compartir',
+  'btn.dashboard': '📱 Abrir panel',
+  'btn.fullStats': '📊 Ver todo',
+  'btn.holderCount': '📉 Nº de holders',
+  'btn.website': 'Web',
+  'btn.back': 'Volver',
+  'btn.export': '⬇️ Exportar',
+  'btn.json': '🧾 JSON',
+
+  // ----- overview (renderers.js) -----
+  'ov.moonshot': 'Moonshot: <b>{v}</b>',
+  'ov.capFdv': 'FDV (como cap.)',
+  'ov.cap': 'Cap. de mercado',
+  'ov.noMarket': '<i>Aún no hay datos de mercado</i>',
+  'ov.price': 'Precio: <b>{price}</b>   {badge}',
+  'ov.priceNA': '<i>Precio no disponible</i>',
+  'ov.volume': 'Volumen:',
+  'ov.change': 'Variación:',
+  'ov.holders': 'Holders: <b>{n}</b>',
+  'ov.holdersNA': 'Holders: <i>N/D (explorador)</i>',
+  'ov.top10': 'Top 10 combinado: <b>{v}</b>',
+  'ov.top10NA': 'Top 10 combinado: <i>N/D</i>',
+  'ov.burned': 'Quemado: <b>{v}</b>',
+  'ov.burnedNA': 'Quemado: <i>N/D</i>',
+  'ov.creator': 'Creador: <code>{addr}</code>: <b>{pct}</b>',
+  'ov.creatorUnknown': 'desconocido',
+  'ov.pick': '<i>Elige una sección:</i>',
+  'ov.secBuyers': '• <b>Compradores</b> — primeros 20 compradores + estado',
+  'ov.secHolders': '• <b>Holders</b> — porcentajes de los 20 mayores holders',
+  'ov.secBundles': '• <b>Bundles</b> — primeros compradores agrupados en el mismo bloque',
+  'ov.secChanges': '• <b>Cambios</b> — movimientos de los mayores holders desde la última actualización',
+  'ov.source': '<i>Fuente: Dexscreener · Explorador</i>',
+  'ov.shareText': '{sym} en {chain}',
+
+  'compact.noMarket': '<i>Aún no hay datos de mercado.</i>',
+  'compact.market': '💵 <b>{price}</b> · 24h <b>{chg}</b> · MC <b>{mc}</b> · Liq <b>{liq}</b>',
+  'compact.holders': 'Holders <b>{n}</b>',
+  'compact.top10': 'Top 10 <b>{v}</b>',
+  'compact.creator': 'Creador <b>{v}</b>',
+
+  'picker.title': '🔎 <b>"{query}" en {chain}</b>',
+  'picker.none': '<i>No se encontró ningún token. Revisa el ticker, prueba con el nombre o pega la dirección del contrato.</i>',
+  'picker.count': '{n} resultados, el más líquido primero:',
+  'picker.row': 'Liq <b>{liq}</b> · MC <b>${mc}</b> · {dex}',
+  'picker.warn': '<i>Los tickers no son únicos — verifica el contrato antes de operar.</i>',
+  'picker.button': '{i}. {sym} · ${liq} liq',
+
+  'buyers.title': '🧑‍🤝‍🧑 <b>Primeros 20 compradores — {name}</b>',
+  'buyers.none': '<i>Aún no hay compradores</i>',
+  'buyers.tip': 'Nota: el estado compara el saldo final con el historial de compras/ventas.',
+  'buyers.hold': '🟢 Mantiene',
+  'buyers.soldAll': '🔴 Vendió todo',
+  'buyers.soldSome': '🟠 Vendió parte',
+  'buyers.boughtMore': '🔵 Compró más',
+
+  'holders.title': '📊 <b>Mayores holders — {name}</b>',
+  'holders.none': '<i>Mayores holders no disponibles.</i>',
+  'holders.notes': 'Notas:',
+  'holders.noteBurn': '• Las direcciones de quema (0x0 / 0xdead) cuentan en el % quemado.',
+  'holders.noteTop10': '• El top 10 combinado aparece en el resumen.',
+
+  'changes.title': '🐋 <b>Cambios desde la última actualización — {name}</b>',
+  'changes.noSnapshot': '<i>Aún no hay captura anterior — los cambios aparecerán tras la próxima actualización.</i>',
+  'changes.none': 'Sin movimientos en el top 20.',
+  'changes.entrants': '<b>Nuevos en el top 20</b> ({n})',
+  'changes.exits': '<b>Salieron del top 20</b> ({n})',
+  'changes.moves': '<b>Cambios de posición</b> ({n})',
+  'changes.was': 'tenía {v}',
+  'changes.now': ', ahora {v}',
+
+  'about.title': '🤖 <b>tABS Tools</b>',
+  'about.market': '• Mercado: Dexscreener (Abstract)',
+  'about.transfers': '• Transferencias y creador: explorador',
+  'about.cooldown': '• Espera entre actualizaciones: 30 s',
+  'about.cache': '• Caché de datos: 3 minutos',
+  'about.footer': '<i>Hecho para analizar tokens de la cadena Abstract.</i>',
+
+  // ----- PnL (renderers_pnl.js) -----
+  'pnl.portfolioTitle': '💼 <b>PnL de cartera{name}</b> ({n} wallets)',
+  'pnl.internalMoves': '🔁 Movimientos internos ignorados: {n}',
+  'pnl.walletTitle': '💼 <b>PnL de la wallet — {wallet}</b>',
+  'pnl.window': 'Periodo: {window}',
+  'pnl.balance': '💰 Saldo de la wallet: {eth}',
+  'pnl.holdings': '📦 Posiciones: {v}',
+  'pnl.airdropsTotal': '🎁 Airdrops: {v}',
+  'pnl.total': '{em} PnL total: {eth} ETH  ({em2} {pct})',
+  'pnl.tabProfits': '📈 Ganancias',
+  'pnl.tabLosses': '📉 Pérdidas',
+  'pnl.tabOpen': '📦 Abiertas',
+  'pnl.tabAirdrops': '🎁 Airdrops',
+  'pnl.sortEth': 'Ξ ETH',
+  'pnl.sortPct': '% Rentab.',
+  'pnl.sortRecent': '🕒 Recientes',
+  'pnl.entry': '👛 <b>Wallet</b> <code>{wallet}</code>',
+  'pnl.pickWindow': 'Elige un periodo para calcular el PnL:',
+  'pnl.shareText': 'PnL de la wallet',
+  'pnl.topProfits': 'Mayores ganancias (realizadas)',
+  'pnl.topLosses': 'Mayores pérdidas (realizadas)',
+  'pnl.allProfits': '📈 <b>Todas las ganancias realizadas</b>',
+  'pnl.allLosses': '📉 <b>Todas las pérdidas realizadas</b>',
+  'pnl.noProfits': '<i>Sin ganancias realizadas.</i>',
+  'pnl.noLosses': '<i>Sin pérdidas realizadas.</i>',
+  'pnl.bought': 'Comprado {eth} ETH',
+  'pnl.sold': 'Vendido {eth} ETH',
+  'pnl.openTitle': '📦 <b>Posiciones abiertas (>$0.10)</b>',
+  'pnl.noOpen': '<i>Sin posiciones abiertas.</i>',
+  'pnl.held': 'Cantidad: {qty} — Ahora: {usd} ({eth} ETH/ud.)',
+  'pnl.unrealized': 'No realizado: {em} {eth} ETH{pct}',
+  'pnl.airdropsTitle': '🎁 <b>Airdrops</b>',
+  'pnl.noAirdrops': '<i>No se encontraron airdrops.</i>',
+  'pnl.tokens': 'Tokens:',
+  'pnl.nfts': 'NFTs:',
+  'pnl.qty': 'cant. {qty}',
+
+  'pnl.tradesTitle': '🔎 <b>{sym} — operaciones</b>',
+  'pnl.portfolioN': 'Cartera ({n} wallets)',
+  'pnl.wallet': 'Wallet {wallet}',
+  'pnl.earlier': '<i>{n} operaciones anteriores no se muestran (los totales las incluyen)</i>',
+  'pnl.buy': '🟢 COMPRA',
+  'pnl.sell': '🔴 VENTA',
+  'pnl.position': 'Posición {qty} · coste medio {price}',
+  'pnl.totals': '<b>Totales</b>',
+  'pnl.boughtFor': 'Comprado {qty} por {eth} ETH ({n} compras)',
+  'pnl.soldFor': 'Vendido {qty} por {eth} ETH ({n} ventas)',
+  'pnl.avgCost': 'Coste medio: {price} ETH por token',
+  'pnl.realized': '{em} Realizado = {recv} − {avg} × {qty} = {eth} ETH',
+  'pnl.noRealized': '<i>Sin PnL realizado: {why}.</i>',
+  'pnl.nothingSold': 'aún no se ha vendido nada',
+  'pnl.noBuys': 'no hay compras en este periodo',
+  'pnl.pricesNote': '<i>Precios en ETH por token; el coste base es la media del periodo.</i>',
+  'pnl.back': '⬅️ Volver al PnL',
+
+  // ----- index (renderers_index.js) -----
+  'index.title': '📈 <b>Índice</b>',
+  'index.crunching': '<i>Calculando la distribución de holders…</i>',
+  'index.cachedFor': 'Se calcula una vez y se guarda en caché 6 horas.',
+  'index.lpExcluded': ' (sin LP)',
+  'index.top10': 'Top 10 combinado: <b>{v}</b>{lp}',
+  'index.gini': 'Desigualdad (Gini): <b>{v}</b>{lp} <i>(0=equitativo • 1=concentrado)</i>',
+  'index.gte10': 'Holders ≥ $10: <b>{n}</b>',
+  'index.distPct': 'Distribución por % del suministro',
+  'index.distUsd': 'Distribución por valor estimado',
+  'index.snapshot': '<i>Captura en caché durante ~6 h.</i>',
+  'index.chartPct': '📉 Gráfico: % suministro',
+  'index.chartUsd': '📉 Gráfico: valor',
+
+  // ----- token views (bundles, funding, clusters, history, trending, compare, charts) -----
+  'btn.funding': '🪙 Financiación',
+  'btn.clusters': '🕸 Clústeres',
+  'btn.recompute': '↻ Recalcular',
+
+  'bundles.title': '🧺 <b>Bundles — {name}</b>',
+  'bundles.none': '<i>No se detectaron bundles de compradores en las primeras 100 compras.</i>',
+  'bundles.detected': 'Se detectaron <b>{n}</b> grupo(s) de bundle entre las primeras 100 compras.',
+  'bundles.group': '{i}. <b>{n} wallets</b> — ~{pct}% del volumen inicial',
+
+  'funding.title': '🪙 <b>Financiación inicial — {name}</b>',
+  'funding.none': '<i>No se encontró financiación inicial del creador, del mint ni del launchpad.</i>',
+  'funding.funded': 'Financiado: <b>{amount}</b>{share}',
+  'funding.ofSupply': '{pct} del suministro',
+  'funding.recipients': 'Receptores: <b>{n}</b>',
+  'funding.holding': 'Siguen holdeando: <b>{n}</b> / {total}',
+  'funding.holdingNA': 'Siguen holdeando: <i>N/D (actualizando saldos — inténtalo en breve)</i>',
+  'funding.holdingN': '{n} holdeando',
+  'funding.toRecipients': '{n} receptores',
+  'funding.srcCreator': '👤 Creador',
+  'funding.srcMint': '🪙 Mint (0x0)',
+  'funding.srcToken': '🌙 Contrato del token',
+  'funding.srcOther': 'Origen',
+
+  'clusters.title': '🕸 <b>Clústeres de financiadores — {name}</b>',
+  'clusters.failed': '<i>El análisis falló — prueba ↻ Recalcular en unos minutos.</i>',
+  'clusters.queued': '<i>En cola…</i>',
+  'clusters.refreshing': '<i>Actualizando saldos de holders…</i>',
+  'clusters.resolving': '<i>Buscando financiadores…</i>',
+  'clusters.scanning': '<i>Analizando los primeros compradores…</i>',
+  'clusters.explain': 'Relaciona cada uno de los primeros 100 compradores con la wallet que lo financió (nativo, ≤2h antes de la compra). Se ejecuta en segundo plano y puede tardar unos minutos.',
+  'clusters.analysed': 'Primeros compradores analizados: <b>{n}</b> · con financiador: <b>{f}</b>',
+  'clusters.none': '<i>Ningún financiador financió a 3+ de los primeros compradores.</i>',
+  'clusters.funder': '{i}. Financiador <code>{addr}</code> — <b>{n} wallets</b>',
+  'clusters.ofSupply': '<b>{pct}</b> del suministro',
+  'clusters.hold': '🟢 Holdean ({now}/{n} siguen dentro)',
+  'clusters.sold': '🔴 Vendido',
+  'clusters.holding': 'En cartera: {share} · {status}',
+  'clusters.holdingNA': 'En cartera: <i>N/D (no hay saldos en caché)</i>',
+
+  // history / compare table labels: at most 8 characters
+  'history.title': '🕰 <b>Historial — {sym}</b> · {chain}',
+  'history.price': 'Precio',
+  'history.mcap': 'MCap',
+  'history.liq': 'Liq',
+  'history.holders': 'Holders',
+  'history.top10': 'Top-10',
+  'history.creator': 'Creador',
+  'history.burned': 'Quemado',
+  'history.start': 'Inicio',
+  'history.now': 'Ahora',
+  'history.high': 'Máximo',
+  'history.low': 'Mínimo',
+  'history.pp': 'pp',
+  'history.span': '{from} → {to} · {n} puntos',
+  'history.none': '<i>Aún no hay historial — se guarda un punto en cada actualización. Vuelve tras unas cuantas.</i>',
+  'history.note': '<i>pp = puntos porcentuales. Las ventanas con pocos puntos muestran –.</i>',
+  'history.all': 'Todo',
+
+  'trending.title': '🔥 <b>Tendencia en {chain}</b> · últimas {window}',
+  'trending.none': '<i>Aún no hay consultas en esta ventana.</i>',
+  'trending.lookup': '{n} consulta',
+  'trending.lookups': '{n} consultas',
+  'trending.footer': '<i>Cada usuario cuenta una vez por token cada 24h. El cambio de precio es de 24h, desde caché.</i>',
+
+  'compare.title': '⚖️ <b>Comparación de tokens</b>',
+  'compare.chain': 'Cadena',
+  'compare.vol': 'Vol 24h',
+  'compare.chg': 'Cmb 24h',
+  'compare.gini': 'Gini',
+  'compare.queued': '<i>{what} en cola</i>',
+  'compare.pending.refresh': 'actualización',
+  'compare.pending.index': 'índice',
+  'compare.missing': '<i>Faltaban datos y se han puesto en cola — repite el mismo /compare en un minuto.</i>',
+  'compare.lpNote': '<i>Top-10 y Gini excluyen el LP cuando existe un snapshot del índice.</i>',
+
+  // chart titles are drawn in the PNG (charts.js: A–Z, 0–9, basic punctuation; accents are dropped)
+  'chart.priceTitle': 'Precio de {sym} (USD)',
+  'chart.holdersTitle': 'Holders de {sym}',
+  'chart.snapshots': '{chain} · {n} snapshots',
+  'chart.priceCaption': '📉 <b>{sym} — historial de precio</b>',
+  'chart.holdersCaption': '📉 <b>{sym} — historial de holders</b>',
+  'chart.notEnough': '<i>Aún no hay suficientes snapshots — se guarda uno en cada actualización.</i>',
+  'chart.pieTitle': 'Top holders de {sym}',
+  'chart.pieSubtitle': '% del suministro',
+  'chart.others': 'Otros',
+  'chart.pieCaption': '📉 <b>{sym} — top {n} holders</b>',
+  'chart.together': 'Juntos {pct}% del suministro',
+  'chart.valueTitle': 'Holders de {sym} por valor',
+  'chart.pctTitle': 'Holders de {sym} por % del suministro',
+  'chart.holdersN': '{n} holders',
+  'chart.holdersLp': '{n} holders · sin LP',
+  'chart.valueCaption': '📉 <b>{sym} — distribución por valor estimado</b>',
+  'chart.pctCaption': '📉 <b>{sym} — distribución por % del suministro</b>',
+  'chart.fromIndex': '<i>Del snapshot del índice (caché ~6h).</i>',
+
+  // ----- alerts + their lists (renderers_alerts.js) -----
+  'btn.unwatch': '🔕 Dejar de vigilar',
+  'btn.cancel': '❌ Cancelar',
+  'btn.statsSym': '📊 Datos {sym}',
+
+  'watch.thChg': '1h ±{v}%',
+  'watch.thVol': 'vol ≥ {v}',
+  'watch.thMcap': 'cap ↕ {v}',
+  'watch.thDev': 'ventas del dev',
+  'watch.thWhale': 'movimientos de ballenas',
+  'watch.thNone': 'sin umbrales',
+  'watch.hitChg': '{em} Cambio 1h <b>{v}</b> (umbral ±{th}%)',
+  'watch.hitVol': '📊 Volumen 24h <b>{v}</b> superó {th}',
+  'watch.hitMcapAbove': '⬆️ Market cap <b>{v}</b> subió por encima de {th}',
+  'watch.hitMcapBelow': '⬇️ Market cap <b>{v}</b> bajó por debajo de {th}',
+  'watch.price': 'Precio: <b>{v}</b>',
+  'watch.watching': '👁 Vigilando <code>{ca}</code> en <b>{chain}</b>',
+  'watch.updated': '👁 Actualizado <code>{ca}</code> en <b>{chain}</b>',
+  'watch.alerts': 'Alertas: {v}',
+  'watch.addedHelp': '<i>Se comprueba en cada actualización; cámbialo con /watch de nuevo, lista con /watchlist.</i>',
+  'watch.listTitle': '👁 <b>Lista de vigilancia</b> ({n}{max})',
+  'watch.listEmpty': '<i>Aún no vigilas nada.</i>',
+  'watch.listAdd': 'Añade uno: /watch &lt;contrato&gt; [cadena] [chg=20] [vol=50k] [mcap=1m]',
+  'watch.listFooter': '<i>Las alertas saltan al cruzar un umbral (se comprueba en cada actualización).</i>',
+
+  'dev.title': '🚨 <b>Actividad de la wallet del dev</b> · {token} · {chain}',
+  'dev.sold': '🔴 El dev vendió <b>{pct}%</b> del suministro',
+  'dev.sent': '🟠 El dev envió <b>{pct}%</b> del suministro a <code>{to}</code>',
+  'dev.dropped': '🟠 El saldo del dev bajó <b>{pct}%</b> del suministro',
+  'dev.holds': 'El dev tiene ahora <b>{pct}%</b> · <code>{addr}</code>',
+
+  'whale.title': '🐋 <b>Movimientos de ballenas</b> · {token} · {chain}',
+  'whale.entered': '🆕 {who} entró en el top 20 con <b>{pct}%</b>',
+  'whale.left': '🚪 {who} salió del top 20 (tenía {was}%{now})',
+  'whale.now': ', ahora {pct}%',
+
+  'target.price.above': 'Precio por encima de {v}',
+  'target.price.below': 'Precio por debajo de {v}',
+  'target.mcap.above': 'Market cap por encima de {v}',
+  'target.mcap.below': 'Market cap por debajo de {v}',
+  'target.firedPrice': '{em} El precio es <b>{v}</b>',
+  'target.firedMcap': '{em} El market cap es <b>{v}</b>',
+  'target.target': 'Objetivo: {v}',
+  'target.removed': '<i>Esta alerta se ha eliminado. Crea otra con /alert.</i>',
+  'target.set': '🎯 Alerta creada en <code>{ca}</code> ({chain})',
+  'target.now': 'ahora {v}',
+  'target.setHelp': '<i>Salta una vez, por mensaje privado. Gestiónalas con /alerts.</i>',
+  'target.listTitle': '🎯 <b>Tus alertas</b> ({n}{max})',
+  'target.listEmpty': '<i>No hay alertas activas.</i>',
+  'target.listAdd': 'Añade una: /alert &lt;contrato&gt; above|below &lt;valor&gt; [price|mcap] [cadena]',
+
+  'track.buy': '🟢 <b>COMPRA</b>',
+  'track.sell': '🔴 <b>VENTA</b>',
+  'track.bought': 'Compró <b>{qty} {sym}</b> por <b>{eth} ETH</b>',
+  'track.sold': 'Vendió <b>{qty} {sym}</b> por <b>{eth} ETH</b>',
+  'track.token': 'Token: <code>{ca}</code>',
+  'track.skippedOne': '<i>+{n} operación anterior no mostrada</i>',
+  'track.skipped': '<i>+{n} operaciones anteriores no mostradas</i>',
+  'track.listTitle': '👣 <b>Wallets seguidas</b> ({n})',
+  'track.listEmpty': '<i>Aún no sigues ninguna wallet.</i>',
+  'track.listAdd': 'Añade una: /track &lt;wallet&gt; [etiqueta] [cadena]',
+  'track.listFooter': '<i>Cada miembro puede seguir hasta {max} wallets aquí. Las compras/ventas nuevas se publican al momento.</i>',
+
+  // ----- /settings (renderers_settings.js) -----
+  'set.title': '⚙️ <b>Ajustes del chat</b>',
+  'set.chain': 'Cadena por defecto',
+  'set.tz': 'Zona horaria',
+  'set.numFormat': 'Formato de números',
+  'set.locale': 'Idioma',
+  'set.pnlWindow': 'Ventana de PnL por defecto',
+  'set.refreshCooldown': 'Espera entre actualizaciones',
+  'set.watchChg': 'Cambio 1h por defecto en /watch',
+  'set.autodetect': 'Detectar direcciones',
+  'set.serverTime': 'hora del servidor',
+  'set.numAuto': 'auto (idioma)',
+  'set.localeAuto': 'auto (idioma de Telegram)',
+  'set.on': 'sí',
+  'set.off': 'no',
+  'set.preview': '<i>Vista previa:</i>',
+  'set.tapHint': '<i>Toca una fila para cambiarla. Cualquier zona IANA: /settings tz Europe/Madrid</i>',
+  'set.adminsOnly': '<i>Solo los admins del grupo pueden cambiar esto.</i>',
+
+  // ----- exports.js documents -----
+  'export.holders': '⬇️ <b>{name}</b> — los {n} holders',
+  'export.buyers': '⬇️ <b>{name}</b> — primeros {n} compradores',
+  'export.pnl': '⬇️ <b>PnL</b> — {window}, {n} wallet(s)',
+
+  // ----- bot.js replies -----
+  'bot.greeting': 'tABS Laboratory en Telegram está listo. Si ves este mensaje, ¡el bot está en marcha!\nUsa /tabs <contract>  •  /pnl <wallet>',
+  'bot.send': 'Envía: {usage}',
+  'bot.usage': 'Uso: {usage}',
+  'bot.failed': '{what}: algo salió mal.',
+  'bot.pnlError': 'Error de PNL: {error}',
+  'bot.initializing': 'Inicializando… inténtalo de nuevo en unos segundos.',
+  'bot.initializingLink': 'Inicializando… vuelve a enviar el enlace en unos segundos.',
+  'bot.initializingTap': 'Inicializando… vuelve a pulsarlo en unos segundos.',
+  'bot.initializingShort': 'Inicializando… inténtalo en un momento.',
+  'bot.recentlyRefreshed': 'Actualizado hace poco (hace {age} s). Inténtalo en un momento.',
+  'bot.refreshFailed': 'No se pudo encolar la actualización{error}',
+  'bot.refreshingCa': 'Actualizando {ca}…',
+  'bot.badToken': 'Token no válido "{arg}". {usage}',
+  'bot.compareUsage': 'Envía: /compare <contract> <contract> [contract] [contract]\nAñade la cadena si hace falta, p. ej. /compare 0x… base:0x…',
+  'bot.badThreshold': 'Umbral no válido "{arg}". {usage}',
+  'bot.watchFull': 'La watchlist está llena ({max}). Quita uno con /unwatch <contractAddress>.',
+  'bot.unwatched': '{ca} eliminado de la watchlist.',
+  'bot.notWatched': 'No está en la watchlist de este chat.',
+  'bot.alertUsage': 'Envía: /alert <contractAddress> above|below <value> [price|mcap] [chain]\np. ej. /alert 0x… above 0.0012  ·  /alert 0x… below 500k mcap',
+  'bot.alertsPerUser': 'Las alertas son por usuario — envíalo desde tu propia cuenta.',
+  'bot.alreadyAbove': 'Ya está por encima: el {metric} es {current}. Elige un objetivo que aún no haya alcanzado.',
+  'bot.alreadyBelow': 'Ya está por debajo: el {metric} es {current}. Elige un objetivo que aún no haya alcanzado.',
+  'bot.metricPrice': 'precio',
+  'bot.metricMcap': 'market cap',
+  'bot.alertsFull': 'Ya tienes {max} alertas. Cancela una en /alerts.',
+  'bot.trackFull': 'Ya sigues {max} wallets en este chat. Quita una con /untrack <wallet>.',
+  'bot.trackUpdated': '{name} actualizada en {chain}.',
+  'bot.tracking': 'Siguiendo {name} en {chain}. Las nuevas compras y ventas se publicarán aquí.',
+  'bot.untracked': 'Ya no se sigue {wallet}.',
+  'bot.notTracked': 'Esa wallet no se sigue en este chat.',
+  'bot.settingsUsage': 'Envía: /settings  ·  /settings tz <zona IANA, p. ej. Europe/Madrid>',
+  'bot.adminsOnly': 'Solo los administradores del grupo pueden cambiar esto.',
+  'bot.badTimezone': 'Zona horaria desconocida "{tz}". Usa un nombre IANA como Europe/Madrid o America/Mexico_City.',
+  'bot.portfolioComputing': '⏳ Calculando el PnL de la cartera para {n} wallets…',
+  'bot.noGroupSee': 'No existe el grupo "{name}". Consulta /pnlgroup.',
+  'bot.pnlUsage': 'Uso: /pnl <walletAddress> [24h|7d|30d|90d|all]\nCartera: /pnl <wallet> <wallet> … o /pnl <grupo> (ver /pnlgroup)',
+  'bot.portfolioMax': 'Una cartera puede tener hasta {max} wallets.',
+  'bot.noTrades': 'Esta wallet no tiene operaciones con ese token en {window}.',
+  'bot.groupsPerUser': 'Los grupos son por usuario — envíalo desde tu propia cuenta.',
+  'bot.groupSaveUsage': 'Envía: /pnlgroup save <nombre> <wallet> <wallet> …\nNombre: hasta 16 caracteres de a-z 0-9 _ -',
+  'bot.groupMax': 'Un grupo puede tener hasta {max} wallets.',
+  'bot.groupsFull': 'Ya tienes {max} grupos. Borra uno con /pnlgroup del <nombre>.',
+  'bot.groupSaved': 'Grupo "{name}" guardado ({n} wallets). Ejecútalo con /pnl {name}',
+  'bot.groupUpdated': 'Grupo "{name}" actualizado ({n} wallets). Ejecútalo con /pnl {name}',
+  'bot.groupDeleted': 'Grupo "{name}" eliminado.',
+  'bot.noGroup': 'No existe el grupo "{name}".',
+  'bot.groupsTitle': '💼 <b>Tus grupos de wallets</b>',
+  'bot.noneYet': '<i>Ninguno todavía.</i>',
+  'bot.groupsHelp': 'Guardar: /pnlgroup save &lt;nombre&gt; &lt;wallet&gt; &lt;wallet&gt; …\nEjecutar: /pnl &lt;nombre&gt;  ·  Borrar: /pnlgroup del &lt;nombre&gt;',
+  'bot.autodetectState': 'La detección automática está {state} aquí.\nUsa /autodetect on|off (solo administradores del grupo).',
+  'bot.on': 'ACTIVADA',
+  'bot.off': 'DESACTIVADA',
+  'bot.autodetectOn': 'Detección automática ACTIVADA: los contratos pegados reciben un resumen compacto y las wallets un acceso al PnL.',
+  'bot.autodetectOff': 'Detección automática DESACTIVADA.',
+  'bot.fetchingStats': '⏳ Obteniendo datos de <code>{ca}</code>…',
+  'bot.inlineLoading': '⏳ Cargando datos del token…',
+  'bot.inlineNotCached': '{ca} — aún no está en caché, inténtalo en unos segundos',
+  'bot.inlineTapOverview': 'Pulsa <b>Resumen</b> en unos segundos.',
+  'bot.clustersNoResult': '🕸 <b>Clústeres de financiadores</b>\n\n<i>El análisis terminó sin resultado — inténtalo de nuevo.</i>',
+  'bot.fundingTitle': '🪙 <b>Financiación inicial</b>',
+  'bot.bundlesTitle': '🧺 <b>Bundles</b>',
+  'bot.scanning': '<i>Analizando las primeras transferencias…</i>',
+
+  // inline mode result cards (overviewArticle)
+  'inline.mc': 'MC {v}',
+  'inline.chg': '24h {v}',
+
+  // callback answers (toasts / alerts)
+  'ack.upToDate': 'Ya está actualizado',
+  'ack.working': 'Procesando…',
+  'ack.loading': 'Cargando…',
+  'ack.refreshing': 'Actualizando…',
+  'ack.refreshed': 'Actualizado',
+  'ack.recomputing': 'Recalculando…',
+  'ack.recomputed': 'Recalculado hace {m} min. Inténtalo más tarde.',
+  'ack.drawing': 'Dibujando gráfico…',
+  'ack.error': 'Error',
+  'ack.errorRetry': 'Error — inténtalo de nuevo',
+  'ack.badAddress': 'Dirección no válida',
+  'ack.chartInline': 'Los gráficos se envían como fotos — abre el token en el chat del bot.',
+  'ack.indexFirst': 'Abre primero 📈 Índice — la distribución aún se está calculando.',
+  'ack.unwatched': 'Eliminado de la watchlist',
+  'ack.alreadyRemoved': 'Ya eliminado',
+  'ack.alertCancelled': 'Alerta cancelada',
+  'ack.notYourAlert': 'No es una de tus alertas',
+  'ack.untracked': 'Ya no se sigue',
+  'ack.unknownSetting': 'Ajuste desconocido',
+  'ack.settingsAdmins': 'Solo los administradores del grupo pueden cambiar los ajustes',
+  'ack.saved': 'Guardado',
+  'ack.portfolioExpired': 'Esta cartera caducó — ejecuta /pnl de nuevo.',
+  'ack.tradesExpired': 'Estas operaciones caducaron — abre el PnL de nuevo.',
+  'ack.exporting': 'Preparando exportación…',
+  'ack.exportInline': 'Las exportaciones se envían como archivos — abre la vista en el chat del bot.',
+  'ack.exportRefreshing': 'La lista de holders aún no está en caché — actualizando, inténtalo en un minuto.',
+  'ack.pnlExpired': 'Este PnL caducó — ábrelo de nuevo.',
+};
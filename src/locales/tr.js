@@ -0,0 +1,446 @@
+// src/locales/tr.js
+// Turkish catalog. Missing keys fall back to en.js; command syntax stays as typed (/pnl <wallet> …).
+export default {
+  // ----- shared -----
+  'common.updated': 'Güncellendi: {date}',
+  'common.page': 'Sayfa {page}/{total}',
+  'common.na': 'Yok',
+  'common.yes': 'Evet',
+  'common.no': 'Hayır',
+  'common.token': 'Token',
+
+  'btn.overview': '🏠 Genel bakış',
+  'btn.buyers': '🧑‍🤝‍🧑 Alıcılar',
+  'btn.holders': '📊 Sahipler',
+  'btn.index': '📈 Endeks',
+  'btn.bundles': '🧺 Bundle\'lar',
+  'btn.refresh': '↻ Yenile',
+  'btn.chart': '📉 Grafik',
+  'btn.changes': '🐋 Değişimler',
+  'btn.about': 'ℹ️ Hakkında',
+  'btn.share': '🔗 Paylaş',
+  'btn.dashboard': '📱 Paneli aç',
+  'btn.fullStats': '📊 Tüm veriler',
+  'btn.holderCount': '📉 Sahip sayısı',
+  'btn.website': 'Web sitesi',
+  'btn.back': 'Geri',
+  'btn.export': '⬇️ Dışa aktar',
+  'btn.json': '🧾 JSON',
+
+  // ----- overview (renderers.js) -----
+  'ov.moonshot': 'Moonshot: <b>{v}</b>',
+  'ov.capFdv': 'FDV (piyasa değeri olarak)',
+  'ov.cap': 'Piyasa değeri',
+  'ov.noMarket': '<i>Henüz piyasa verisi yok</i>',
+  'ov.price': 'Fiyat: <b>{price}</b>   {badge}',
+  'ov.priceNA': '<i>Fiyat mevcut değil</i>',
+  'ov.volume': 'Hacim:',
+  'ov.change': 'Değişim:',
+  'ov.holders': 'Sahipler: <b>{n}</b>',
+  'ov.holdersNA': 'Sahipler: <i>Yok (explorer)</i>',
+  'ov.top10': 'İlk 10 toplam: <b>{v}</b>',
+  'ov.top10NA': 'İlk 10 toplam: <i>Yok</i>',
+  'ov.burned': 'Yakılan: <b>{v}</b>',
+  'ov.burnedNA': 'Yakılan: <i>Yok</i>',
+  'ov.creator': 'Oluşturan: <code>{addr}</code>: <b>{pct}</b>',
+  'ov.creatorUnknown': 'bilinmiyor',
+  'ov.pick': '<i>Bir bölüm seçin:</i>',
+  'ov.secBuyers': '• <b>Alıcılar</b> — ilk 20 alıcı + durum',
+  'ov.secHolders': '• <b>Sahipler</b> — en büyük 20 sahibin yüzdeleri',
+  'ov.secBundles': '• <b>Bundle\'lar</b> — aynı blokta gruplanan erken alıcılar',
+  'ov.secChanges': '• <b>Değişimler</b> — son yenilemeden bu yana büyük sahip hareketleri',
+  'ov.source': '<i>Kaynak: Dexscreener · Explorer</i>',
+  'ov.shareText': '{chain} üzerinde {sym}',
+
+  'compact.noMarket': '<i>Henüz piyasa verisi yok.</i>',
+  'compact.market': '💵 <b>{price}</b> · 24s <b>{chg}</b> · PD <b>{mc}</b> · Lik <b>{liq}</b>',
+  'compact.holders': 'Sahipler <b>{n}</b>',
+  'compact.top10': 'İlk 10 <b>{v}</b>',
+  'compact.creator': 'Oluşturan <b>{v}</b>',
+
+  'picker.title': '🔎 <b>{chain} üzerinde "{query}"</b>',
+  'picker.none': '<i>Token bulunamadı. Sembolü kontrol edin, adı deneyin veya kontrat adresini yapıştırın.</i>',
+  'picker.count': '{n} sonuç, en likit olan önce:',
+  'picker.row': 'Lik <b>{liq}</b> · PD <b>${mc}</b> · {dex}',
+  'picker.warn': '<i>Semboller benzersiz değildir — işlem yapmadan önce kontratı kontrol edin.</i>',
+  'picker.button': '{i}. {sym} · ${liq} lik',
+
+  'buyers.title': '🧑‍🤝‍🧑 <b>İlk 20 alıcı — {name}</b>',
+  'buyers.none': '<i>Henüz alıcı bulunamadı</i>',
+  'buyers.tip': 'İpucu: Durum, son bakiyeyi alım/satım geçmişiyle karşılaştırır.',
+  'buyers.hold': '🟢 Tutuyor',
+  'buyers.soldAll': '🔴 Hepsini sattı',
+  'buyers.soldSome': '🟠 Bir kısmını sattı',
+  'buyers.boughtMore': '🔵 Daha fazla aldı',
+
+  'holders.title': '📊 <b>En büyük sahipler — {name}</b>',
+  'holders.none': '<i>En büyük sahipler mevcut değil.</i>',
+  'holders.notes': 'Notlar:',
+  'holders.noteBurn': '• Yakma adresleri (0x0 / 0xdead) yakılan % içinde sayılır.',
+  'holders.noteTop10': '• İlk 10 toplamı genel bakışta gösterilir.',
+
+  'changes.title': '🐋 <b>Son yenilemeden bu yana değişimler — {name}</b>',
+  'changes.noSnapshot': '<i>Henüz önceki anlık görüntü yok — değişimler bir sonraki yenilemeden sonra görünür.</i>',
+  'changes.none': 'İlk 20\'de hareket yok.',
+  'changes.entrants': '<b>İlk 20\'ye yeni girenler</b> ({n})',
+  'changes.exits': '<b>İlk 20\'den çıkanlar</b> ({n})',
+  'changes.moves': '<b>Pozisyon değişimleri</b> ({n})',
+  'changes.was': 'önce {v}',
+  'changes.now': ', şimdi {v}',
+
+  'about.title': '🤖 <b>tABS Tools</b>',
+  'about.market': '• Piyasa: Dexscreener (Abstract)',
+  'about.transfers': '• Transferler ve oluşturan: Explorer',
+  'about.cooldown': '• Yenileme bekleme süresi: 30 sn',
+  'about.cache': '• Veri önbelleği: 3 dakika',
+  'about.footer': '<i>Abstract ağı token analizi için yapıldı.</i>',
+
+  // ----- PnL (renderers_pnl.js) -----
+  'pnl.portfolioTitle': '💼 <b>Portföy PnL{name}</b> ({n} cüzdan)',
+  'pnl.internalMoves': '🔁 Yok sayılan iç transferler: {n}',
+  'pnl.walletTitle': '💼 <b>Cüzdan PnL — {wallet}</b>',
+  'pnl.window': 'Dönem: {window}',
+  'pnl.balance': '💰 Cüzdan bakiyesi: {eth}',
+  'pnl.holdings': '📦 Varlıklar: {v}',
+  'pnl.airdropsTotal': '🎁 Airdrop\'lar: {v}',
+  'pnl.total': '{em} Toplam PnL: {eth} ETH  ({em2} {pct})',
+  'pnl.tabProfits': '📈 Kârlar',
+  'pnl.tabLosses': '📉 Zararlar',
+  'pnl.tabOpen': '📦 Açık',
+  'pnl.tabAirdrops': '🎁 Airdrop\'lar',
+  'pnl.sortEth': 'Ξ ETH',
+  'pnl.sortPct': '% Getiri',
+  'pnl.sortRecent': '🕒 En yeni',
+  'pnl.entry': '👛 <b>Cüzdan</b> <code>{wallet}</code>',
+  'pnl.pickWindow': 'PnL hesaplamak için bir dönem seçin:',
+  'pnl.shareText': 'Cüzdan PnL',
+  'pnl.topProfits': 'En büyük kârlar (gerçekleşen)',
+  'pnl.topLosses': 'En büyük zararlar (gerçekleşen)',
+  'pnl.allProfits': '📈 <b>Tüm gerçekleşen kârlar</b>',
+  'pnl.allLosses': '📉 <b>Tüm gerçekleşen zararlar</b>',
+  'pnl.noProfits': '<i>Gerçekleşen kâr yok.</i>',
+  'pnl.noLosses': '<i>Gerçekleşen zarar yok.</i>',
+  'pnl.bought': 'Alınan {eth} ETH',
+  'pnl.sold': 'Satılan {eth} ETH',
+  'pnl.openTitle': '📦 <b>Açık pozisyonlar (>$0.10)</b>',
+  'pnl.noOpen': '<i>Açık pozisyon yok.</i>',
+  'pnl.held': 'Miktar: {qty} — Şimdi: {usd} (adet başı {eth} ETH)',
+  'pnl.unrealized': 'Gerçekleşmemiş: {em} {eth} ETH{pct}',
+  'pnl.airdropsTitle': '🎁 <b>Airdrop\'lar</b>',
+  'pnl.noAirdrops': '<i>Airdrop bulunamadı.</i>',
+  'pnl.tokens': 'Token\'lar:',
+  'pnl.nfts': 'NFT\'ler:',
+  'pnl.qty': 'miktar {qty}',
+
+  'pnl.tradesTitle': '🔎 <b>{sym} — işlemler</b>',
+  'pnl.portfolioN': 'Portföy ({n} cüzdan)',
+  'pnl.wallet': 'Cüzdan {wallet}',
+  'pnl.earlier': '<i>{n} önceki işlem gösterilmiyor (aşağıdaki toplamlara dahil)</i>',
+  'pnl.buy': '🟢 ALIŞ',
+  'pnl.sell': '🔴 SATIŞ',
+  'pnl.position': 'Pozisyon {qty} · ort. maliyet {price}',
+  'pnl.totals': '<b>Toplamlar</b>',
+  'pnl.boughtFor': '{qty} adet {eth} ETH karşılığında alındı ({n} alış)',
+  'pnl.soldFor': '{qty} adet {eth} ETH karşılığında satıldı ({n} satış)',
+  'pnl.avgCost': 'Ort. maliyet: token başına {price} ETH',
+  'pnl.realized': '{em} Gerçekleşen = {recv} − {avg} × {qty} = {eth} ETH',
+  'pnl.noRealized': '<i>Gerçekleşen PnL yok: {why}.</i>',
+  'pnl.nothingSold': 'henüz satış yok',
+  'pnl.noBuys': 'bu dönemde alış yok',
+  'pnl.pricesNote': '<i>Fiyatlar token başına ETH cinsindendir; maliyet esası dönem ortalamasıdır.</i>',
+  'pnl.back': '⬅️ PnL\'e dön',
+
+  // ----- index (renderers_index.js) -----
+  'index.title': '📈 <b>Endeks</b>',
+  'index.crunching': '<i>Sahip dağılımı hesaplanıyor…</i>',
+  'index.cachedFor': 'Bir kez çalışır ve 6 saat önbellekte tutulur.',
+  'index.lpExcluded': ' (LP hariç)',
+  'index.top10': 'İlk 10 toplam: <b>{v}</b>{lp}',
+  'index.gini': 'Eşitsizlik (Gini): <b>{v}</b>{lp} <i>(0=eşit • 1=yoğun)</i>',
+  'index.gte10': '≥ $10 tutan sahipler: <b>{n}</b>',
+  'index.distPct': 'Arzın %\'sine göre dağılım',
+  'index.distUsd': 'Tahmini değere göre dağılım',
+  'index.snapshot': '<i>Anlık görüntü ~6 saat önbellekte.</i>',
+  'index.chartPct': '📉 Grafik: arz %',
+  'index.chartUsd': '📉 Grafik: değer',
+
+  // ----- token views (bundles, funding, clusters, history, trending, compare, charts) -----
+  'btn.funding': '🪙 Fonlama',
+  'btn.clusters': '🕸 Kümeler',
+  'btn.recompute': '↻ Yeniden hesapla',
+
+  'bundles.title': '🧺 <b>Bundle\'lar — {name}</b>',
+  'bundles.none': '<i>İlk 100 alımda alıcı bundle\'ı tespit edilmedi.</i>',
+  'bundles.detected': 'İlk 100 alım arasında <b>{n}</b> bundle grubu tespit edildi.',
+  'bundles.group': '{i}. <b>{n} cüzdan</b> — erken hacmin ~{pct}%\'i',
+
+  'funding.title': '🪙 <b>Erken fonlama — {name}</b>',
+  'funding.none': '<i>Yaratıcıdan, mint\'ten veya launchpad\'den erken fonlama bulunamadı.</i>',
+  'funding.funded': 'Fonlanan: <b>{amount}</b>{share}',
+  'funding.ofSupply': 'arzın {pct}\'i',
+  'funding.recipients': 'Alıcılar: <b>{n}</b>',
+  'funding.holding': 'Hâlâ tutan: <b>{n}</b> / {total}',
+  'funding.holdingNA': 'Hâlâ tutan: <i>Yok (bakiyeler yenileniyor — birazdan tekrar dene)</i>',
+  'funding.holdingN': '{n} tutuyor',
+  'funding.toRecipients': '{n} alıcı',
+  'funding.srcCreator': '👤 Yaratıcı',
+  'funding.srcMint': '🪙 Mint (0x0)',
+  'funding.srcToken': '🌙 Token kontratı',
+  'funding.srcOther': 'Kaynak',
+
+  'clusters.title': '🕸 <b>Fonlayıcı kümeleri — {name}</b>',
+  'clusters.failed': '<i>Analiz başarısız — birkaç dakika sonra ↻ Yeniden hesapla\'yı dene.</i>',
+  'clusters.queued': '<i>Sırada…</i>',
+  'clusters.refreshing': '<i>Sahip bakiyeleri yenileniyor…</i>',
+  'clusters.resolving': '<i>Fonlayıcılar bulunuyor…</i>',
+  'clusters.scanning': '<i>İlk alıcılar taranıyor…</i>',
+  'clusters.explain': 'İlk 100 alıcının her birini onu fonlayan cüzdana bağlar (yerel coin, alımdan ≤2s önce). Arka planda çalışır ve birkaç dakika sürebilir.',
+  'clusters.analysed': 'Analiz edilen ilk alıcı: <b>{n}</b> · fonlayıcısı bulunan: <b>{f}</b>',
+  'clusters.none': '<i>İlk alıcıların 3+ tanesini fonlayan bir cüzdan yok.</i>',
+  'clusters.funder': '{i}. Fonlayıcı <code>{addr}</code> — <b>{n} cüzdan</b>',
+  'clusters.ofSupply': 'arzın <b>{pct}</b>\'i',
+  'clusters.hold': '🟢 Tutuyor ({now}/{n} hâlâ içeride)',
+  'clusters.sold': '🔴 Sattı',
+  'clusters.holding': 'Elde: {share} · {status}',
+  'clusters.holdingNA': 'Elde: <i>Yok (önbellekte bakiye yok)</i>',
+
+  // history / compare table labels: at most 8 characters
+  'history.title': '🕰 <b>Geçmiş — {sym}</b> · {chain}',
+  'history.price': 'Fiyat',
+  'history.mcap': 'PD',
+  'history.liq': 'Likidite',
+  'history.holders': 'Sahipler',
+  'history.top10': 'İlk 10',
+  'history.creator': 'Yaratıcı',
+  'history.burned': 'Yakılan',
+  'history.start': 'Başlangıç',
+  'history.now': 'Şimdi',
+  'history.high': 'Zirve',
+  'history.low': 'Dip',
+  'history.pp': 'pp',
+  'history.span': '{from} → {to} · {n} nokta',
+  'history.none': '<i>Henüz geçmiş yok — her yenilemede bir nokta kaydedilir. Birkaç yenilemeden sonra tekrar bak.</i>',
+  'history.note': '<i>pp = yüzde puan. Yeterli noktası olmayan aralıklar – gösterir.</i>',
+  'history.all': 'Tümü',
+
+  'trending.title': '🔥 <b>{chain} üzerinde trend</b> · son {window}',
+  'trending.none': '<i>Bu aralıkta henüz sorgu yok.</i>',
+  'trending.lookup': '{n} sorgu',
+  'trending.lookups': '{n} sorgu',
+  'trending.footer': '<i>Her kullanıcı bir token için 24 saatte bir kez sayılır. Fiyat değişimi 24 saatlik, önbellekten.</i>',
+
+  'compare.title': '⚖️ <b>Token karşılaştırması</b>',
+  'compare.chain': 'Zincir',
+  'compare.vol': 'Hcm 24s',
+  'compare.chg': 'Dğş 24s',
+  'compare.gini': 'Gini',
+  'compare.queued': '<i>{what} sırada</i>',
+  'compare.pending.refresh': 'yenileme',
+  'compare.pending.index': 'endeks',
+  'compare.missing': '<i>Bazı veriler eksikti ve sıraya alındı — aynı /compare komutunu bir dakika sonra tekrar çalıştır.</i>',
+  'compare.lpNote': '<i>Endeks anlık görüntüsü varsa İlk 10 ve Gini LP\'yi hariç tutar.</i>',
+
+  // chart titles are drawn in the PNG (charts.js: A–Z, 0–9, basic punctuation; accents are dropped)
+  'chart.priceTitle': '{sym} fiyatı (USD)',
+  'chart.holdersTitle': '{sym} sahipleri',
+  'chart.snapshots': '{chain} · {n} anlık görüntü',
+  'chart.priceCaption': '📉 <b>{sym} — fiyat geçmişi</b>',
+  'chart.holdersCaption': '📉 <b>{sym} — sahip sayısı geçmişi</b>',
+  'chart.notEnough': '<i>Henüz yeterli anlık görüntü yok — her yenilemede bir tane kaydedilir.</i>',
+  'chart.pieTitle': '{sym} en büyük sahipleri',
+  'chart.pieSubtitle': 'arzın %\'si',
+  'chart.others': 'Diğer',
+  'chart.pieCaption': '📉 <b>{sym} — en büyük {n} sahip</b>',
+  'chart.together': 'Toplam arzın {pct}%\'i',
+  'chart.valueTitle': 'Değere göre {sym} sahipleri',
+  'chart.pctTitle': 'Arz payına göre {sym} sahipleri',
+  'chart.holdersN': '{n} sahip',
+  'chart.holdersLp': '{n} sahip · LP hariç',
+  'chart.valueCaption': '📉 <b>{sym} — tahmini değere göre dağılım</b>',
+  'chart.pctCaption': '📉 <b>{sym} — arz payına göre dağılım</b>',
+  'chart.fromIndex': '<i>Endeks anlık görüntüsünden (~6 saat önbellek).</i>',
+
+  // ----- alerts + their lists (renderers_alerts.js) -----
+  'btn.unwatch': '🔕 İzlemeyi bırak',
+  'btn.cancel': '❌ İptal',
+  'btn.statsSym': '📊 {sym} verileri',
+
+  'watch.thChg': '1s ±{v}%',
+  'watch.thVol': 'hacim ≥ {v}',
+  'watch.thMcap': 'pd ↕ {v}',
+  'watch.thDev': 'geliştirici satışları',
+  'watch.thWhale': 'balina hareketleri',
+  'watch.thNone': 'eşik yok',
+  'watch.hitChg': '{em} 1s değişim <b>{v}</b> (eşik ±{th}%)',
+  'watch.hitVol': '📊 24s hacim <b>{v}</b>, {th} eşiğini geçti',
+  'watch.hitMcapAbove': '⬆️ Piyasa değeri <b>{v}</b>, {th} üzerine çıktı',
+  'watch.hitMcapBelow': '⬇️ Piyasa değeri <b>{v}</b>, {th} altına indi',
+  'watch.price': 'Fiyat: <b>{v}</b>',
+  'watch.watching': '👁 <b>{chain}</b> üzerinde <code>{ca}</code> izleniyor',
+  'watch.updated': '👁 <b>{chain}</b> üzerinde <code>{ca}</code> güncellendi',
+  'watch.alerts': 'Uyarılar: {v}',
+  'watch.addedHelp': '<i>Her yenilemede kontrol edilir; /watch ile değiştir, /watchlist ile listele.</i>',
+  'watch.listTitle': '👁 <b>İzleme listesi</b> ({n}{max})',
+  'watch.listEmpty': '<i>Henüz izlenen bir şey yok.</i>',
+  'watch.listAdd': 'Ekle: /watch &lt;kontrat&gt; [zincir] [chg=20] [vol=50k] [mcap=1m]',
+  'watch.listFooter': '<i>Bir eşik aşıldığında uyarı gönderilir (her yenilemede kontrol edilir).</i>',
+
+  'dev.title': '🚨 <b>Geliştirici cüzdanı hareketi</b> · {token} · {chain}',
+  'dev.sold': '🔴 Geliştirici arzın <b>{pct}%</b> kadarını sattı',
+  'dev.sent': '🟠 Geliştirici arzın <b>{pct}%</b> kadarını <code>{to}</code> adresine gönderdi',
+  'dev.dropped': '🟠 Geliştirici bakiyesi arzın <b>{pct}%</b> kadarı azaldı',
+  'dev.holds': 'Geliştiricinin şimdiki payı <b>{pct}%</b> · <code>{addr}</code>',
+
+  'whale.title': '🐋 <b>Balina hareketleri</b> · {token} · {chain}',
+  'whale.entered': '🆕 {who} <b>{pct}%</b> ile ilk 20\'ye girdi',
+  'whale.left': '🚪 {who} ilk 20\'den çıktı (önce {was}%{now})',
+  'whale.now': ', şimdi {pct}%',
+
+  'target.price.above': 'Fiyat {v} üzerinde',
+  'target.price.below': 'Fiyat {v} altında',
+  'target.mcap.above': 'Piyasa değeri {v} üzerinde',
+  'target.mcap.below': 'Piyasa değeri {v} altında',
+  'target.firedPrice': '{em} Fiyat <b>{v}</b>',
+  'target.firedMcap': '{em} Piyasa değeri <b>{v}</b>',
+  'target.target': 'Hedef: {v}',
+  'target.removed': '<i>Bu uyarı kaldırıldı. /alert ile yenisini kur.</i>',
+  'target.set': '🎯 <code>{ca}</code> ({chain}) için uyarı kuruldu',
+  'target.now': 'şu an {v}',
+  'target.setHelp': '<i>Bir kez, özel mesajla gönderilir. /alerts ile yönet.</i>',
+  'target.listTitle': '🎯 <b>Uyarıların</b> ({n}{max})',
+  'target.listEmpty': '<i>Etkin uyarı yok.</i>',
+  'target.listAdd': 'Ekle: /alert &lt;kontrat&gt; above|below &lt;değer&gt; [price|mcap] [zincir]',
+
+  'track.buy': '🟢 <b>ALIM</b>',
+  'track.sell': '🔴 <b>SATIM</b>',
+  'track.bought': '<b>{eth} ETH</b> karşılığında <b>{qty} {sym}</b> aldı',
+  'track.sold': '<b>{eth} ETH</b> karşılığında <b>{qty} {sym}</b> sattı',
+  'track.token': 'Token: <code>{ca}</code>',
+  'track.skippedOne': '<i>+{n} önceki işlem gösterilmedi</i>',
+  'track.skipped': '<i>+{n} önceki işlem gösterilmedi</i>',
+  'track.listTitle': '👣 <b>Takip edilen cüzdanlar</b> ({n})',
+  'track.listEmpty': '<i>Henüz takip edilen cüzdan yok.</i>',
+  'track.listAdd': 'Ekle: /track &lt;cüzdan&gt; [etiket] [zincir]',
+  'track.listFooter': '<i>Her üye burada en fazla {max} cüzdan takip edebilir. Yeni alım/satımlar anında paylaşılır.</i>',
+
+  // ----- /settings (renderers_settings.js) -----
+  'set.title': '⚙️ <b>Sohbet ayarları</b>',
+  'set.chain': 'Varsayılan zincir',
+  'set.tz': 'Saat dilimi',
+  'set.numFormat': 'Sayı biçimi',
+  'set.locale': 'Dil',
+  'set.pnlWindow': 'Varsayılan PnL aralığı',
+  'set.refreshCooldown': 'Yenileme bekleme süresi',
+  'set.watchChg': 'Varsayılan /watch 1s değişimi',
+  'set.autodetect': 'Adresleri otomatik algıla',
+  'set.serverTime': 'sunucu saati',
+  'set.numAuto': 'otomatik (dil)',
+  'set.localeAuto': 'otomatik (Telegram dili)',
+  'set.on': 'açık',
+  'set.off': 'kapalı',
+  'set.preview': '<i>Önizleme:</i>',
+  'set.tapHint': '<i>Değiştirmek için bir satıra dokun. Herhangi bir IANA bölgesi: /settings tz Europe/Istanbul</i>',
+  'set.adminsOnly': '<i>Bunları yalnızca grup yöneticileri değiştirebilir.</i>',
+
+  // ----- exports.js documents -----
+  'export.holders': '⬇️ <b>{name}</b> — {n} sahibin tamamı',
+  'export.buyers': '⬇️ <b>{name}</b> — ilk {n} alıcı',
+  'export.pnl': '⬇️ <b>PnL</b> — {window}, {n} cüzdan',
+
+  // ----- bot.js replies -----
+  'bot.greeting': 'tABS Laboratory Telegram\'da hazır. Bu mesajı görüyorsanız bot çalışıyor!\nKullanım: /tabs <contract>  •  /pnl <wallet>',
+  'bot.send': 'Gönderin: {usage}',
+  'bot.usage': 'Kullanım: {usage}',
+  'bot.failed': '{what}: bir şeyler ters gitti.',
+  'bot.pnlError': 'PNL hatası: {error}',
+  'bot.initializing': 'Hazırlanıyor… birkaç saniye sonra tekrar deneyin.',
+  'bot.initializingLink': 'Hazırlanıyor… bağlantıyı birkaç saniye sonra tekrar gönderin.',
+  'bot.initializingTap': 'Hazırlanıyor… birkaç saniye sonra tekrar dokunun.',
+  'bot.initializingShort': 'Hazırlanıyor… birazdan tekrar deneyin.',
+  'bot.recentlyRefreshed': 'Yakın zamanda yenilendi ({age} sn önce). Birazdan tekrar deneyin.',
+  'bot.refreshFailed': 'Yenileme kuyruğa eklenemedi{error}',
+  'bot.refreshingCa': '{ca} yenileniyor…',
+  'bot.badToken': 'Geçersiz token "{arg}". {usage}',
+  'bot.compareUsage': 'Gönderin: /compare <contract> <contract> [contract] [contract]\nGerekirse ağı önek olarak ekleyin, örn. /compare 0x… base:0x…',
+  'bot.badThreshold': 'Geçersiz eşik "{arg}". {usage}',
+  'bot.watchFull': 'İzleme listesi dolu ({max}). /unwatch <contractAddress> ile birini kaldırın.',
+  'bot.unwatched': '{ca} izleme listesinden kaldırıldı.',
+  'bot.notWatched': 'Bu sohbetin izleme listesinde değil.',
+  'bot.alertUsage': 'Gönderin: /alert <contractAddress> above|below <value> [price|mcap] [chain]\nörn. /alert 0x… above 0.0012  ·  /alert 0x… below 500k mcap',
+  'bot.alertsPerUser': 'Alarmlar kullanıcıya özeldir — bunu kendi hesabınızdan gönderin.',
+  'bot.alreadyAbove': 'Zaten bunun üstünde: {metric} {current}. Henüz ulaşılmamış bir hedef seçin.',
+  'bot.alreadyBelow': 'Zaten bunun altında: {metric} {current}. Henüz ulaşılmamış bir hedef seçin.',
+  'bot.metricPrice': 'fiyat',
+  'bot.metricMcap': 'piyasa değeri',
+  'bot.alertsFull': 'Zaten {max} alarmınız var. /alerts üzerinden birini iptal edin.',
+  'bot.trackFull': 'Bu sohbette zaten {max} cüzdan takip ediyorsunuz. /untrack <wallet> ile birini kaldırın.',
+  'bot.trackUpdated': '{chain} üzerinde {name} güncellendi.',
+  'bot.tracking': '{chain} üzerinde {name} takip ediliyor. Yeni alım ve satımlar burada paylaşılacak.',
+  'bot.untracked': '{wallet} artık takip edilmiyor.',
+  'bot.notTracked': 'Bu cüzdan bu sohbette takip edilmiyor.',
+  'bot.settingsUsage': 'Gönderin: /settings  ·  /settings tz <IANA bölgesi, örn. Europe/Istanbul>',
+  'bot.adminsOnly': 'Bunu yalnızca grup yöneticileri değiştirebilir.',
+  'bot.badTimezone': 'Bilinmeyen saat dilimi "{tz}". Europe/Istanbul veya Europe/Berlin gibi bir IANA adı kullanın.',
+  'bot.portfolioComputing': '⏳ {n} cüzdan için portföy PnL hesaplanıyor…',
+  'bot.noGroupSee': '"{name}" adlı grup yok. Bkz. /pnlgroup.',
+  'bot.pnlUsage': 'Kullanım: /pnl <walletAddress> [24h|7d|30d|90d|all]\nPortföy: /pnl <wallet> <wallet> … veya /pnl <grup> (bkz. /pnlgroup)',
+  'bot.portfolioMax': 'Bir portföyde en fazla {max} cüzdan olabilir.',
+  'bot.noTrades': 'Bu cüzdanın {window} içinde bu token ile işlemi yok.',
+  'bot.groupsPerUser': 'Gruplar kullanıcıya özeldir — bunu kendi hesabınızdan gönderin.',
+  'bot.groupSaveUsage': 'Gönderin: /pnlgroup save <ad> <wallet> <wallet> …\nAd: en fazla 16 karakter, a-z 0-9 _ -',
+  'bot.groupMax': 'Bir grupta en fazla {max} cüzdan olabilir.',
+  'bot.groupsFull': 'Zaten {max} grubunuz var. /pnlgroup del <ad> ile birini silin.',
+  'bot.groupSaved': '"{name}" grubu kaydedildi ({n} cüzdan). /pnl {name} ile çalıştırın',
+  'bot.groupUpdated': '"{name}" grubu güncellendi ({n} cüzdan). /pnl {name} ile çalıştırın',
+  'bot.groupDeleted': '"{name}" grubu silindi.',
+  'bot.noGroup': '"{name}" adlı grup yok.',
+  'bot.groupsTitle': '💼 <b>Cüzdan gruplarınız</b>',
+  'bot.noneYet': '<i>Henüz yok.</i>',
+  'bot.groupsHelp': 'Kaydet: /pnlgroup save &lt;ad&gt; &lt;wallet&gt; &lt;wallet&gt; …\nÇalıştır: /pnl &lt;ad&gt;  ·  Sil: /pnlgroup del &lt;ad&gt;',
+  'bot.autodetectState': 'Otomatik algılama burada {state}.\n/autodetect on|off kullanın (yalnızca grup yöneticileri).',
+  'bot.on': 'AÇIK',
+  'bot.off': 'KAPALI',
+  'bot.autodetectOn': 'Otomatik algılama AÇIK: yapıştırılan token kontratlarına kısa bir özet, cüzdanlara PnL kısayolu gönderilir.',
+  'bot.autodetectOff': 'Otomatik algılama KAPALI.',
+  'bot.fetchingStats': '⏳ <code>{ca}</code> için veriler alınıyor…',
+  'bot.inlineLoading': '⏳ Token verisi yükleniyor…',
+  'bot.inlineNotCached': '{ca} — henüz önbellekte değil, birkaç saniye sonra tekrar deneyin',
+  'bot.inlineTapOverview': 'Birkaç saniye sonra <b>Genel bakış</b>\'a dokunun.',
+  'bot.clustersNoResult': '🕸 <b>Fonlayan kümeleri</b>\n\n<i>Analiz sonuçsuz bitti — tekrar deneyin.</i>',
+  'bot.fundingTitle': '🪙 <b>Erken fonlama</b>',
+  'bot.bundlesTitle': '🧺 <b>Bundle\'lar</b>',
+  'bot.scanning': '<i>Erken transferler taranıyor…</i>',
+
+  // inline mode result cards (overviewArticle)
+  'inline.mc': 'PD {v}',
+  'inline.chg': '24s {v}',
+
+  // callback answers (toasts / alerts)
+  'ack.upToDate': 'Zaten güncel',
+  'ack.working': 'İşleniyor…',
+  'ack.loading': 'Yükleniyor…',
+  'ack.refreshing': 'Yenileniyor…',
+  'ack.refreshed': 'Yenilendi',
+  'ack.recomputing': 'Yeniden hesaplanıyor…',
+  'ack.recomputed': '{m} dk önce yeniden hesaplandı. Daha sonra tekrar deneyin.',
+  'ack.drawing': 'Grafik çiziliyor…',
+  'ack.error': 'Hata',
+  'ack.errorRetry': 'Hata — tekrar deneyin',
+  'ack.badAddress': 'Geçersiz adres',
+  'ack.chartInline': 'Grafikler fotoğraf olarak gönderilir — token\'ı bot sohbetinde açın.',
+  'ack.indexFirst': 'Önce 📈 Endeks\'i açın — dağılım hâlâ hesaplanıyor.',
+  'ack.unwatched': 'İzleme listesinden kaldırıldı',
+  'ack.alreadyRemoved': 'Zaten kaldırılmış',
+  'ack.alertCancelled': 'Alarm iptal edildi',
+  'ack.notYourAlert': 'Bu sizin alarmınız değil',
+  'ack.untracked': 'Takip bırakıldı',
+  'ack.unknownSetting': 'Bilinmeyen ayar',
+  'ack.settingsAdmins': 'Ayarları yalnızca grup yöneticileri değiştirebilir',
+  'ack.saved': 'Kaydedildi',
+  'ack.portfolioExpired': 'Bu portföyün süresi doldu — /pnl komutunu tekrar çalıştırın.',
+  'ack.tradesExpired': 'Bu işlemlerin süresi doldu — PnL\'i tekrar açın.',
+  'ack.exporting': 'Dışa aktarma hazırlanıyor…',
+  'ack.exportInline': 'Dışa aktarmalar dosya olarak gönderilir — görünümü bot sohbetinde açın.',
+  'ack.exportRefreshing': 'Sahip listesi henüz önbellekte yok — yenileniyor, bir dakika sonra tekrar deneyin.',
+  'ack.pnlExpired': 'Bu PnL\'in süresi doldu — tekrar açın.',
+};
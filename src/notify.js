@@ -0,0 +1,21 @@
+// src/notify.js
+// Outbound Telegram messages for pushes that don't start from an update
+// (worker-side alerts). Uses the Bot API directly, so it works in any process.
+import './configEnv.js';
+import { Telegram } from 'telegraf';
+
+const BOT_TOKEN = process.env.BOT_TOKEN;
+if (!BOT_TOKEN) console.warn('[NOTIFY] BOT_TOKEN missing — alerts will not be delivered');
+
+const tg = BOT_TOKEN ? new Telegram(BOT_TOKEN) : null;
+
+/** Send an HTML message; never throws. Returns the message, or null on failure. */
+export async function sendHTMLTo(chatId, text, extra = {}) {
+  if (!tg) return null;
+  try {
+    return await tg.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...extra });
+  } catch (e) {
+    console.warn('[NOTIFY] send failed', chatId, e?.response?.description || e?.message || e);
+    return null;
+  }
+}
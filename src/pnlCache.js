@@ -0,0 +1,44 @@
+// src/pnlCache.js
+// Computed PnL kept for a few minutes, so the view / page / sort buttons re-render from it
+// instead of running refreshPnl() (all explorer pages + prices) on every tap.
+// /pnl and 🔄 Refresh still recompute.
+//
+// Cache key:
+//   pnl:result:${id}   -> refreshPnl() result without ledgers, plus ledger = { id, index }
+//                         (id = pnlId(wallets, window, chain) from pnlLedger.js, PNL_CACHE_SEC)
+import { getJSON, setJSON } from './cache.js';
+import { resolveChain } from './chains.js';
+import { refreshPnl } from './pnlWorker.js';
+import { pnlId, rememberLedgers } from './pnlLedger.js';
+
+const PNL_CACHE_SEC = Math.max(30, Number(process.env.PNL_CACHE_SEC || 600));
+
+// Same normalization as refreshPnl(), so the id matches the one rememberLedgers() derives
+const walletList = (wallet) => [...new Set((Array.isArray(wallet) ? wallet : [wallet]).map(w => String(w || '').trim().toLowerCase()))];
+
+/**
+ * Recompute and cache. Returns { data, ledger } — ledger = { id, index } for the 🔎 buttons.
+ * portfolioId is stored with the ledgers (see rememberLedgers).
+ */
+export async function computePnl(wallet, window, chainKey, portfolioId = null) {
+  const data = await refreshPnl(wallet, window, chainKey);
+  const ledger = await rememberLedgers(data, portfolioId);
+  const { ledgers, ...rest } = data;
+  try {
+    await setJSON(`pnl:result:${ledger.id}`, { ...rest, ledger }, PNL_CACHE_SEC);
+  } catch (e) {
+    console.warn('[PNL] cache write failed:', e?.message || e);
+  }
+  return { data, ledger };
+}
+
+/** Same as computePnl(), but served from the cache while it is fresh. */
+export async function cachedPnl(wallet, window, chainKey, portfolioId = null) {
+  const id = pnlId(walletList(wallet), window, resolveChain(chainKey).key);
+  const hit = await getJSON(`pnl:result:${id}`);
+  if (hit) {
+    const { ledger, ...data } = hit;
+    return { data, ledger };
+  }
+  return computePnl(wallet, window, chainKey, portfolioId);
+}
@@ -0,0 +1,42 @@
+// src/pnlLedger.js
+// Per-token trade drill-down for PnL. refreshPnl() returns data.ledgers (one per traded token);
+// they are stored under a short id so a button can reopen one without recomputing the PnL.
+//
+// Cache key:
+//   pnl:ledger:${id}   -> { wallets, window, chain, portfolioId, tokens:[ledger…] }
+//                         (id = hash of wallets + window + chain, 1 day; buttons carry id + token index)
+import crypto from 'node:crypto';
+import { getJSON, setJSON } from './cache.js';
+
+const LEDGER_TTL = 24 * 3600;
+
+/** Short id of one PnL computation (wallet set + window + chain); also keys pnlCache.js. */
+export function pnlId(wallets, window, chain) {
+  const list = [...wallets].map(w => String(w).toLowerCase()).sort();
+  return crypto.createHash('sha1').update(`${list.join(',')}|${window}|${chain}`).digest('hex').slice(0, 12);
+}
+
+/** Store data.ledgers and return { id, index: { <token>: i } } for the buttons. */
+export async function rememberLedgers(data, portfolioId = null) {
+  const wallets = [...(data.wallets || [data.wallet])].sort();
+  const chain = data._meta?.chain || 'tabs';
+  const id = pnlId(wallets, data.window, chain);
+
+  const tokens = Object.keys(data.ledgers || {}).sort().map(t => data.ledgers[t]);
+  await setJSON(`pnl:ledger:${id}`, { wallets, window: data.window, chain, portfolioId, tokens }, LEDGER_TTL);
+  return { id, index: Object.fromEntries(tokens.map((l, i) => [l.token, i])) };
+}
+
+/** { wallets, window, chain, portfolioId, ledger } for a button, or null once it expired. */
+export async function loadLedger(id, i) {
+  const doc = await getJSON(`pnl:ledger:${id}`);
+  const ledger = doc?.tokens?.[Number(i)];
+  if (!ledger) return null;
+  const { tokens, ...meta } = doc;
+  return { ...meta, ledger };
+}
+
+/** The whole stored doc ({ wallets, window, chain, portfolioId, tokens }) for the PnL export, or null. */
+export async function loadLedgers(id) {
+  return getJSON(`pnl:ledger:${id}`);
+}
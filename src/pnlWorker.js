@@ -35,6 +35,7 @@ async function esGET(params, chain) {
     try {
       const { data } = await httpES.get('', esParams(params, chain));
       if (data?.status === '1') return data.result;
+      if (/no transactions found/i.test(data?.message || '')) return []; // empty range, not an error
       const msg = data?.result || data?.message || 'Etherscan v2 error';
       if (i === attempts) throw new Error(msg);
     } catch (e) {
@@ -102,44 +103,28 @@ function isETHLikeMeta(meta) {
 
 /* -------------------- Data pulls -------------------- */
 
-async function getTxList(address, { pageSize = 100, maxPages = 100 } = {}, chain) {
-  const out = [];
+// Pages one account action in ascending block order; complete=false when maxPages cut it short.
+async function pageAccount(action, address, { pageSize = 100, maxPages = 100, startBlock = 0 } = {}, chain) {
+  const rows = [];
   for (let page = 1; page <= maxPages; page++) {
     const batch = await esGET({
-      module:'account', action:'txlist', address,
-      page, offset:pageSize, startblock:0, endblock:9_223_372_036, sort:'asc'
+      module:'account', action, address,
+      page, offset:pageSize, startblock:startBlock, endblock:9_223_372_036, sort:'asc'
     }, chain);
-    if (!Array.isArray(batch) || batch.length === 0) break;
-    out.push(...batch);
-    if (batch.length < pageSize) break;
+    if (!Array.isArray(batch) || batch.length === 0) return { rows, complete: true };
+    rows.push(...batch);
+    if (batch.length < pageSize) return { rows, complete: true };
   }
-  return out;
+  return { rows, complete: false };
 }
-async function getInternalByAddress(address, { pageSize = 100, maxPages = 100 } = {}, chain) {
-  const out = [];
-  for (let page = 1; page <= maxPages; page++) {
-    const batch = await esGET({
-      module:'account', action:'txlistinternal', address,
-      page, offset:pageSize, startblock:0, endblock:9_223_372_036, sort:'asc'
-    }, chain);
-    if (!Array.isArray(batch) || batch.length === 0) break;
-    out.push(...batch);
-    if (batch.length < pageSize) break;
-  }
-  return out;
+async function getTxList(address, opts, chain) {
+  return (await pageAccount('txlist', address, opts, chain)).rows;
 }
-async function getTokentxByAddress(address, { pageSize = 100, maxPages = 100 } = {}, chain) {
-  const out = [];
-  for (let page = 1; page <= maxPages; page++) {
-    const batch = await esGET({
-      module:'account', action:'tokentx', address,
-      page, offset:pageSize, startblock:0, endblock:9_223_372_036, sort:'asc'
-    }, chain);
-    if (!Array.isArray(batch) || batch.length === 0) break;
-    out.push(...batch);
-    if (batch.length < pageSize) break;
-  }
-  return out;
+async function getInternalByAddress(address, opts, chain) {
+  return (await pageAccount('txlistinternal', address, opts, chain)).rows;
+}
+async function getTokentxByAddress(address, opts, chain) {
+  return (await pageAccount('tokentx', address, opts, chain)).rows;
 }
 async function getNFTtx(address, { pageSize = 200 } = {}, chain) {
   const res = await esGET({
@@ -265,49 +250,37 @@ function chooseTradeToken(rec) {
   return dominant;
 }
 
-export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
-  const chain = resolveChain(chainKey);
-
-  const acct = String(wallet||'').trim().toLowerCase();
-  if (!/^0x[a-f0-9]{40}$/.test(acct)) throw new Error('Bad wallet');
-
-  const sinceTs = parseWindow(window);
-
-  // 1) Fetch txs
-  const [normals, internals, tokentx] = await Promise.all([
-    getTxList(acct, {}, chain),
-    getInternalByAddress(acct, {}, chain),
-    getTokentxByAddress(acct, {}, chain),
-  ]);
-
-  // 2) Build per-hash envelope
-  const txmap = new Map(); // hash -> { ts, ethInWei, ethOutWei, tokenDeltas: {ca:{deltaRaw,decimals,symbol,name}} }
-
-  // Normal ETH/native
-  for (const t of normals) {
-    const h = t.hash, ts = Number(t.timeStamp||0);
-    const from = String(t.from||'').toLowerCase();
-    const to   = String(t.to||'').toLowerCase();
-    const valWei = toBig(t.value || '0');
-    let rec = txmap.get(h); if (!rec) txmap.set(h, rec = { ts, ethInWei:0n, ethOutWei:0n, tokenDeltas:{} });
-    if (from === acct && valWei > 0n) rec.ethOutWei += valWei;
-    if (to   === acct && valWei > 0n) rec.ethInWei  += valWei;
-    if (!rec.ts) rec.ts = ts;
-  }
-  // Internal ETH/native
-  for (const t of internals) {
-    const h = t.hash, ts = Number(t.timeStamp||0);
-    const from = String(t.from||'').toLowerCase();
-    const to   = String(t.to||'').toLowerCase();
-    const valWei = toBig(t.value || '0');
-    let rec = txmap.get(h); if (!rec) txmap.set(h, rec = { ts, ethInWei:0n, ethOutWei:0n, tokenDeltas:{} });
-    if (from === acct && valWei > 0n) rec.ethOutWei += valWei;
-    if (to   === acct && valWei > 0n) rec.ethInWei  += valWei;
-    if (!rec.ts) rec.ts = ts;
+// Per-hash envelope: hash -> { ts, block, ethInWei, ethOutWei, tokenDeltas: {ca:{deltaRaw,decimals,symbol,name}} }
+// members = Set of wallets treated as one account (a single wallet, or a portfolio). Moves between
+// members are internal: they touch no envelope and are only counted. An event listed for several
+// members is applied once.
+function buildTxEnvelopes(members, { normals = [], internals = [], tokentx = [] }) {
+  const txmap = new Map();
+  const seen = new Set();
+  let internalMoves = 0;
+  const envelope = (t) => {
+    let rec = txmap.get(t.hash);
+    if (!rec) txmap.set(t.hash, rec = { ts: Number(t.timeStamp||0), block: Number(t.blockNumber||0), ethInWei:0n, ethOutWei:0n, tokenDeltas:{} });
+    if (!rec.ts) rec.ts = Number(t.timeStamp||0);
+    return rec;
+  };
+  const firstSeen = (key) => !seen.has(key) && !!seen.add(key);
+
+  // Normal + internal ETH/native
+  for (const [kind, list] of [['n', normals], ['i', internals]]) {
+    for (const t of list) {
+      const from = String(t.from||'').toLowerCase();
+      const to   = String(t.to||'').toLowerCase();
+      const valWei = toBig(t.value || '0');
+      if (!firstSeen(`${kind}:${t.hash}:${t.traceId || ''}:${from}:${to}:${t.value}`)) continue;
+      if (members.has(from) && members.has(to)) { if (valWei > 0n) internalMoves++; continue; }
+      const rec = envelope(t);
+      if (members.has(from) && valWei > 0n) rec.ethOutWei += valWei;
+      if (members.has(to)   && valWei > 0n) rec.ethInWei  += valWei;
+    }
   }
   // ERC20 (incl. WETH → map to ETH/native leg)
   for (const ev of tokentx) {
-    const h  = ev.hash, ts = Number(ev.timeStamp||0);
     const from = String(ev.from||'').toLowerCase();
     const to   = String(ev.to||'').toLowerCase();
     const ca   = String(ev.contractAddress||'').toLowerCase();
@@ -316,24 +289,27 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
     const dec  = Number(ev.tokenDecimal||18);
     const raw  = toBig(ev.value || '0');
     if (raw === 0n) continue;
+    if (!firstSeen(`t:${ev.hash}:${ev.logIndex ?? `${ca}:${from}:${to}:${ev.value}`}`)) continue;
+    if (members.has(from) && members.has(to)) { internalMoves++; continue; }
 
-    let rec = txmap.get(h); if (!rec) txmap.set(h, rec = { ts, ethInWei:0n, ethOutWei:0n, tokenDeltas:{} });
+    const rec = envelope(ev);
 
     if (detectWETH(ca, sym)) {
       const wei = raw * (ONE_E18 / (10n ** BigInt(dec)));
-      if (to === acct)   rec.ethInWei  += wei;
-      if (from === acct) rec.ethOutWei += wei;
-      if (!rec.ts) rec.ts = ts;
+      if (members.has(to))   rec.ethInWei  += wei;
+      if (members.has(from)) rec.ethOutWei += wei;
       continue;
     }
 
     if (!rec.tokenDeltas[ca]) rec.tokenDeltas[ca] = { deltaRaw:0n, decimals:dec, symbol:sym, name };
-    if (to   === acct) rec.tokenDeltas[ca].deltaRaw += raw;
-    if (from === acct) rec.tokenDeltas[ca].deltaRaw -= raw;
-    if (!rec.ts) rec.ts = ts;
+    if (members.has(to))   rec.tokenDeltas[ca].deltaRaw += raw;
+    if (members.has(from)) rec.tokenDeltas[ca].deltaRaw -= raw;
   }
+  return { txmap, internalMoves };
+}
 
-  // 3) Extract trades with heuristic selection
+// Trades = envelopes with an ETH leg and a traded token picked by chooseTradeToken
+function extractTrades(txmap, sinceTs = 0) {
   const trades = [];
   for (const [hash, rec] of txmap.entries()) {
     if (sinceTs && rec.ts && rec.ts < sinceTs) continue;
@@ -344,14 +320,135 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
     trades.push({
       hash,
       ts: rec.ts || 0,
+      block: rec.block || 0,
       token: chosen.ca,
       symbol: chosen.symbol || '',
+      name: chosen.name || '',
       decimals: chosen.decimals || 18,
       tokenDeltaRaw: chosen.deltaRaw, // >0 buy, <0 sell
       ethInWei:  rec.ethInWei,
       ethOutWei: rec.ethOutWei,
     });
   }
+  return trades;
+}
+
+/**
+ * Per-token trade ledger for the drill-down (/pnltoken): every classified trade, oldest first,
+ * with the running position and average cost so far. The final avgCostEth/realizedEth are the
+ * same numbers refreshPnl uses (window average cost, not FIFO).
+ */
+function buildLedgers(trades, positions) {
+  const byToken = new Map();
+  const sorted = [...trades].sort((a, b) => (a.block - b.block) || (a.ts - b.ts));
+  for (const tr of sorted) {
+    let l = byToken.get(tr.token);
+    if (!l) {
+      l = { token: tr.token, symbol: tr.symbol || '', decimals: tr.decimals || 18, trades: [], _pos: 0n, _bought: 0n, _spent: 0n };
+      byToken.set(tr.token, l);
+    }
+    const isBuy = tr.tokenDeltaRaw > 0n;
+    const qtyRaw = isBuy ? tr.tokenDeltaRaw : -tr.tokenDeltaRaw;
+    const wei = isBuy ? tr.ethOutWei : tr.ethInWei;
+    l._pos += tr.tokenDeltaRaw;
+    if (isBuy) { l._bought += qtyRaw; l._spent += wei; }
+    const qty = bnToNum(qtyRaw, l.decimals);
+    const eth = Number(wei) / 1e18;
+    const bought = bnToNum(l._bought, l.decimals);
+    l.trades.push({
+      hash: tr.hash,
+      ts: tr.ts,
+      side: isBuy ? 'buy' : 'sell',
+      qty,
+      eth: Number(+round4(eth)),
+      priceEth: qty > 0 ? eth / qty : 0,
+      position: bnToNum(l._pos, l.decimals),
+      avgCostEth: bought > 0 ? (Number(l._spent) / 1e18) / bought : 0,
+    });
+  }
+
+  const out = {};
+  for (const l of byToken.values()) {
+    const p = positions.get(l.token);
+    const bought = bnToNum(p.qtyBoughtRaw, p.decimals);
+    out[l.token] = {
+      token: l.token,
+      symbol: l.symbol,
+      decimals: l.decimals,
+      trades: l.trades,
+      boughtQty: bought,
+      soldQty: bnToNum(p.qtySoldRaw, p.decimals),
+      spentEth: Number(+round4(Number(p.ethSpentWei) / 1e18)),
+      recvEth: Number(+round4(Number(p.ethRecvWei) / 1e18)),
+      avgCostEth: bought > 0 ? (Number(p.ethSpentWei) / 1e18) / bought : 0,
+      realizedEth: Number(+round4(Number(p.realizedWei) / 1e18)),
+    };
+  }
+  return out;
+}
+
+/**
+ * New trades of a wallet since a block (used by the /track poller).
+ * Returns { trades (oldest first), lastBlock } — lastBlock is the last block fully read, or startBlock-1 if none.
+ * A list cut short by maxPages may stop mid-block, so lastBlock stays below its last block and
+ * everything after it (in all three lists) is left for the next poll instead of being skipped.
+ */
+export async function getWalletTradesSince(wallet, startBlock = 0, chainKey = 'tabs') {
+  const chain = resolveChain(chainKey);
+  const acct = String(wallet||'').trim().toLowerCase();
+  const opts = { startBlock, maxPages: 10 };
+  const lists = await Promise.all(
+    ['txlist', 'txlistinternal', 'tokentx'].map(action => pageAccount(action, acct, opts, chain)));
+
+  const blockOf = (t) => Number(t.blockNumber || 0);
+  let lastBlock = Math.max(0, startBlock - 1);
+  for (const { rows } of lists) for (const t of rows) lastBlock = Math.max(lastBlock, blockOf(t));
+  for (const { rows, complete } of lists) {
+    if (!complete && rows.length) lastBlock = Math.min(lastBlock, blockOf(rows[rows.length - 1]) - 1);
+  }
+  if (lists.some(l => !l.complete)) {
+    // one block bigger than the page cap would stall the cursor forever: take what was read
+    if (lastBlock < startBlock) lastBlock = startBlock;
+    console.warn('[TRACK] page cap hit for', acct, chain.key, '— resuming after block', lastBlock);
+  }
+
+  const [normals, internals, tokentx] = lists.map(l => l.rows.filter(t => blockOf(t) <= lastBlock));
+  const { txmap } = buildTxEnvelopes(new Set([acct]), { normals, internals, tokentx });
+  const trades = extractTrades(txmap)
+    .sort((a, b) => (a.block - b.block) || (a.ts - b.ts));
+  return { trades, lastBlock };
+}
+
+/**
+ * PnL for one wallet, or for several as one portfolio (pass an array): positions are merged
+ * per token so cost basis spans the wallets, and moves between them are ignored.
+ */
+export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
+  const chain = resolveChain(chainKey);
+
+  const accts = [...new Set((Array.isArray(wallet) ? wallet : [wallet]).map(w => String(w||'').trim().toLowerCase()))];
+  if (!accts.length || accts.some(a => !/^0x[a-f0-9]{40}$/.test(a))) throw new Error('Bad wallet');
+  const acct = accts[0];
+  const members = new Set(accts);
+
+  const sinceTs = parseWindow(window);
+
+  // 1) Fetch txs (one wallet at a time; esGET is throttled anyway)
+  const normals = [], internals = [], tokentx = [];
+  for (const a of accts) {
+    const [n, i, t] = await Promise.all([
+      getTxList(a, {}, chain),
+      getInternalByAddress(a, {}, chain),
+      getTokentxByAddress(a, {}, chain),
+    ]);
+    normals.push(...n); internals.push(...i); tokentx.push(...t);
+  }
+
+  // 2) Build per-hash envelope
+  const { txmap, internalMoves } = buildTxEnvelopes(members, { normals, internals, tokentx });
+
+  // 3) Extract trades with heuristic selection
+  const trades = extractTrades(txmap, sinceTs);
 
   // 4) Per-token rollup (average cost)
   const positions = new Map(); // token -> pos
@@ -361,7 +458,8 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
     if (!p) {
       p = {
         token, symbol: symbol||'', decimals: decimals||18,
-        qtyBoughtRaw:0n, qtySoldRaw:0n, ethSpentWei:0n, ethRecvWei:0n, realizedWei:0n
+        qtyBoughtRaw:0n, qtySoldRaw:0n, ethSpentWei:0n, ethRecvWei:0n, realizedWei:0n,
+        lastTs:0, // latest trade (unix s), for the "recent" sort of the PnL lists
       };
       positions.set(token, p);
     }
@@ -370,6 +468,7 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
 
   for (const tr of trades) {
     const p = posFor(tr.token, tr.symbol, tr.decimals);
+    p.lastTs = Math.max(p.lastTs, tr.ts || 0);
     if (tr.tokenDeltaRaw > 0n) {
       // BUY
       const spent = tr.ethOutWei > 0n ? tr.ethOutWei : 0n;
@@ -397,6 +496,8 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
     }
   }
 
+  const ledgers = buildLedgers(trades, positions);
+
   // 5) Build lists
   const realizedItems = [];
   const openItems = [];
@@ -430,6 +531,7 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
         realizedPct: Number(+round4(realizedPct)),
         avgBuyEth: Number(+round4(avgBuyEth)),
         heldNum: bnToNum(heldBig, p.decimals),
+        lastTs: p.lastTs,
       });
     }
 
@@ -440,6 +542,7 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
         decimals: p.decimals,
         heldNum: bnToNum(heldBig, p.decimals),
         avgBuyEth: Number(+round4(avgBuyEth)),
+        lastTs: p.lastTs,
       });
     }
   }
@@ -447,16 +550,19 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
   // 6) Optional: enrich open via Alchemy balances (holdings with no recent trades)
   if (ALCHEMY_RPC) {
     try {
-      const bals = await getAlchemyBalances(acct);
+      const bals = [];
+      for (const a of accts) bals.push(...await getAlchemyBalances(a));
       const have = new Set(openItems.map(x => x.token.toLowerCase()));
-      const add = [];
+      const addBy = new Map(); // token -> item (portfolio members can hold the same token)
       for (const b of bals) {
         const ca = b.contractAddress;
         if (have.has(ca)) continue;
         const raw = BigInt(b.tokenBalanceHex);
         if (raw <= 0n) continue;
-        add.push({ token: ca, symbol: '', decimals: 18, heldNum: 0, _raw: raw });
+        if (addBy.has(ca)) addBy.get(ca)._raw += raw;
+        else addBy.set(ca, { token: ca, symbol: '', decimals: 18, heldNum: 0, _raw: raw });
       }
+      const add = [...addBy.values()];
       const metaByToken = {};
       for (const tr of trades) metaByToken[tr.token.toLowerCase()] = { decimals: tr.decimals, symbol: tr.symbol };
       for (const it of add) {
@@ -514,12 +620,17 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
       }
     }
   }
-  const nftEvents = await getNFTtx(acct, { pageSize: 200 }, chain);
+  const nftEvents = [];
+  for (const a of accts) nftEvents.push(...await getNFTtx(a, { pageSize: 200 }, chain));
   const nftMap = new Map();
+  const nftSeen = new Set();
   for (const ev of nftEvents) {
     const ts = Number(ev.timeStamp||0);
     if (sinceTs && ts < sinceTs) continue;
-    if (String(ev.to||'').toLowerCase() !== acct) continue;
+    if (!members.has(String(ev.to||'').toLowerCase()) || members.has(String(ev.from||'').toLowerCase())) continue;
+    const nftKey = `${ev.hash}:${ev.contractAddress}:${ev.tokenID}`;
+    if (nftSeen.has(nftKey)) continue;
+    nftSeen.add(nftKey);
     const rec = txmap.get(ev.hash);
     if (rec && rec.ethOutWei === 0n) {
       const key = String(ev.contractAddress||'').toLowerCase();
@@ -581,7 +692,8 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
   let walletWeth = '0';
   let walletEthTotal = '0';
   try {
-    const wei = await getEthBalanceWei(acct, chain);
+    let wei = 0n;
+    for (const a of accts) wei += toBig(await getEthBalanceWei(a, chain));
     walletEth = weiToEthStr(wei);
   } catch {}
   try {
@@ -595,6 +707,7 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
 
   return {
     wallet: acct,
+    wallets: accts,
     window,
     totals,
     topProfits,
@@ -614,6 +727,7 @@ export async function refreshPnl(wallet, window='30d', chainKey='tabs') {
     walletEth,
     walletWeth,
     walletEthTotal,
-    _meta: { now: Date.now(), chain: chain.key }
+    ledgers,
+    _meta: { now: Date.now(), chain: chain.key, internalMoves }
   };
 }
@@ -0,0 +1,116 @@
+// src/priceAlerts.js
+// Per-user price / market-cap targets (/alert), checked after every refreshToken.
+// Each alert fires once: it is removed and the owner gets a DM.
+//
+// Redis keys:
+//   alerts:items:${userId}       hash  alertId -> { id, ca, chain, metric:'price'|'mcap', dir:'above'|'below', value, chatId, createdAt }
+//   alerts:refs:${chain}:${ca}   set   "<userId>:<alertId>" for every alert on the token
+//   alerts:registry              set   "<chain>:<ca>" with at least one alert (for the scheduler)
+import { redis, sremAndPrune, hsetnxCapped, pairId, parseJSON, hgetJSON, hvalsJSON, smembersPairs } from './cache.js';
+import { resolveChain } from './chains.js';
+import { sendHTMLTo } from './notify.js';
+import { renderPriceAlertFired } from './renderers_alerts.js';
+import { chatOpts } from './chatSettings.js';
+
+export const ALERT_MAX_PER_USER = Math.max(1, Number(process.env.ALERT_MAX_PER_USER || 20));
+
+const itemsKey = (userId) => `alerts:items:${userId}`;
+const refsKey = (id) => `alerts:refs:${id}`;
+const REGISTRY_KEY = 'alerts:registry';
+const refOf = (userId, alertId) => `${userId}:${alertId}`;
+
+// HDEL decides the owner of a removal: only the caller that actually deleted the item unregisters it
+// (and, in evaluatePriceAlerts, sends it), so a cancel racing a fire never double-handles an alert.
+async function dropAlert(userId, item) {
+  if (!(await redis.hdel(itemsKey(userId), item.id))) return false;
+  const id = pairId(item.chain, item.ca);
+  await sremAndPrune(refsKey(id), refOf(userId, item.id), REGISTRY_KEY, id);
+  return true;
+}
+
+/** Current value of an alert metric from a summary payload (null when unknown). */
+export function metricValue(payload, metric) {
+  const m = payload?.market || {};
+  const v = metric === 'mcap' ? m.marketCap : m.priceUsd;
+  return typeof v === 'number' && v > 0 ? v : null;
+}
+
+export const isTriggered = (alert, current) =>
+  current != null && (alert.dir === 'above' ? current >= alert.value : current <= alert.value);
+
+/** Add an alert. Returns { ok, item?, reason? } (reason: 'limit'). */
+export async function addPriceAlert(userId, { ca, chainKey, metric, dir, value, chatId = null }) {
+  const chain = resolveChain(chainKey);
+  const addr = String(ca || '').toLowerCase();
+  const item = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 5),
+    ca: addr,
+    chain: chain.key,
+    metric: metric === 'mcap' ? 'mcap' : 'price',
+    dir: dir === 'below' ? 'below' : 'above',
+    value: Number(value),
+    chatId,
+    createdAt: Date.now(),
+  };
+  // Register first: a ref without its item is skipped by evaluatePriceAlerts, an item without its ref would never fire.
+  const id = pairId(chain.key, addr);
+  await redis.multi().sadd(refsKey(id), refOf(userId, item.id)).sadd(REGISTRY_KEY, id).exec();
+  if ((await hsetnxCapped(itemsKey(userId), item.id, JSON.stringify(item), ALERT_MAX_PER_USER)) < 0) {
+    await sremAndPrune(refsKey(id), refOf(userId, item.id), REGISTRY_KEY, id);
+    return { ok: false, reason: 'limit' };
+  }
+  return { ok: true, item };
+}
+
+/** Cancel one alert by id. Returns the removed item or null. */
+export async function removePriceAlert(userId, id) {
+  const item = await hgetJSON(itemsKey(userId), id);
+  if (!item) return null;
+  return (await dropAlert(userId, item)) ? item : null;
+}
+
+/** A user's alerts, oldest first. */
+export async function listPriceAlerts(userId) {
+  return hvalsJSON(itemsKey(userId), 'createdAt');
+}
+
+/** Distinct tokens with at least one active alert: [{ ca, chain }] */
+export async function alertedTokens() {
+  return (await smembersPairs(REGISTRY_KEY)).map(([chain, ca]) => ({ chain, ca }));
+}
+
+/** Called by refreshToken with the fresh payload; fires (and removes) every alert whose target was reached. */
+export async function evaluatePriceAlerts(chainKey, tokenAddress, payload) {
+  if (!payload?.market) return;
+  const chain = resolveChain(chainKey);
+  const ca = String(tokenAddress || '').toLowerCase();
+
+  // refs -> { userId: [alertId, …] }
+  const byUser = new Map();
+  for (const ref of await redis.smembers(refsKey(pairId(chain.key, ca)))) {
+    const i = ref.lastIndexOf(':');
+    const userId = ref.slice(0, i);
+    byUser.set(userId, [...(byUser.get(userId) || []), ref.slice(i + 1)]);
+  }
+
+  for (const [userId, ids] of byUser) {
+    try {
+      const items = (await redis.hmget(itemsKey(userId), ...ids)).map(parseJSON).filter(Boolean);
+      const fired = [];
+      for (const x of items) {
+        if (isTriggered(x, metricValue(payload, x.metric)) && await dropAlert(userId, x)) fired.push(x);
+      }
+      if (!fired.length) continue;
+
+      const opts = await chatOpts(userId); // the DM is the user's private chat
+      for (const alert of fired) {
+        const { text, extra } = renderPriceAlertFired(payload, chain, alert, metricValue(payload, alert.metric), opts);
+        // DM first; fall back to the chat the alert was set in (user never opened a DM with the bot)
+        const sent = await sendHTMLTo(userId, text, extra);
+        if (!sent && alert.chatId && String(alert.chatId) !== userId) await sendHTMLTo(alert.chatId, text, extra);
+      }
+    } catch (e) {
+      console.warn('[ALERTS] evaluate failed for user', userId, ca, e?.message || e);
+    }
+  }
+}
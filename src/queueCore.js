@@ -2,4 +2,4 @@
 // Thin facade so other modules can import from one place.
 // Keeps refresh/queue logic single-sourced in refreshWorker.js.
 
-export { queue, refreshToken } from './refreshWorker.js';
+export { queue, refreshToken, enqueueClustersJob, clustersJobId, enqueueIndexJob } from './refreshWorker.js';
@@ -14,6 +14,16 @@ import { setJSON, withLock, getJSON } from './cache.js';
 import { getDexscreenerTokenStats } from './services/dexscreener.js';
 import { resolveChain } from './chains.js';
 import { buildIndexSnapshot } from './indexer.js';
+import { saveBalances, loadBalances } from './balances.js';
+import { analyzeBundlesForToken } from './services/bundles.js';
+import { evaluateWatchAlerts, watchedTokens } from './watchlist.js';
+import { evaluatePriceAlerts, alertedTokens } from './priceAlerts.js';
+import { evaluateDevSells } from './devAlerts.js';
+import { evaluateWhaleMoves } from './whaleAlerts.js';
+import { pollTrackedWallet, trackedWallets } from './walletTracker.js';
+import { recordHistoryPoint } from './history.js';
+import { buildBundlesSnapshot } from './bundles.js';
+import { computePnl } from './pnlCache.js';
 
 // ------------------------ Dexscreener helpers ------------------------
 const httpDS = axios.create({ timeout: 15_000 });
@@ -372,7 +382,8 @@ function first20BuyersFromTokentx(txsAsc, { tokenAddress, creator, pairAddress,
       if (balNow === 0n) status = 'sold all';
       else if (balNow < info.firstBuyAmt) status = 'sold some';
       else if (balNow > info.firstBuyAmt) status = 'bought more';
-      return { address, status };
+      // raw units (summary.decimals); shown in the ⬇️ Export of the buyers view
+      return { address, status, firstBuyRaw: info.firstBuyAmt.toString(), balanceRaw: balNow.toString(), block: info.blockNumber };
     });
 
   return ordered.slice(0, Math.min(20, ordered.length));
@@ -422,7 +433,8 @@ function first20BuyersFromLogs(logsAsc, { tokenAddress, creator, pairAddress, ex
       if (balNow === 0n) status = 'sold all';
       else if (balNow < info.firstBuyAmt) status = 'sold some';
       else if (balNow > info.firstBuyAmt) status = 'bought more';
-      return { address, status };
+      // raw units (summary.decimals); shown in the ⬇️ Export of the buyers view
+      return { address, status, firstBuyRaw: info.firstBuyAmt.toString(), balanceRaw: balNow.toString(), block: info.blockNumber };
     });
 
   return ordered.slice(0, Math.min(20, ordered.length));
@@ -559,11 +571,24 @@ export async function refreshToken(tokenAddress, chainKey='tabs') {
     let burnedPct = 0;
     let first20Buyers = [];
     let creatorPercent = 0;
+    let creatorBal = 0n;
+    let balances = new Map();
+    const decimals = Number(earlyTokentx[0]?.tokenDecimal ?? 18);
 
     try {
-      const balances = buildBalancesFromLogs(logs);
+      balances = buildBalancesFromLogs(logs);
       const supply = toBig(totalSupplyRaw || '0');
 
+      // keep the full map for views that need current holdings (funding, clusters, …);
+      // skip when the crawl came back empty so a failed pull doesn't wipe the last good map
+      if (logs.length) {
+        try {
+          await saveBalances(ca, chain.key, balances, { totalSupply: totalSupplyRaw, decimals });
+        } catch (e) {
+          console.log('[WORKER] balances cache write failed:', e?.message || e);
+        }
+      }
+
       // burned %
       let burned = 0n;
       for (const lg of logs) {
@@ -585,7 +610,6 @@ export async function refreshToken(tokenAddress, chainKey='tabs') {
       holdersCount = holders.holdersCount;
 
       // creator %
-      let creatorBal = 0n;
       try { creatorBal = toBig(creatorBalRaw || '0'); } catch {}
       if (creatorBal === 0n && creatorAddr) {
         creatorBal = balances.get(lc(creatorAddr)) || 0n;
@@ -613,6 +637,7 @@ export async function refreshToken(tokenAddress, chainKey='tabs') {
 
     // 4) Final payload
     const payload = {
+      chain: chain.key,
       tokenAddress: ca,
       updatedAt: Date.now(),
 
@@ -622,6 +647,7 @@ export async function refreshToken(tokenAddress, chainKey='tabs') {
       top10CombinedPct,
       burnedPct,
       holdersCount,
+      decimals,
 
       first20Buyers,
 
@@ -635,24 +661,148 @@ export async function refreshToken(tokenAddress, chainKey='tabs') {
       await setJSON(sumKey, payload, 180);
       await setJSON(gateKey, { ts: Date.now() }, 600);
       console.log('[WORKER] cached', sumKey, 'ttl=180s', 'elapsed', (Date.now() - t0) + 'ms');
+
+      // ticker -> CA pointer for lookups by symbol (inline mode); the most liquid token keeps the ticker
+      if (market?.symbol) {
+        const tickerKey = `ticker:${chain.key}:${String(market.symbol).toUpperCase()}`;
+        const prev = await getJSON(tickerKey);
+        const liq = Number(market.liquidityUsd || 0);
+        if (!prev || prev.ca === ca || liq >= Number(prev.liquidityUsd || 0)) {
+          await setJSON(tickerKey, { ca, liquidityUsd: liq, updatedAt: Date.now() }, 7 * 24 * 3600);
+        }
+      }
     } catch (e) {
       console.log('[WORKER] cache write failed:', e?.message || e);
     }
 
+    // 5b) History point for the 📉 charts
+    try {
+      await recordHistoryPoint(chain.key, ca, payload);
+    } catch (e) {
+      console.log('[WORKER] history write failed:', e?.message || e);
+    }
+
+    // 6) Alerts for chats watching this token + users' price targets
+    try {
+      await evaluateWatchAlerts(chain.key, ca, payload);
+    } catch (e) {
+      console.log('[WORKER] watch alerts failed:', e?.message || e);
+    }
+    try {
+      await evaluatePriceAlerts(chain.key, ca, payload);
+    } catch (e) {
+      console.log('[WORKER] price alerts failed:', e?.message || e);
+    }
+
+    // 7) Creator sells + top-holder moves since the previous refresh (need a full log crawl)
+    if (creatorAddr && logs.length) {
+      try {
+        await evaluateDevSells(chain.key, ca, payload, {
+          creator: creatorAddr,
+          balance: creatorBal,
+          logs,
+          supply: toBig(totalSupplyRaw || '0'),
+          ammPair,
+        });
+      } catch (e) {
+        console.log('[WORKER] dev alerts failed:', e?.message || e);
+      }
+    }
+    if (logs.length && holdersTop20.length) {
+      try {
+        await evaluateWhaleMoves(chain.key, ca, payload, { balances, supply: toBig(totalSupplyRaw || '0') });
+      } catch (e) {
+        console.log('[WORKER] whale alerts failed:', e?.message || e);
+      }
+    }
+
     console.log('[WORKER] refreshToken done', ca, 'chain=', chain.key);
     return payload;
   });
 }
 
+// ------------------------ Funder clusters (background job) ------------------------
+// One job per token+chain: re-adding while it runs (or shortly after) joins the same job.
+export const clustersJobId = (ca, chainKey) => `clusters-${resolveChain(chainKey).key}-${lc(ca)}`;
+
+export async function enqueueClustersJob(tokenAddress, chainKey = 'tabs') {
+  const chain = resolveChain(chainKey);
+  const ca = lc(tokenAddress);
+  return queue.add('clusters', { tokenAddress: ca, chain: chain.key }, {
+    jobId: clustersJobId(ca, chain.key),
+    removeOnComplete: { age: 600 },
+    removeOnFail: true,
+  });
+}
+
+async function runClustersJob(job, ca, chain) {
+  // Holdings need the balances map + LP from a recent refresh; do one first if missing.
+  let summary = await getJSON(`token:${chain.key}:${ca}:summary`);
+  let bal = await loadBalances(ca, chain.key);
+  if (!summary || !bal) {
+    await job.updateProgress({ stage: 'refresh', done: 0, total: 0 });
+    summary = (await refreshToken(ca, chain.key)) || summary;
+    bal = await loadBalances(ca, chain.key);
+  }
+
+  await job.updateProgress({ stage: 'funders', done: 0, total: 0 });
+  return analyzeBundlesForToken(ca, {
+    chainKey: chain.key,
+    ammPair: summary?.market?.pairAddress || null,
+    balances: bal?.balances || null,
+    totalSupplyRaw: bal?.totalSupply || '0',
+    force: true,
+    onProgress: (done, total) => job.updateProgress({ stage: 'funders', done, total }),
+  });
+}
+
+// ------------------------ Holder index (background job) ------------------------
+// Same snapshot the 📈 Index button builds in the bot process, for callers that only queue (/compare).
+export const indexJobId = (ca, chainKey) => `index-${resolveChain(chainKey).key}-${lc(ca)}`;
+
+export async function enqueueIndexJob(tokenAddress, chainKey = 'tabs') {
+  const chain = resolveChain(chainKey);
+  const ca = lc(tokenAddress);
+  return queue.add('index', { tokenAddress: ca, chain: chain.key }, {
+    jobId: indexJobId(ca, chain.key),
+    removeOnComplete: true,
+    removeOnFail: true,
+  });
+}
+
+// ------------------------ Wallet tracking (background job) ------------------------
+async function runTrackJob(job, chain) {
+  const trades = await pollTrackedWallet(job.data?.wallet, chain.key);
+  // Warm the summary so the 📊 Stats button on each post opens straight away
+  for (const token of new Set(trades.map(t => t.token))) {
+    if (await getJSON(`token:${chain.key}:${token}:summary`)) continue;
+    await queue.add('refresh', { tokenAddress: token, chain: chain.key }, { removeOnComplete: true, removeOnFail: true });
+  }
+  return { trades: trades.length };
+}
+
+// ------------------------ PnL (background job) ------------------------
+// Queued by the HTTP API on a cache miss; the result lands where the bot's PnL buttons read it.
+async function runPnlJob(job, chain) {
+  const { wallets, window } = job.data || {};
+  const { data } = await computePnl(wallets, window, chain.key);
+  return { wallets: data.wallets.length, window };
+}
+
 // ------------------------ Worker (consumer) ------------------------
 new Worker(
   'multichain_refresh',
   async (job) => {
     const chain = resolveChain(job.data?.chain || 'tabs');
     const ca = job.data?.tokenAddress;
-    console.log('[WORKER] job received:', job.name, job.id, ca, 'chain=', chain.key);
+    console.log('[WORKER] job received:', job.name, job.id, ca || job.data?.wallet || job.data?.wallets, 'chain=', chain.key);
     try {
-      const res = await refreshToken(ca, chain.key);
+      const res = job.name === 'clusters' ? await runClustersJob(job, lc(ca), chain)
+        : job.name === 'track' ? await runTrackJob(job, chain)
+        : job.name === 'index' ? await buildIndexSnapshot(lc(ca), chain.key)
+        : job.name === 'bundles' ? await buildBundlesSnapshot(lc(ca), chain.key)
+        : job.name === 'pnl' ? await runPnlJob(job, chain)
+        : await refreshToken(ca, chain.key);
       console.log('[WORKER] job OK:', job.id);
       return res;
     } catch (e) {
@@ -660,11 +810,15 @@ new Worker(
       throw e;
     }
   },
-  { connection: bullRedis }
+  // >1 so a long clusters job doesn't hold up token refreshes
+  { connection: bullRedis, concurrency: Math.max(1, Number(process.env.WORKER_CONCURRENCY || 2)) }
 );
 
 // ------------------------ Optional cron refresher ------------------------
-if (process.argv.includes('--cron') && process.env.DEFAULT_TOKENS) {
+// Enabled with `--cron` or CRON=true (pm2 ecosystem). Only one process should run it.
+const CRON_ON = process.argv.includes('--cron') || process.env.CRON === 'true';
+
+if (CRON_ON && process.env.DEFAULT_TOKENS) {
   const list = process.env.DEFAULT_TOKENS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
   if (list.length) {
     console.log('[CRON] Refreshing tokens every 120s:', list.join(', '));
@@ -680,6 +834,50 @@ if (process.argv.includes('--cron') && process.env.DEFAULT_TOKENS) {
   }
 }
 
+// ------------------------ Watchlist scheduler ------------------------
+// Refreshes every token some chat watches or has a price alert on;
+// alerts are evaluated inside refreshToken.
+const WATCH_INTERVAL_MS = Math.max(30, Number(process.env.WATCH_INTERVAL_SEC || 120)) * 1000;
+if (CRON_ON) {
+  console.log('[WATCH] scheduler every', WATCH_INTERVAL_MS / 1000, 's');
+  setInterval(async () => {
+    try {
+      const seen = new Set();
+      const list = [...await watchedTokens(), ...await alertedTokens()]
+        .filter(({ ca, chain }) => !seen.has(`${chain}:${ca}`) && seen.add(`${chain}:${ca}`));
+      for (const { ca, chain } of list) {
+        try {
+          await queue.add('refresh', { tokenAddress: ca, chain }, { removeOnComplete: true, removeOnFail: true });
+        } catch (e) {
+          console.error('[WATCH] enqueue failed for', chain, ca, e?.message || e);
+        }
+      }
+    } catch (e) {
+      console.warn('[WATCH] loop error:', e?.message || e);
+    }
+  }, WATCH_INTERVAL_MS);
+}
+
+// ------------------------ Wallet tracking scheduler ------------------------
+// One 'track' job per wallet per tick; the jobId keeps a slow poll from being queued twice.
+const TRACK_INTERVAL_MS = Math.max(15, Number(process.env.TRACK_INTERVAL_SEC || 60)) * 1000;
+if (CRON_ON) {
+  console.log('[TRACK] scheduler every', TRACK_INTERVAL_MS / 1000, 's');
+  setInterval(async () => {
+    try {
+      for (const { wallet, chain } of await trackedWallets()) {
+        try {
+          await queue.add('track', { wallet, chain }, { jobId: `track-${chain}-${wallet}`, removeOnComplete: true, removeOnFail: true });
+        } catch (e) {
+          console.error('[TRACK] enqueue failed for', chain, wallet, e?.message || e);
+        }
+      }
+    } catch (e) {
+      console.warn('[TRACK] loop error:', e?.message || e);
+    }
+  }, TRACK_INTERVAL_MS);
+}
+
 // ------------------------ Optional index cron ------------------------
 if (!process.env.DISABLE_INDEX_CRON) {
   setInterval(async () => {
@@ -1,14 +1,18 @@
 // src/renderers.js
 // HTML renderers for Telegram UI (safe against Markdown/HTML issues)
-import { esc, pct, money, shortAddr, trendBadge } from './ui_html.js';
+import { esc, shortAddr, trendBadge, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { shareButton, dashboardButton, tokenPayload } from './deepLinks.js';
+import { resolveChain } from './chains.js';
+import { translator } from './i18n.js';
 
 /** tiny text progress bar (10 slots) */
-function progressBar(pctNum) {
+function progressBar(pctNum, fixed = fmt0.fixed) {
   if (typeof pctNum !== 'number' || !isFinite(pctNum)) return null;
   const p = Math.max(0, Math.min(100, pctNum));
   const filled = Math.round(p / 10);  // 0..10
   const empty  = 10 - filled;
-  return `[${'█'.repeat(filled)}${'░'.repeat(empty)}] ${p.toFixed(2)}%`;
+  return `[${'█'.repeat(filled)}${'░'.repeat(empty)}] ${fixed(p, 2)}%`;
 }
 
 /* ---------- helpers ---------- */
@@ -18,15 +22,18 @@ function hasHolders(data) {
 const BR = '\u200B';
 
 /**
- * Overview screen (ordered for readability)
+ * Overview screen (ordered for readability).
+ * Every renderer here takes opts.locale (catalog key, see i18n.js) next to opts.fmt.
  */
-export function renderOverview(data) {
+export function renderOverview(data, opts = {}) {
+  const { money, pct, num, fixed, date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
   const m = data.market || null;
-  const name = esc(m?.name || 'Token');
+  const name = esc(m?.name || t('common.token'));
   const sym  = esc(m?.symbol || '');
   const ca   = esc(data.tokenAddress);
 
-  const capLabel = (m?.marketCapSource === 'fdv') ? 'FDV (as cap)' : 'Market Cap';
+  const capLabel = (m?.marketCapSource === 'fdv') ? t('ov.capFdv') : t('ov.cap');
   const vol = m?.volume || {};
   const chg = m?.priceChange || {};
   const t24 = trendBadge(m?.priceChange?.h24);
@@ -44,28 +51,28 @@ export function renderOverview(data) {
   const moonshotHeaderIcon = isMoonshot ? '🌙 ' : '';
   const moonshotLine = isMoonshot
     ? (moonProgress != null
-        ? `Moonshot: <b>Yes</b>  ${esc(progressBar(moonProgress))}`
-        : `Moonshot: <b>Yes</b>`)
-    : `Moonshot: <b>No</b>`;
+        ? `${t('ov.moonshot', { v: t('common.yes') })}  ${esc(progressBar(moonProgress, fixed))}`
+        : t('ov.moonshot', { v: t('common.yes') }))
+    : t('ov.moonshot', { v: t('common.no') });
 
   // info lines
   const holdersLine =
     typeof data.holdersCount === 'number'
-      ? `Holders: <b>${data.holdersCount.toLocaleString()}</b>`
-      : `Holders: <i>N/A (explorer)</i>`;
+      ? t('ov.holders', { n: num(data.holdersCount, 0) })
+      : t('ov.holdersNA');
 
   const top10Line =
     data.top10CombinedPct != null
-      ? `Top 10 combined: <b>${esc(pct(data.top10CombinedPct))}</b>`
-      : `Top 10 combined: <i>N/A</i>`;
+      ? t('ov.top10', { v: esc(pct(data.top10CombinedPct)) })
+      : t('ov.top10NA');
 
   const burnedLine =
     data.burnedPct != null
-      ? `Burned: <b>${esc(pct(data.burnedPct))}</b>`
-      : `Burned: <i>N/A</i>`;
+      ? t('ov.burned', { v: esc(pct(data.burnedPct)) })
+      : t('ov.burnedNA');
 
-  const creatorAddr = data.creator?.address ? esc(shortAddr(data.creator.address)) : 'unknown';
-  const creatorPct  = data.creator?.percent != null ? esc(pct(data.creator.percent)) : 'N/A';
+  const creatorAddr = data.creator?.address ? esc(shortAddr(data.creator.address)) : t('ov.creatorUnknown');
+  const creatorPct  = data.creator?.percent != null ? esc(pct(data.creator.percent)) : t('common.na');
 
   // ----- layout (your requested order) -----
   const lines = [
@@ -76,34 +83,36 @@ export function renderOverview(data) {
     '',
     BR,
 
-    (m ? `${capLabel}: <b>${esc(money(m.marketCap))}</b>` : `<i>No market data yet</i>`),
+    (m ? `${capLabel}: <b>${esc(money(m.marketCap))}</b>` : t('ov.noMarket')),
     (m && typeof m.priceUsd === 'number')
-      ? `Price: <b>${esc(money(m.priceUsd, 8))}</b>   ${t24}`
-      : `<i>Price unavailable</i>`,
+      ? t('ov.price', { price: esc(money(m.priceUsd, 8)), badge: t24 })
+      : t('ov.priceNA'),
     '',
     BR,
-    'Volume:',
+    t('ov.volume'),
     (m ? `24h <b>${esc(money(vol.h24))}</b>` : undefined),
     (m ? `5m <b>${esc(money(vol.m5))}</b> • 1h <b>${esc(money(vol.h1))}</b> • 6h <b>${esc(money(vol.h6))}</b>` : undefined),
     '',
     BR,
-    'Change:',
+    t('ov.change'),
     (m ? `24h <b>${esc(pct(chg.h24))}</b>` : undefined),
     (m ? `5m <b>${esc(pct(chg.m5))}</b> • 1h <b>${esc(pct(chg.h1))}</b> • 6h <b>${esc(pct(chg.h6))}</b>` : undefined),
     '',
     BR,
     holdersLine,
     top10Line,
-    `Creator: <code>${creatorAddr}</code>: <b>${creatorPct}</b>`,
+    t('ov.creator', { addr: creatorAddr, pct: creatorPct }),
     burnedLine,
     '',
   BR,
-    `<i>Pick a section:</i>`,
-    `• <b>Buyers</b> — first 20 buyers + status`,
-    ...(hasHolders(data) ? [`• <b>Holders</b> — top 20 holder percentages`] : []),
+    t('ov.pick'),
+    t('ov.secBuyers'),
+    ...(hasHolders(data) ? [t('ov.secHolders')] : []),
+    t('ov.secBundles'),
+    ...(hasHolders(data) ? [t('ov.secChanges')] : []),
     BR,
-    `<i>Updated: ${esc(new Date(data.updatedAt).toLocaleString())}</i>`,
-    `<i>Source: Dexscreener · Explorer</i>`
+    `<i>${t('common.updated', { date: esc(date(data.updatedAt)) })}</i>`,
+    t('ov.source')
   ].filter(Boolean);
 
   const text = lines.join('\n');
@@ -112,13 +121,15 @@ export function renderOverview(data) {
     // Keyboard (add Index button)
   const navRow = hasHolders(data)
     ? [
-        { text:'🧑‍🤝‍🧑 Buyers',  callback_data:`buyers:${data.tokenAddress}:1` },
-        { text:'📊 Holders',     callback_data:`holders:${data.tokenAddress}:1` },
-        { text:'📈 Index',       callback_data:`index:${data.tokenAddress}` }, // <-- NEW
+        { text:t('btn.buyers'),  callback_data:cb('buyers', data.chain, data.tokenAddress, 1) },
+        { text:t('btn.holders'), callback_data:cb('holders', data.chain, data.tokenAddress, 1) },
+        { text:t('btn.index'),   callback_data:cb('index', data.chain, data.tokenAddress) }, // <-- NEW
+        { text:t('btn.bundles'), callback_data:cb('bundles', data.chain, data.tokenAddress) },
       ]
     : [
-        { text:'🧑‍🤝‍🧑 Buyers',  callback_data:`buyers:${data.tokenAddress}:1` },
-        { text:'📈 Index',       callback_data:`index:${data.tokenAddress}` }, // <-- NEW
+        { text:t('btn.buyers'),  callback_data:cb('buyers', data.chain, data.tokenAddress, 1) },
+        { text:t('btn.index'),   callback_data:cb('index', data.chain, data.tokenAddress) }, // <-- NEW
+        { text:t('btn.bundles'), callback_data:cb('bundles', data.chain, data.tokenAddress) },
       ];
 
   const kb = {
@@ -128,68 +139,149 @@ export function renderOverview(data) {
         [],
         navRow,
         [
-          { text:'↻ Refresh', callback_data:`refresh:${data.tokenAddress}` },
-          { text:'ℹ️ About',  callback_data:'about' }
-        ]
+          { text:t('btn.refresh'), callback_data:cb('refresh', data.chain, data.tokenAddress) },
+          { text:t('btn.chart'),   callback_data:cb('chart', data.chain, data.tokenAddress, 'price') },
+          ...(hasHolders(data) ? [{ text:t('btn.changes'), callback_data:cb('changes', data.chain, data.tokenAddress) }] : []),
+          { text:t('btn.about'),   callback_data:'about' }
+        ],
+        // 🔗 Share: deep link that opens this overview (needs the bot username, see optsFor)
+        // 📱 Open dashboard: the Mini App, when WEBAPP_URL is set
+        [shareButton(
+          opts.botUsername,
+          tokenPayload(data.chain, data.tokenAddress),
+          t('ov.shareText', { sym: m?.symbol || t('common.token'), chain: resolveChain(data.chain).title }),
+          t('btn.share'),
+        ), dashboardButton(opts.botUsername, data.chain, data.tokenAddress, t('btn.dashboard'), opts.privateChat)].filter(Boolean)
       ].filter(row => row.length)
     }
   };
 
   // socials row (urls only)
   const linkRow = [];
-  const t = m?.socials?.twitter;
+  const x = m?.socials?.twitter;
   const g = m?.socials?.telegram;
   const w = m?.socials?.website;
 
-  if (typeof t === 'string' && t.length) linkRow.push({ text:'𝕏 Twitter', url:t });
+  if (typeof x === 'string' && x.length) linkRow.push({ text:'𝕏 Twitter', url:x });
   if (typeof g === 'string' && g.length) linkRow.push({ text:'Telegram',  url:g });
-  if (typeof w === 'string' && w.length) linkRow.push({ text:'Website',   url:w });
+  if (typeof w === 'string' && w.length) linkRow.push({ text:t('btn.website'), url:w });
 
   if (linkRow.length) kb.reply_markup.inline_keyboard.unshift(linkRow);
 
   return { text, extra: kb };
 }
 
+/**
+ * Compact overview (auto-detect replies): market line + holder concentration,
+ * with a button into the full overview.
+ */
+export function renderCompactOverview(data, opts = {}) {
+  const { money, pct, num } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const m = data.market || null;
+  const name = esc(m?.name || t('common.token'));
+  const sym  = m?.symbol ? ` (${esc(m.symbol)})` : '';
+
+  const lines = [
+    `${trendBadge(m?.priceChange?.h24)} <b>${name}</b>${sym}`,
+    `<code>${esc(data.tokenAddress)}</code>`,
+    m
+      ? t('compact.market', { price: esc(money(m.priceUsd, 8)), chg: esc(pct(m.priceChange?.h24)), mc: esc(money(m.marketCap, 0)), liq: esc(money(m.liquidityUsd, 0)) })
+      : t('compact.noMarket'),
+    [
+      typeof data.holdersCount === 'number' ? t('compact.holders', { n: num(data.holdersCount, 0) }) : null,
+      data.top10CombinedPct != null ? t('compact.top10', { v: esc(pct(data.top10CombinedPct)) }) : null,
+      data.creator?.address ? t('compact.creator', { v: esc(pct(data.creator.percent)) }) : null,
+    ].filter(Boolean).join(' · '),
+  ].filter(Boolean);
+
+  const kb = {
+    reply_markup: {
+      inline_keyboard: [[
+        { text:t('btn.fullStats'), callback_data:cb('stats', data.chain, data.tokenAddress) },
+        { text:t('btn.buyers'),    callback_data:cb('buyers', data.chain, data.tokenAddress, 1) },
+        { text:t('btn.refresh'),   callback_data:cb('refresh', data.chain, data.tokenAddress) },
+      ]]
+    }
+  };
+  return { text: lines.join('\n'), extra: kb };
+}
+
+/**
+ * Ticker/name search picker (/stats PEPE): matches on one chain, most liquid first.
+ * matches = searchDexscreenerTokens() rows; each button opens the normal overview.
+ */
+export function renderTokenPicker(matches, { query, chain }, opts = {}) {
+  const { money, compact } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const lines = [t('picker.title', { query: esc(query), chain: esc(chain.title) }), ''];
+
+  if (!matches.length) {
+    lines.push(t('picker.none'));
+    return { text: lines.join('\n'), extra: {} };
+  }
+
+  lines.push(t('picker.count', { n: matches.length }), '');
+  matches.forEach((tok, i) => {
+    lines.push(`${i + 1}. <b>${esc(tok.symbol)}</b> — ${esc(tok.name)}`);
+    lines.push(t('picker.row', { liq: esc(money(tok.liquidityUsd, 0)), mc: esc(compact(tok.marketCap)), dex: esc(tok.dexId) }));
+    lines.push(`<code>${esc(tok.address)}</code>`);
+  });
+  lines.push('', t('picker.warn'));
+
+  const kb = {
+    reply_markup: {
+      inline_keyboard: matches.map((tok, i) => [{
+        text: t('picker.button', { i: i + 1, sym: tok.symbol, liq: compact(tok.liquidityUsd) }).slice(0, 40),
+        callback_data: cb('open', chain.key, tok.address),
+      }])
+    }
+  };
+  return { text: lines.join('\n'), extra: kb };
+}
+
 /**
  * Buyers screen with pagination
- * data.first20Buyers = [{ address, status, buys?, sells? }, ...]
+ * data.first20Buyers = [{ address, status, firstBuyRaw?, balanceRaw?, block? }, ...]
  */
-export function renderBuyers(data, page = 1, pageSize = 10) {
+export function renderBuyers(data, page = 1, pageSize = 10, opts = {}) {
+  const { date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
   const start = (page - 1) * pageSize;
   const rows = (data.first20Buyers || []).slice(start, start + pageSize);
-  const name = esc(data.market?.name || 'Token');
+  const name = esc(data.market?.name || t('common.token'));
 
   const body = rows.map((r, i) => {
     const n = String(start + i + 1).padStart(2, '0');
     function formatStatus(status) {
   switch ((status || '').toLowerCase()) {
-    case 'hold': return '🟢 Hold';
-    case 'sold all': return '🔴 Sold All';
-    case 'sold some': return '🟠 Sold Some';
-    case 'bought more': return '🔵 Bought More';
-    default: return status || 'N/A';
+    case 'hold': return t('buyers.hold');
+    case 'sold all': return t('buyers.soldAll');
+    case 'sold some': return t('buyers.soldSome');
+    case 'bought more': return t('buyers.boughtMore');
+    default: return status || t('common.na');
   }
 }
 
     return `${n}. <code>${esc(shortAddr(r.address))}</code> — ${formatStatus(r.status)}`;
-  }).join('\n') || '<i>No buyers found yet</i>';
+  }).join('\n') || t('buyers.none');
 
   const totalPages = Math.ceil((data.first20Buyers || []).length / pageSize) || 1;
   const prev = Math.max(1, page - 1);
   const next = Math.min(totalPages, page + 1);
 
   const text = [
-    `🧑‍🤝‍🧑 <b>First 20 Buyers — ${name}</b>`,
+    t('buyers.title', { name }),
     '',
     body,
     '',
-    'Tip: Status uses final balance vs buy/sell history.',
+    t('buyers.tip'),
     '',
-    `<i>Updated: ${esc(new Date(data.updatedAt).toLocaleString())}</i>  ·  <i>Page ${page}/${totalPages}</i>`
+    `<i>${t('common.updated', { date: esc(date(data.updatedAt)) })}</i>  ·  <i>${t('common.page', { page, total: totalPages })}</i>`
   ].join('\n');
 
-  const prevCb = page > 1 ? `buyers:${data.tokenAddress}:${prev}` : 'noop';
-  const nextCb = page < totalPages ? `buyers:${data.tokenAddress}:${next}` : 'noop';
+  const prevCb = page > 1 ? cb('buyers', data.chain, data.tokenAddress, prev) : 'noop';
+  const nextCb = page < totalPages ? cb('buyers', data.chain, data.tokenAddress, next) : 'noop';
 
   const kb = {
     reply_markup: {
@@ -200,9 +292,11 @@ export function renderBuyers(data, page = 1, pageSize = 10) {
           { text:'▶️', callback_data: nextCb }
         ],
         [
-          { text:'🏠 Overview', callback_data:`stats:${data.tokenAddress}` },
-          ...(hasHolders(data) ? [{ text:'📊 Holders', callback_data:`holders:${data.tokenAddress}:1` }] : [])
-        ]
+          { text:t('btn.overview'), callback_data:cb('stats', data.chain, data.tokenAddress) },
+          ...(hasHolders(data) ? [{ text:t('btn.holders'), callback_data:cb('holders', data.chain, data.tokenAddress, 1) }] : []),
+          { text:t('btn.bundles'),  callback_data:cb('bundles', data.chain, data.tokenAddress) }
+        ],
+        [{ text:t('btn.export'), callback_data:cb('export', data.chain, data.tokenAddress, 'b') }]
       ]
     }
   };
@@ -214,36 +308,38 @@ export function renderBuyers(data, page = 1, pageSize = 10) {
  * Holders screen with pagination
  * data.holdersTop20 = [{ address, percent }]
  */
-export function renderHolders(data, page = 1, pageSize = 10) {
+export function renderHolders(data, page = 1, pageSize = 10, opts = {}) {
+  const { pct, date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
   const start = (page - 1) * pageSize;
   const rows = (data.holdersTop20 || []).slice(start, start + pageSize);
-  const name = esc(data.market?.name || 'Token');
+  const name = esc(data.market?.name || t('common.token'));
 
   const body = rows.length
     ? rows.map((h, i) => {
         const n = String(start + i + 1).padStart(2, '0');
         return `${n}. <code>${esc(shortAddr(h.address))}</code> — <b>${esc(pct(h.percent))}</b>`;
       }).join('\n')
-    : '<i>Top holders unavailable.</i>';
+    : t('holders.none');
 
   const totalPages = Math.ceil((data.holdersTop20 || []).length / pageSize) || 1;
   const prev = Math.max(1, page - 1);
   const next = Math.min(totalPages, page + 1);
 
   const text = [
-    `📊 <b>Top Holders — ${name}</b>`,
+    t('holders.title', { name }),
     '',
     body,
     '',
-    'Notes:',
-    '• Burn addresses (0x0 / 0xdead) are included in burned%.',
-    '• Top-10 combined is shown in the overview.',
+    t('holders.notes'),
+    t('holders.noteBurn'),
+    t('holders.noteTop10'),
     '',
-    `<i>Updated: ${esc(new Date(data.updatedAt).toLocaleString())}</i>  ·  <i>Page ${page}/${totalPages}</i>`
+    `<i>${t('common.updated', { date: esc(date(data.updatedAt)) })}</i>  ·  <i>${t('common.page', { page, total: totalPages })}</i>`
   ].join('\n');
 
-  const prevCb = page > 1 ? `holders:${data.tokenAddress}:${prev}` : 'noop';
-  const nextCb = page < totalPages ? `holders:${data.tokenAddress}:${next}` : 'noop';
+  const prevCb = page > 1 ? cb('holders', data.chain, data.tokenAddress, prev) : 'noop';
+  const nextCb = page < totalPages ? cb('holders', data.chain, data.tokenAddress, next) : 'noop';
 
   const kb = {
     reply_markup: {
@@ -254,8 +350,15 @@ export function renderHolders(data, page = 1, pageSize = 10) {
           { text:'▶️', callback_data: nextCb }
         ],
         [
-          { text:'🏠 Overview',    callback_data:`stats:${data.tokenAddress}` },
-          { text:'🧑‍🤝‍🧑 Buyers', callback_data:`buyers:${data.tokenAddress}:1` }
+          { text:t('btn.overview'), callback_data:cb('stats', data.chain, data.tokenAddress) },
+          { text:t('btn.buyers'),   callback_data:cb('buyers', data.chain, data.tokenAddress, 1) },
+          { text:t('btn.bundles'),  callback_data:cb('bundles', data.chain, data.tokenAddress) },
+          { text:t('btn.changes'),  callback_data:cb('changes', data.chain, data.tokenAddress) }
+        ],
+        [
+          { text:t('btn.chart'),       callback_data:cb('chart', data.chain, data.tokenAddress, 'pie') },
+          { text:t('btn.holderCount'), callback_data:cb('chart', data.chain, data.tokenAddress, 'holders') },
+          { text:t('btn.export'),      callback_data:cb('export', data.chain, data.tokenAddress, 'h') }
         ]
       ]
     }
@@ -264,22 +367,78 @@ export function renderHolders(data, page = 1, pageSize = 10) {
   return { text, extra: kb };
 }
 
+/**
+ * Top-holder changes since the previous refresh
+ * diff = token:<chain>:<ca>:holders_diff ({ prevAt, at, entrants, exits, changes }) or null
+ */
+export function renderHolderChanges(data, diff, opts = {}, maxRows = 8) {
+  const { pct, date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const name = esc(data.market?.name || t('common.token'));
+  const who = (a) => `<code>${esc(shortAddr(a))}</code>`;
+  const lines = [t('changes.title', { name }), ''];
+
+  if (!diff) {
+    lines.push(t('changes.noSnapshot'));
+  } else {
+    const { entrants = [], exits = [], changes = [] } = diff;
+    lines.push(`<i>${esc(date(diff.prevAt))} → ${esc(date(diff.at))}</i>`);
+    lines.push('');
+
+    if (!entrants.length && !exits.length && !changes.length) lines.push(t('changes.none'));
+
+    if (entrants.length) {
+      lines.push(t('changes.entrants', { n: entrants.length }));
+      for (const h of entrants.slice(0, maxRows)) lines.push(`🆕 ${who(h.address)} — <b>${esc(pct(h.percent))}</b>`);
+      lines.push('');
+    }
+    if (exits.length) {
+      lines.push(t('changes.exits', { n: exits.length }));
+      for (const h of exits.slice(0, maxRows)) {
+        lines.push(`🚪 ${who(h.address)} — ${t('changes.was', { v: esc(pct(h.prevPercent)) })}${h.percent != null ? t('changes.now', { v: esc(pct(h.percent)) }) : ''}`);
+      }
+      lines.push('');
+    }
+    if (changes.length) {
+      lines.push(t('changes.moves', { n: changes.length }));
+      for (const h of changes.slice(0, maxRows)) {
+        lines.push(`${h.delta > 0 ? '🟢' : '🔴'} ${who(h.address)} — ${esc(pct(h.prevPercent))} → <b>${esc(pct(h.percent))}</b> (${esc(pct(h.delta))})`);
+      }
+      lines.push('');
+    }
+  }
+
+  lines.push(`<i>${t('common.updated', { date: esc(date(data.updatedAt)) })}</i>`);
+
+  const kb = {
+    reply_markup: {
+      inline_keyboard: [[
+        { text:t('btn.overview'), callback_data:cb('stats', data.chain, data.tokenAddress) },
+        { text:t('btn.holders'),  callback_data:cb('holders', data.chain, data.tokenAddress, 1) },
+        { text:t('btn.refresh'),  callback_data:cb('refresh', data.chain, data.tokenAddress) },
+      ]]
+    }
+  };
+  return { text: lines.join('\n'), extra: kb };
+}
+
 /** Optional: About screen */
-export function renderAbout() {
+export function renderAbout(opts = {}) {
+  const t = translator(opts.locale);
   const text = [
-    '🤖 <b>tABS Tools</b>',
+    t('about.title'),
     '',
-    '• Market: Dexscreener (Abstract)',
-    '• Transfers & creator: Explorer',
-    '• Refresh cooldown: 30s',
-    '• Data cache: 3 minutes',
+    t('about.market'),
+    esc(t('about.transfers')),
+    t('about.cooldown'),
+    t('about.cache'),
     '',
-    '<i>Made for Abstract chain token analytics.</i>'
+    t('about.footer')
   ].join('\n');
   
   const extra = {
     reply_markup: {
-      inline_keyboard: [[{ text:'Back', callback_data: 'noop' }]]
+      inline_keyboard: [[{ text:t('btn.back'), callback_data: 'noop' }]]
     }
   };
   return { text, extra };
@@ -0,0 +1,278 @@
+// src/renderers_alerts.js
+// Pushed alerts + the lists that manage them (watchlist, price targets, tracked wallets, …)
+import { esc, shortAddr, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { translator } from './i18n.js';
+
+const tokenLabel = (payload) => {
+  const m = payload?.market || {};
+  const name = esc(m.name || shortAddr(payload?.tokenAddress || ''));
+  return m.symbol ? `${name} (${esc(m.symbol)})` : name;
+};
+
+// Thresholds of a watch as one line ("1h ±20% · vol ≥ $50,000 · dev sells …")
+function thresholdsLine(th = {}, { money } = fmt0, t = translator()) {
+  const parts = [];
+  if (th.chg > 0)  parts.push(t('watch.thChg', { v: th.chg }));
+  if (th.vol > 0)  parts.push(t('watch.thVol', { v: money(th.vol, 0) }));
+  if (th.mcap > 0) parts.push(t('watch.thMcap', { v: money(th.mcap, 0) }));
+  if (th.dev !== 0) parts.push(t('watch.thDev'));
+  if (th.whale !== 0) parts.push(t('watch.thWhale'));
+  return parts.length ? parts.join(' · ') : t('watch.thNone');
+}
+
+// 🏠 Overview + 🔕 Unwatch under every pushed token alert (🐋 Changes first for whale moves)
+const alertKeyboard = (chain, ca, t, lead = []) => ({
+  reply_markup: {
+    inline_keyboard: [[
+      ...lead,
+      { text:t('btn.overview'), callback_data:cb('stats', chain.key, ca) },
+      { text:t('btn.unwatch'),  callback_data:cb('unwatch', chain.key, ca) },
+    ]]
+  }
+});
+
+/** Watchlist threshold alert (one message per token, all crossed thresholds listed). opts = chatOpts(). */
+export function renderWatchAlert(payload, chain, hits, opts = {}) {
+  const { money, pct } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const m = payload?.market || {};
+  const lines = [`🔔 <b>${tokenLabel(payload)}</b> · ${esc(chain.title)}`, ''];
+
+  for (const h of hits) {
+    if (h.kind === 'chg') {
+      lines.push(t('watch.hitChg', { em: h.value >= 0 ? '🚀' : '📉', v: esc(pct(h.value)), th: h.th }));
+    } else if (h.kind === 'vol') {
+      lines.push(t('watch.hitVol', { v: esc(money(h.value, 0)), th: esc(money(h.th, 0)) }));
+    } else if (h.kind === 'mcap') {
+      const key = h.side === 'above' ? 'watch.hitMcapAbove' : 'watch.hitMcapBelow';
+      lines.push(t(key, { v: esc(money(h.value, 0)), th: esc(money(h.th, 0)) }));
+    }
+  }
+
+  lines.push('');
+  if (typeof m.priceUsd === 'number') lines.push(t('watch.price', { v: esc(money(m.priceUsd, 8)) }));
+  lines.push(`<code>${esc(payload.tokenAddress)}</code>`);
+
+  return { text: lines.join('\n'), extra: alertKeyboard(chain, payload.tokenAddress, t) };
+}
+
+/** Creator wallet moved tokens out since the previous refresh. */
+export function renderDevSellAlert(payload, chain, { creator, events, balancePct }, opts = {}) {
+  const { fixed } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const lines = [t('dev.title', { token: tokenLabel(payload), chain: esc(chain.title) }), ''];
+
+  for (const ev of events) {
+    if (ev.kind === 'sell') {
+      lines.push(t('dev.sold', { pct: esc(fixed(ev.pct, 2)) }));
+    } else if (ev.kind === 'transfer') {
+      lines.push(t('dev.sent', { pct: esc(fixed(ev.pct, 2)), to: esc(shortAddr(ev.to)) }));
+    } else {
+      lines.push(t('dev.dropped', { pct: esc(fixed(ev.pct, 2)) }));
+    }
+    if (ev.txHash) lines.push(`   tx <code>${esc(ev.txHash)}</code>`);
+  }
+
+  lines.push('');
+  lines.push(t('dev.holds', { pct: esc(fixed(balancePct, 2)), addr: esc(creator) }));
+  lines.push(`<code>${esc(payload.tokenAddress)}</code>`);
+
+  return { text: lines.join('\n'), extra: alertKeyboard(chain, payload.tokenAddress, t) };
+}
+
+/** Top-holder moves above WHALE_MIN_PCT since the previous refresh (already filtered). opts = chatOpts() + max. */
+export function renderWhaleAlert(payload, chain, { entrants, exits, changes }, opts = {}) {
+  const { max = 5 } = opts;
+  const { fixed } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const lines = [t('whale.title', { token: tokenLabel(payload), chain: esc(chain.title) }), ''];
+  const who = (a) => `<code>${esc(shortAddr(a))}</code>`;
+
+  for (const h of entrants.slice(0, max)) lines.push(t('whale.entered', { who: who(h.address), pct: esc(fixed(h.percent, 2)) }));
+  for (const h of exits.slice(0, max)) {
+    const now = h.percent != null ? t('whale.now', { pct: esc(fixed(h.percent, 2)) }) : '';
+    lines.push(t('whale.left', { who: who(h.address), was: esc(fixed(h.prevPercent, 2)), now }));
+  }
+  for (const h of changes.slice(0, max)) {
+    lines.push(`${h.delta > 0 ? '🟢' : '🔴'} ${who(h.address)} ${esc(fixed(h.prevPercent, 2))}% → <b>${esc(fixed(h.percent, 2))}%</b> (${h.delta > 0 ? '+' : ''}${esc(fixed(h.delta, 2))})`);
+  }
+
+  lines.push('');
+  lines.push(`<code>${esc(payload.tokenAddress)}</code>`);
+
+  const lead = [{ text:t('btn.changes'), callback_data:cb('changes', chain.key, payload.tokenAddress) }];
+  return { text: lines.join('\n'), extra: alertKeyboard(chain, payload.tokenAddress, t, lead) };
+}
+
+/** Confirmation after /watch. opts = optsFor(ctx) + updated. */
+export function renderWatchAdded(item, chain, opts = {}) {
+  const t = translator(opts.locale);
+  const text = [
+    t(opts.updated ? 'watch.updated' : 'watch.watching', { ca: esc(item.ca), chain: esc(chain.title) }),
+    t('watch.alerts', { v: esc(thresholdsLine(item.th, opts.fmt, t)) }),
+    '',
+    t('watch.addedHelp'),
+  ].join('\n');
+  return { text, extra: { reply_markup: { inline_keyboard: [[{ text:t('btn.overview'), callback_data:cb('stats', item.chain, item.ca) }]] } } };
+}
+
+/**
+ * Watchlist for a chat.
+ * items = listWatches(); summaries = { "<chain>:<ca>": summary|null } for names/prices.
+ * opts = chatOpts() + max.
+ */
+export function renderWatchlist(items, summaries = {}, opts = {}) {
+  const { max } = opts;
+  const fmt = opts.fmt || fmt0;
+  const { pct } = fmt;
+  const t = translator(opts.locale);
+  const lines = [t('watch.listTitle', { n: items.length, max: max ? `/${max}` : '' }), ''];
+
+  if (!items.length) {
+    lines.push(t('watch.listEmpty'));
+    lines.push(t('watch.listAdd'));
+  }
+
+  const rows = [];
+  items.forEach((it, i) => {
+    const s = summaries[`${it.chain}:${it.ca}`];
+    const name = s ? tokenLabel(s) : `<code>${esc(shortAddr(it.ca))}</code>`;
+    const chg = s?.market?.priceChange?.h24;
+    lines.push(`${i+1}. ${name} · ${esc(it.chain)}${typeof chg === 'number' ? ` · 24h ${esc(pct(chg))}` : ''}`);
+    lines.push(`   ${esc(thresholdsLine(it.th, fmt, t))}`);
+    rows.push([
+      { text:`${i+1}. ${s?.market?.symbol || shortAddr(it.ca)}`, callback_data:cb('stats', it.chain, it.ca) },
+      { text:'🗑', callback_data:cb('unwatch', it.chain, it.ca, 'l') },
+    ]);
+  });
+
+  if (items.length) {
+    lines.push('');
+    lines.push(t('watch.listFooter'));
+  }
+
+  return { text: lines.join('\n'), extra: { reply_markup: { inline_keyboard: rows } } };
+}
+
+// ----- Price / market-cap targets (/alert) -----
+const fmtMetric = (metric, v, f = fmt0) => f.money(v, metric === 'mcap' ? 0 : 10);
+const targetLine = (a, f = fmt0, t = translator()) =>
+  t(`target.${a.metric === 'mcap' ? 'mcap' : 'price'}.${a.dir}`, { v: fmtMetric(a.metric, a.value, f) });
+
+/** DM sent when a target is reached (the alert is gone after this). opts = chatOpts() of the user. */
+export function renderPriceAlertFired(payload, chain, alert, current, opts = {}) {
+  const f = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const lines = [
+    `🎯 <b>${tokenLabel(payload)}</b> · ${esc(chain.title)}`,
+    '',
+    t(alert.metric === 'mcap' ? 'target.firedMcap' : 'target.firedPrice', { em: alert.dir === 'above' ? '⬆️' : '⬇️', v: esc(fmtMetric(alert.metric, current, f)) }),
+    t('target.target', { v: esc(targetLine(alert, f, t)) }),
+    '',
+    `<code>${esc(payload.tokenAddress)}</code>`,
+    t('target.removed'),
+  ];
+  const extra = { reply_markup: { inline_keyboard: [[{ text:t('btn.overview'), callback_data:cb('stats', chain.key, payload.tokenAddress) }]] } };
+  return { text: lines.join('\n'), extra };
+}
+
+/** Confirmation after /alert. */
+export function renderPriceAlertAdded(alert, chain, current, opts = {}) {
+  const f = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const lines = [
+    t('target.set', { ca: esc(alert.ca), chain: esc(chain.title) }),
+    `${esc(targetLine(alert, f, t))}${current != null ? ` · ${t('target.now', { v: esc(fmtMetric(alert.metric, current, f)) })}` : ''}`,
+    '',
+    t('target.setHelp'),
+  ];
+  return { text: lines.join('\n'), extra: { reply_markup: { inline_keyboard: [[{ text:t('btn.overview'), callback_data:cb('stats', alert.chain, alert.ca) }]] } } };
+}
+
+/**
+ * Active alerts of one user.
+ * items = listPriceAlerts(); summaries = { "<chain>:<ca>": summary|null } for names.
+ * opts = chatOpts() + max.
+ */
+export function renderPriceAlerts(items, summaries = {}, opts = {}) {
+  const { max } = opts;
+  const fmt = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const lines = [t('target.listTitle', { n: items.length, max: max ? `/${max}` : '' }), ''];
+
+  if (!items.length) {
+    lines.push(t('target.listEmpty'));
+    lines.push(t('target.listAdd'));
+  }
+
+  const rows = [];
+  items.forEach((a, i) => {
+    const s = summaries[`${a.chain}:${a.ca}`];
+    const name = s ? tokenLabel(s) : `<code>${esc(shortAddr(a.ca))}</code>`;
+    lines.push(`${i+1}. ${name} · ${esc(a.chain)} — ${esc(targetLine(a, fmt, t))}`);
+    rows.push([
+      { text:`${i+1}. ${s?.market?.symbol || shortAddr(a.ca)}`, callback_data:cb('stats', a.chain, a.ca) },
+      { text:t('btn.cancel'), callback_data:`alert_rm:${a.id}` },
+    ]);
+  });
+
+  return { text: lines.join('\n'), extra: { reply_markup: { inline_keyboard: rows } } };
+}
+
+// ----- Tracked wallets (/track) -----
+const walletLabel = (wallet, label) => label
+  ? `<b>${esc(label)}</b> (<code>${esc(shortAddr(wallet))}</code>)`
+  : `<code>${esc(shortAddr(wallet))}</code>`;
+
+/** One buy/sell of a tracked wallet. trade = item from getWalletTradesSince(); opts = chatOpts(). */
+export function renderTrackedTrade(trade, { wallet, label, chain, skipped = 0 }, opts = {}) {
+  const { num, units, date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const isBuy = BigInt(trade.tokenDeltaRaw) > 0n;
+  const qtyRaw = isBuy ? BigInt(trade.tokenDeltaRaw) : -BigInt(trade.tokenDeltaRaw);
+  const eth = Number(isBuy ? trade.ethOutWei : trade.ethInWei) / 1e18;
+  const sym = trade.symbol || shortAddr(trade.token);
+
+  const lines = [
+    `${isBuy ? t('track.buy') : t('track.sell')} · ${walletLabel(wallet, label)} · ${esc(chain.title)}`,
+    '',
+    t(isBuy ? 'track.bought' : 'track.sold', { qty: esc(units(qtyRaw, trade.decimals)), sym: esc(sym), eth: esc(num(eth, 4)) }),
+    t('track.token', { ca: esc(trade.token) }),
+    `tx <code>${esc(trade.hash)}</code>`,
+  ];
+  if (trade.ts) lines.push(`<i>${esc(date(trade.ts * 1000))}</i>`);
+  if (skipped > 0) lines.push(t(skipped === 1 ? 'track.skippedOne' : 'track.skipped', { n: num(skipped, 0) }));
+
+  const extra = { reply_markup: { inline_keyboard: [[{ text:t('btn.statsSym', { sym }).slice(0, 32), callback_data:cb('stats', chain.key, trade.token) }]] } };
+  return { text: lines.join('\n'), extra };
+}
+
+/** Tracked wallets of a chat. opts = optsFor(ctx) / chatOpts() + max. */
+export function renderTrackList(items, opts = {}) {
+  const { max } = opts;
+  const { num } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const lines = [t('track.listTitle', { n: num(items.length, 0) }), ''];
+
+  if (!items.length) {
+    lines.push(t('track.listEmpty'));
+    lines.push(t('track.listAdd'));
+  }
+
+  const rows = [];
+  items.forEach((it, i) => {
+    lines.push(`${i+1}. ${walletLabel(it.wallet, it.label)} · ${esc(it.chain)}`);
+    rows.push([
+      { text:`${i+1}. ${it.label || shortAddr(it.wallet)}`.slice(0, 32), callback_data:'noop' },
+      { text:'🗑', callback_data:cb('untrack', it.chain, it.wallet) },
+    ]);
+  });
+
+  if (items.length && max) {
+    lines.push('');
+    lines.push(t('track.listFooter', { max: num(max, 0) }));
+  }
+
+  return { text: lines.join('\n'), extra: { reply_markup: { inline_keyboard: rows } } };
+}
@@ -1,38 +1,49 @@
 // src/renderers_bundles.js
-import { esc, shortAddr } from './ui_html.js';
+import { esc, shortAddr, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { translator } from './i18n.js';
 
-export function renderBundlesView(summary, bundles) {
-  const name = esc(summary?.market?.name || 'Token');
-  const ca   = summary?.tokenAddress;
+/** opts.locale picks the catalog (i18n.js); opts.fmt the number format. */
+export function renderBundlesView(summary, bundles, opts = {}) {
+  const { date, num } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const name = esc(summary?.market?.name || t('common.token'));
+  const ca   = summary?.tokenAddress || bundles?.tokenAddress;
+  const chain = bundles?.chain || summary?.chain;
 
   const header = [
-    `🧺 <b>Bundles — ${name}</b>`,
+    t('bundles.title', { name }),
     `<code>${esc(ca)}</code>`,
     ``
   ];
 
   let body = '';
   if (!bundles || !bundles.groups?.length) {
-    body = '<i>No buyer bundles detected in the first 100 buys.</i>';
+    body = t('bundles.none');
   } else {
     const lines = [];
-    lines.push(`Detected <b>${bundles.totalBundles}</b> bundle group(s) among the first 100 buys.`);
+    lines.push(t('bundles.detected', { n: num(bundles.totalBundles, 0) }));
     lines.push('');
     bundles.groups.slice(0, 10).forEach((g, i) => {
       const buyers = g.buyers.map(a => `<code>${esc(shortAddr(a))}</code>`).join(', ');
-      lines.push(`${i+1}. <b>${g.size} wallets</b> — ~${g.sharePct}% of early volume`);
+      lines.push(t('bundles.group', { i: i+1, n: num(g.size, 0), pct: esc(num(g.sharePct, 2)) }));
       lines.push(`   ${buyers}${g.buyers.length===10?'…':''}`);
       lines.push('');
     });
     body = lines.join('\n');
   }
 
-  const text = [...header, body, ``, `<i>Updated: ${new Date(bundles?.updatedAt || Date.now()).toLocaleString()}</i>`].join('\n');
+  const text = [...header, body, ``, `<i>${t('common.updated', { date: esc(date(bundles?.updatedAt || Date.now())) })}</i>`].join('\n');
 
   const extra = {
     reply_markup: {
       inline_keyboard: [
-        [{ text:'🏠 Overview', callback_data:`stats:${ca}` }],
+        [
+          { text:t('btn.overview'), callback_data:cb('stats', chain, ca) },
+          { text:t('btn.funding'),  callback_data:cb('funding', chain, ca) },
+          { text:t('btn.clusters'), callback_data:cb('clusters', chain, ca) },
+          { text:t('btn.refresh'),  callback_data:cb('bundles_refresh', chain, ca) }
+        ],
       ]
     },
     parse_mode: 'HTML',
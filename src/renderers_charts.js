@@ -0,0 +1,81 @@
+// src/renderers_charts.js
+// 📉 Chart buttons: PNG charts (see charts.js) with a short HTML caption.
+// Returns { photo: Buffer, caption, extra } instead of { text, extra }.
+import { esc, shortAddr, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { lineChartPng, barChartPng, pieChartPng } from './charts.js';
+import { resolveChain } from './chains.js';
+import { translator } from './i18n.js';
+
+export const CHART_KINDS = ['price', 'holders', 'pie', 'dpct', 'dusd'];
+
+const PIE_SLICES = 9; // + "Others" = the chart palette
+
+function chartKeyboard(summary, t) {
+  return {
+    reply_markup: {
+      inline_keyboard: [[
+        { text:t('btn.overview'), callback_data:cb('stats', summary.chain, summary.tokenAddress) },
+      ]]
+    }
+  };
+}
+
+/**
+ * kind: price | holders (history) · pie (top holders) · dpct | dusd (index distributions).
+ * history = getHistory() points, index = index snapshot data; only what the kind needs.
+ * opts.locale picks the catalog (i18n.js) for titles and captions; opts.fmt the number format.
+ */
+export function renderChart(kind, { summary, history = [], index = null }, opts = {}) {
+  const { num, date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const m = summary?.market || {};
+  const sym = m.symbol || shortAddr(summary?.tokenAddress);
+  const chainTitle = resolveChain(summary?.chain).title;
+  const span = history.length > 1 ? `${date(history[0].t)} → ${date(history[history.length - 1].t)}` : '';
+  let photo, caption;
+
+  if (kind === 'price' || kind === 'holders') {
+    const field = kind === 'price' ? 'p' : 'h';
+    const points = history.filter(p => p[field] != null).map(p => ({ t: p.t, v: p[field] }));
+    photo = lineChartPng({
+      title: t(kind === 'price' ? 'chart.priceTitle' : 'chart.holdersTitle', { sym }),
+      subtitle: t('chart.snapshots', { chain: chainTitle, n: num(points.length, 0) }),
+      points,
+    });
+    caption = [
+      t(kind === 'price' ? 'chart.priceCaption' : 'chart.holdersCaption', { sym: esc(sym) }),
+      points.length > 1 ? `<i>${esc(span)}</i>` : t('chart.notEnough'),
+    ].join('\n');
+  } else if (kind === 'pie') {
+    const top = (summary?.holdersTop20 || []).slice(0, PIE_SLICES);
+    const topSum = top.reduce((a, h) => a + Number(h.percent || 0), 0);
+    photo = pieChartPng({
+      title: t('chart.pieTitle', { sym }),
+      subtitle: t('chart.pieSubtitle'),
+      slices: [
+        ...top.map(h => ({ label: shortAddr(h.address), value: Number(h.percent || 0) })),
+        { label: t('chart.others'), value: Math.max(0, 100 - topSum) },
+      ],
+    });
+    caption = [
+      t('chart.pieCaption', { sym: esc(sym), n: top.length }),
+      t('chart.together', { pct: esc(num(topSum, 2)) }),
+      `<i>${t('common.updated', { date: esc(date(summary.updatedAt)) })}</i>`,
+    ].join('\n');
+  } else {
+    const usd = kind === 'dusd';
+    const rows = (usd ? index?.distUsd : index?.distPct) || [];
+    photo = barChartPng({
+      title: t(usd ? 'chart.valueTitle' : 'chart.pctTitle', { sym }),
+      subtitle: t(index?.lpExcluded ? 'chart.holdersLp' : 'chart.holdersN', { n: num(index?.holdersCount || 0, 0) }),
+      bars: rows.map(r => ({ label: r.label, value: Number(r.count || 0) })),
+    });
+    caption = [
+      t(usd ? 'chart.valueCaption' : 'chart.pctCaption', { sym: esc(sym) }),
+      t('chart.fromIndex'),
+    ].join('\n');
+  }
+
+  return { photo, caption, extra: chartKeyboard(summary, t) };
+}
@@ -0,0 +1,96 @@
+// src/renderers_clusters.js
+import { esc, shortAddr, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { translator } from './i18n.js';
+
+function keyboard(ca, chainKey, t) {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text:t('btn.overview'),  callback_data:cb('stats', chainKey, ca) },
+          { text:t('btn.bundles'),   callback_data:cb('bundles', chainKey, ca) },
+          { text:t('btn.recompute'), callback_data:cb('clusters_refresh', chainKey, ca) }
+        ],
+      ]
+    },
+    parse_mode: 'HTML',
+    disable_web_page_preview: true
+  };
+}
+
+function bar10(done, total) {
+  const f = total > 0 ? Math.max(0, Math.min(1, done / total)) : 0;
+  const n = Math.round(f * 10);
+  return `[${'█'.repeat(n)}${'░'.repeat(10 - n)}]`;
+}
+
+/**
+ * While the BullMQ job runs: progress = job.progress ({ stage, done, total }), state = job state.
+ * opts.locale picks the catalog (i18n.js).
+ */
+export function renderClustersProgress(summary, ca, progress, state, chainKey = summary?.chain, opts = {}) {
+  const t = translator(opts.locale);
+  const name = esc(summary?.market?.name || t('common.token'));
+  const p = (progress && typeof progress === 'object') ? progress : {};
+  let status;
+  if (state === 'failed') status = t('clusters.failed');
+  else if (state === 'waiting' || state === 'delayed' || state === 'prioritized') status = t('clusters.queued');
+  else if (p.stage === 'refresh') status = t('clusters.refreshing');
+  else if (p.total) status = `${t('clusters.resolving')} ${p.done}/${p.total} ${bar10(p.done, p.total)}`;
+  else status = t('clusters.scanning');
+
+  const text = [
+    t('clusters.title', { name }),
+    `<code>${esc(ca)}</code>`,
+    ``,
+    status,
+    ``,
+    t('clusters.explain'),
+  ].join('\n');
+
+  if (state === 'failed') return { text, extra: keyboard(ca, chainKey, t) };
+  return { text, extra: { reply_markup: { inline_keyboard: [[{ text:t('btn.overview'), callback_data:cb('stats', chainKey, ca) }]] }, parse_mode: 'HTML', disable_web_page_preview: true } };
+}
+
+/** Finished analysis (analyzeBundlesForToken payload). opts.locale / opts.fmt as above. */
+export function renderClustersView(summary, result, opts = {}) {
+  const { pct, num, date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const name = esc(summary?.market?.name || t('common.token'));
+  const ca   = summary?.tokenAddress || result?.tokenAddress;
+  const chainKey = result?.chain || summary?.chain;
+  const clusters = result?.clusters || [];
+
+  const header = [
+    t('clusters.title', { name }),
+    `<code>${esc(ca)}</code>`,
+    ``,
+    t('clusters.analysed', { n: num(Number(result?.totalFirstBuyers || 0), 0), f: num(Number(result?.fundedBuyers || 0), 0) }),
+    ``
+  ];
+
+  let body;
+  if (!clusters.length) {
+    body = t('clusters.none');
+  } else {
+    const lines = [];
+    clusters.forEach((c, i) => {
+      lines.push(t('clusters.funder', { i: i+1, addr: esc(shortAddr(c.funder)), n: num(c.count, 0) }));
+      if (result.hasHoldings) {
+        const share  = c.holdingPct != null ? t('clusters.ofSupply', { pct: esc(pct(c.holdingPct)) }) : `<i>${t('common.na')}</i>`;
+        const status = c.status === 'hold'
+          ? t('clusters.hold', { now: c.holdersNow, n: c.count })
+          : t('clusters.sold');
+        lines.push(`   ${t('clusters.holding', { share, status })}`);
+      } else {
+        lines.push(`   ${t('clusters.holdingNA')}`);
+      }
+      lines.push('');
+    });
+    body = lines.join('\n');
+  }
+
+  const text = [...header, body, ``, `<i>${t('common.updated', { date: esc(date(result?.computedAt || Date.now())) })}</i>`].join('\n');
+  return { text, extra: keyboard(ca, chainKey, t) };
+}
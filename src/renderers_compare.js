@@ -0,0 +1,69 @@
+// src/renderers_compare.js
+// /compare: 2–4 tokens side by side, from cached summaries + index snapshots only.
+import { esc, shortAddr, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { translator } from './i18n.js';
+
+const COL = 9;     // column width in the <pre> table
+const LABEL = 9;   // catalog labels must fit LABEL - 1 characters
+const pad = (s, w) => { const t = String(s); return t.length >= w ? t.slice(0, w - 1) + ' ' : t + ' '.repeat(w - t.length); };
+
+/**
+ * items = [{ chain: {key,title}, ca, summary|null, index|null, pending:[...] }]
+ * pending lists what was queued for that token ('summary' | 'index').
+ * opts.locale picks the catalog (i18n.js); opts.fmt the number format.
+ */
+export function renderCompare(items, opts = {}) {
+  const { compact, pct, num } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const dash = '–';
+  const sym = (it) => it.summary?.market?.symbol || shortAddr(it.ca);
+
+  const rows = [
+    ['compare.chain',   (it) => it.chain.title],
+    ['history.mcap',    (it) => it.summary?.market?.marketCap ? '$' + compact(it.summary.market.marketCap) : dash],
+    ['history.liq',     (it) => it.summary?.market?.liquidityUsd ? '$' + compact(it.summary.market.liquidityUsd) : dash],
+    ['compare.vol',     (it) => it.summary?.market?.volume?.h24 != null ? '$' + compact(it.summary.market.volume.h24) : dash],
+    ['compare.chg',     (it) => typeof it.summary?.market?.priceChange?.h24 === 'number' ? pct(it.summary.market.priceChange.h24) : dash],
+    ['history.holders', (it) => {
+      const n = it.index?.holdersCount ?? it.summary?.holdersCount;
+      return typeof n === 'number' ? compact(n) : dash;
+    }],
+    // index snapshot is LP-excluded; the summary's top-10 is the fallback
+    ['history.top10',   (it) => {
+      const v = it.index?.top10CombinedPct ?? it.summary?.top10CombinedPct;
+      return v != null ? `${num(v, 1)}%` : dash;
+    }],
+    ['compare.gini',    (it) => it.index?.gini != null ? num(it.index.gini, 3) : dash],
+    ['history.creator', (it) => it.summary?.creator?.address ? `${num(it.summary.creator.percent, 1)}%` : dash],
+    ['history.burned',  (it) => it.summary?.burnedPct != null ? `${num(it.summary.burnedPct, 1)}%` : dash],
+  ];
+
+  const table = [
+    pad('', LABEL) + items.map(it => pad(sym(it), COL)).join(''),
+    ...rows.map(([label, get]) => pad(t(label), LABEL) + items.map(it => pad(get(it), COL)).join('')),
+  ].map(l => l.trimEnd());
+
+  const lines = [t('compare.title'), '', `<pre>${esc(table.join('\n'))}</pre>`, ''];
+  for (const it of items) {
+    const m = it.summary?.market;
+    const name = m?.name ? `${esc(m.name)} · ` : '';
+    const wait = it.pending.length ? ` ⏳ ${t('compare.queued', { what: esc(it.pending.map(p => t(`compare.pending.${p}`)).join(' + ')) })}` : '';
+    lines.push(`• <b>${esc(sym(it))}</b> — ${name}${esc(it.chain.title)} <code>${esc(it.ca)}</code>${wait}`);
+  }
+  if (items.some(it => it.pending.length)) {
+    lines.push('');
+    lines.push(t('compare.missing'));
+  }
+  lines.push('');
+  lines.push(t('compare.lpNote'));
+
+  const kb = {
+    reply_markup: {
+      inline_keyboard: [
+        items.map(it => ({ text: `🏠 ${sym(it)}`.slice(0, 32), callback_data: cb('stats', it.chain.key, it.ca) })),
+      ]
+    }
+  };
+  return { text: lines.join('\n'), extra: kb };
+}
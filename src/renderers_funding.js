@@ -0,0 +1,75 @@
+// src/renderers_funding.js
+import { esc, shortAddr, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { translator } from './i18n.js';
+
+// catalog key per funding source kind
+const SOURCE_LABEL = {
+  creator: 'funding.srcCreator',
+  mint:    'funding.srcMint',
+  token:   'funding.srcToken',
+};
+
+/**
+ * Early funding map: who sent tokens to early recipients.
+ * funding = buildFundingMap() result; hold = fundingHoldStats() result or null (no balances cached).
+ * opts.locale picks the catalog (i18n.js); opts.fmt the number format.
+ */
+export function renderFundingView(summary, funding, hold, opts = {}) {
+  const { pct, num, units, date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const name = esc(summary?.market?.name || t('common.token'));
+  const sym  = summary?.market?.symbol ? ` ${esc(summary.market.symbol)}` : '';
+  const ca   = summary?.tokenAddress || funding?.tokenAddress;
+  const chain = funding?.chain || summary?.chain;
+  const dec  = funding?.decimals ?? 18;
+  const sources = funding?.sources || [];
+
+  const header = [
+    t('funding.title', { name }),
+    `<code>${esc(ca)}</code>`,
+    ``
+  ];
+
+  let body = '';
+  if (!sources.length) {
+    body = t('funding.none');
+  } else {
+    const lines = [];
+    const totalPct = funding.totalFundedPct != null ? ` (${t('funding.ofSupply', { pct: esc(pct(funding.totalFundedPct)) })})` : '';
+    lines.push(t('funding.funded', { amount: `${esc(units(funding.totalFundedRaw, dec))}${sym}`, share: totalPct }));
+    lines.push(t('funding.recipients', { n: num(funding.uniqueRecipients || 0, 0) }));
+    lines.push(hold
+      ? t('funding.holding', { n: num(hold.holding, 0), total: num(funding.uniqueRecipients || 0, 0) })
+      : t('funding.holdingNA'));
+    lines.push('');
+    sources.slice(0, 10).forEach((s, i) => {
+      const label = t(SOURCE_LABEL[s.kind] || 'funding.srcOther');
+      const share = s.supplyPct != null ? ` · ${t('funding.ofSupply', { pct: esc(pct(s.supplyPct)) })}` : '';
+      const held  = hold ? ` · ${t('funding.holdingN', { n: num(hold.bySource?.[s.source] || 0, 0) })}` : '';
+      lines.push(`${i+1}. ${label} <code>${esc(shortAddr(s.source))}</code>`);
+      lines.push(`   <b>${esc(units(s.amountRaw, dec))}</b>${sym}${share}`);
+      lines.push(`   → ${t('funding.toRecipients', { n: num(s.uniqueRecipients || 0, 0) })}${held}`);
+      lines.push('');
+    });
+    body = lines.join('\n');
+  }
+
+  const text = [...header, body, ``, `<i>${t('common.updated', { date: esc(date(funding?.updatedAt || Date.now())) })}</i>`].join('\n');
+
+  const extra = {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text:t('btn.overview'), callback_data:cb('stats', chain, ca) },
+          { text:t('btn.bundles'),  callback_data:cb('bundles', chain, ca) },
+          { text:t('btn.refresh'),  callback_data:cb('funding_refresh', chain, ca) }
+        ],
+      ]
+    },
+    parse_mode: 'HTML',
+    disable_web_page_preview: true
+  };
+
+  return { text, extra };
+}
@@ -0,0 +1,92 @@
+// src/renderers_history.js
+// /history: how a token moved over 24h / 7d / 30d, from the stored time series (history.js).
+import { esc, shortAddr, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { resolveChain } from './chains.js';
+import { translator } from './i18n.js';
+
+const COL = 11;    // column width in the <pre> table
+const LABEL = 9;
+const pad = (s, w) => { const t = String(s); return t.length >= w ? t.slice(0, w - 1) + ' ' : t + ' '.repeat(w - t.length); };
+
+// field, label key, how the change is shown: rel = % change, abs = difference, pp = percentage points
+// (catalog labels must fit LABEL - 1 characters)
+const ROWS = [
+  ['p',   'history.price',   'rel'],
+  ['m',   'history.mcap',    'rel'],
+  ['l',   'history.liq',     'rel'],
+  ['h',   'history.holders', 'abs'],
+  ['t10', 'history.top10',   'pp'],
+  ['c',   'history.creator', 'pp'],
+  ['b',   'history.burned',  'pp'],
+];
+
+/**
+ * changes = { '24h': historyChange()|null, '7d': …, '30d': … } (only the windows to show).
+ * window = one of them for the then/now view, or null for Δ across all windows.
+ * opts.locale picks the catalog (i18n.js); opts.fmt the number format.
+ */
+export function renderHistory({ ca, chainKey, summary, changes, window = null }, opts = {}) {
+  const { num, compact, pct, date } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const dash = '–';
+  const sym = summary?.market?.symbol || shortAddr(ca);
+  const price = (v) => v >= 1 ? num(v, 4) : num(v, Math.min(12, 3 - Math.floor(Math.log10(v || 1))));
+  const value = (field, v) => {
+    if (v == null) return dash;
+    if (field === 'p') return '$' + price(v);
+    if (field === 'm' || field === 'l') return '$' + compact(v);
+    if (field === 'h') return compact(v);
+    return `${num(v, 2)}%`;
+  };
+  const delta = (field, mode, ch) => {
+    const a = ch?.from?.[field], b = ch?.to?.[field];
+    if (a == null || b == null) return dash;
+    if (mode === 'rel') return a ? pct(((b - a) / a) * 100) : dash;
+    const d = b - a;
+    const sign = d > 0 ? '+' : '';
+    return mode === 'abs' ? sign + num(d, 0) : `${sign}${num(d, 2)}${t('history.pp')}`;
+  };
+
+  const lines = [t('history.title', { sym: esc(sym), chain: esc(resolveChain(chainKey).title) }), `<code>${esc(ca)}</code>`, ''];
+  let table;
+
+  if (window) {
+    const ch = changes[window];
+    table = [
+      pad('', LABEL) + pad(t('history.start'), COL) + pad(t('history.now'), COL) + 'Δ',
+      ...ROWS.map(([f, label, mode]) => pad(t(label), LABEL) + pad(value(f, ch?.from?.[f]), COL) + pad(value(f, ch?.to?.[f]), COL) + delta(f, mode, ch)),
+      ...(ch?.high != null ? ['', pad(t('history.high'), LABEL) + '$' + price(ch.high), pad(t('history.low'), LABEL) + '$' + price(ch.low)] : []),
+    ];
+    if (ch) lines.push(`<i>${t('history.span', { from: esc(date(ch.from.t)), to: esc(date(ch.to.t)), n: num(ch.points, 0) })}</i>`, '');
+  } else {
+    const wins = Object.keys(changes);
+    table = [
+      pad('Δ', LABEL) + wins.map(w => pad(w, COL)).join(''),
+      ...ROWS.map(([f, label, mode]) => pad(t(label), LABEL) + wins.map(w => pad(delta(f, mode, changes[w]), COL)).join('')),
+    ];
+  }
+
+  if (!Object.values(changes).some(Boolean)) {
+    lines.push(t('history.none'));
+  } else {
+    lines.push(`<pre>${esc(table.map(l => l.trimEnd()).join('\n'))}</pre>`);
+    lines.push('', t('history.note'));
+  }
+
+  const tab = (w, label) => ({ text: (w === (window || 'all') ? '• ' : '') + label, callback_data: cb('history', chainKey, ca, w) });
+  return {
+    text: lines.join('\n'),
+    extra: {
+      reply_markup: {
+        inline_keyboard: [
+          [tab('24h', '24h'), tab('7d', '7d'), tab('30d', '30d'), tab('all', t('history.all'))],
+          [
+            { text:t('btn.chart'),    callback_data:cb('chart', chainKey, ca, 'price', window || '7d') },
+            { text:t('btn.overview'), callback_data:cb('stats', chainKey, ca) },
+          ],
+        ]
+      }
+    }
+  };
+}
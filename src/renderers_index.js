@@ -1,5 +1,7 @@
 // src/renderers_index.js
-import { esc, pct } from './ui_html.js';
+import { esc, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { translator } from './i18n.js';
 
 // 10-tick bar, fraction in [0..1]
 function bar10(frac) {
@@ -13,39 +15,45 @@ function safeLabel(s) {
   return esc(String(s || ''));
 }
 
-function linesForDist(title, items, total) {
+function linesForDist(title, items, total, num) {
   const T = Math.max(1, Number(total || 0));
   const rows = [];
   rows.push(safeLabel(title));
   for (const it of (items || [])) {
     const c = Number(it.count || 0);
     const frac = c / T;
-    rows.push(`• ${safeLabel(it.label)} — ${c.toLocaleString()} ${bar10(frac)}`);
+    rows.push(`• ${safeLabel(it.label)} — ${num(c, 0)} ${bar10(frac)}`);
   }
   return rows;
 }
 
-export function renderIndexView(tokenSummary, indexResult) {
+/** opts.locale picks the catalog (i18n.js); opts.fmt the number format. */
+export function renderIndexView(tokenSummary, indexResult, opts = {}) {
+  const { pct, num, fixed } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
   const ca = esc(tokenSummary?.tokenAddress || '');
+  const addr = tokenSummary?.tokenAddress || indexResult?.data?.tokenAddress;
+  const chain = indexResult?.data?.chain || tokenSummary?.chain;
 
   if (!indexResult || !indexResult.ready) {
     const text = [
-      `📈 <b>Index</b>`,
+      t('index.title'),
       ``,
-      `<i>Crunching holder distribution…</i>`,
+      t('index.crunching'),
       ``,
-      `This runs once and is cached for 6 hours.`,
+      t('index.cachedFor'),
     ].join('\n');
 
     const kb = {
       reply_markup: {
         inline_keyboard: [
           [
-            { text:'🏠 Overview', callback_data:`stats:${tokenSummary?.tokenAddress}` },
-            { text:'🧑‍🤝‍🧑 Buyers', callback_data:`buyers:${tokenSummary?.tokenAddress}:1` },
+            { text:t('btn.overview'), callback_data:cb('stats', chain, addr) },
+            { text:t('btn.buyers'), callback_data:cb('buyers', chain, addr, 1) },
             ...(Array.isArray(tokenSummary?.holdersTop20) && tokenSummary.holdersTop20.length
-              ? [{ text:'📊 Holders', callback_data:`holders:${tokenSummary.tokenAddress}:1` }]
-              : [])
+              ? [{ text:t('btn.holders'), callback_data:cb('holders', chain, addr, 1) }]
+              : []),
+            { text:t('btn.bundles'), callback_data:cb('bundles', chain, addr) }
           ]
         ]
       }
@@ -55,38 +63,43 @@ export function renderIndexView(tokenSummary, indexResult) {
 
   const idx = indexResult.data || {};
   const gini = Number(idx.gini || 0);
-  const lpNote = idx.lpExcluded ? ' (LP excluded)' : '';
+  const lpNote = idx.lpExcluded ? t('index.lpExcluded') : '';
   const holders = Number(idx.holdersCount || 0);
 
   const header = [
-    `📈 <b>Index</b>`,
+    t('index.title'),
     ``,
-    `Holders: <b>${holders.toLocaleString()}</b>`,
-    `Top-10 combined: <b>${esc(pct(idx.top10CombinedPct || 0))}</b>${lpNote}`,
-    `Inequality (Gini): <b>${gini.toFixed(4)}</b>${lpNote} <i>(0=fair • 1=concentrated)</i>`,
-    ...(Number(idx.holdersGte10 || 0) > 0 ? [ `Holders ≥ $10: <b>${Number(idx.holdersGte10).toLocaleString()}</b>` ] : []),
+    t('ov.holders', { n: num(holders, 0) }),
+    t('index.top10', { v: esc(pct(idx.top10CombinedPct || 0)), lp: lpNote }),
+    t('index.gini', { v: fixed(gini, 4), lp: lpNote }),
+    ...(Number(idx.holdersGte10 || 0) > 0 ? [ t('index.gte10', { n: num(idx.holdersGte10, 0) }) ] : []),
     ``,
   ];
 
-  const distPctLines = linesForDist('Distribution by % of supply', idx.distPct, holders);
-  const distUsdLines = linesForDist('Distribution by estimated value', idx.distUsd, holders);
+  const distPctLines = linesForDist(t('index.distPct'), idx.distPct, holders, num);
+  const distUsdLines = linesForDist(t('index.distUsd'), idx.distUsd, holders, num);
 
   const text = [
     ...header,
     ...distPctLines, '',
     ...distUsdLines, '',
-    `<i>Snapshot cached for ~6h.</i>`,
+    t('index.snapshot'),
   ].join('\n');
 
   const kb = {
     reply_markup: {
       inline_keyboard: [
         [
-          { text:'🏠 Overview', callback_data:`stats:${tokenSummary?.tokenAddress}` },
-          { text:'🧑‍🤝‍🧑 Buyers', callback_data:`buyers:${tokenSummary?.tokenAddress}:1` },
+          { text:t('btn.overview'), callback_data:cb('stats', chain, addr) },
+          { text:t('btn.buyers'), callback_data:cb('buyers', chain, addr, 1) },
           ...(Array.isArray(tokenSummary?.holdersTop20) && tokenSummary.holdersTop20.length
-            ? [{ text:'📊 Holders', callback_data:`holders:${tokenSummary.tokenAddress}:1` }]
-            : [])
+            ? [{ text:t('btn.holders'), callback_data:cb('holders', chain, addr, 1) }]
+            : []),
+          { text:t('btn.bundles'), callback_data:cb('bundles', chain, addr) }
+        ],
+        [
+          { text:t('index.chartPct'), callback_data:cb('chart', chain, addr, 'dpct') },
+          { text:t('index.chartUsd'), callback_data:cb('chart', chain, addr, 'dusd') },
         ],
         ...(idx.lpAddress ? [[
           { text:`LP ${String(idx.lpAddress).slice(0,6)}…${String(idx.lpAddress).slice(-4)}`, callback_data:'noop' }
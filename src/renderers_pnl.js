@@ -1,26 +1,101 @@
 // src/renderers_pnl.js
-import { esc } from './ui_html.js';
+import { esc, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { shareButton, walletPayload } from './deepLinks.js';
+import { translator } from './i18n.js';
 
-// helpers
-function fmtEth(x){ return Number(x).toFixed(4); }
-function fmtPct(x){ return (Number(x) >= 0 ? '+' : '') + Number(x).toFixed(2) + '%'; }
-function money(x){ return '$' + Number(x).toFixed(2); }
+// helpers (digits fixed; separators follow the chat's number format, see makeFmt)
+const helpers = (f) => ({
+  fmtEth: (x) => f.fixed(x, 4),
+  fmtPct: (x) => (Number(x) >= 0 ? '+' : '') + f.fixed(x, 2) + '%',
+  money:  (x) => '$' + f.fixed(x, 2),
+  fixed:  f.fixed,
+});
 function signEmoji(x){ return Number(x) >= 0 ? '🟢' : '🔴'; }
 function updown(x){ return Number(x) >= 0 ? '⬆️' : '⬇️'; }
 
-function buttons(wallet, window, view) {
+const DRILL_MAX = 12; // per-token 🔎 buttons under a view
+
+// 🔎 <symbol> rows for the tokens listed in a view (ledger = { id, index } from rememberLedgers)
+function drillRows(items, ledger, chainKey) {
+  if (!ledger) return [];
+  const btns = [];
+  for (const it of items) {
+    const i = ledger.index?.[it.token];
+    if (i == null || btns.length >= DRILL_MAX) continue;
+    btns.push({ text:`🔎 ${it.symbol || it.token.slice(0, 8)}`.slice(0, 32), callback_data:cb('pnltoken', chainKey, ledger.id, i) });
+  }
+  const rows = [];
+  for (let k = 0; k < btns.length; k += 3) rows.push(btns.slice(k, k + 3));
+  return rows;
+}
+
+// callback_data for a view of this PnL (args: page, sort); portfolios route through their id
+const viewCb = (wallet, window, chainKey, portfolio) => (v, ...args) => portfolio
+  ? cb('portfolio', chainKey, portfolio.id, window, v, ...args)
+  : cb('pnlv', chainKey, wallet, window, v, ...args);
+
+/* ---------- Paged lists (profits / losses / open) ---------- */
+const PAGE_SIZE = 8; // ~5 lines per item keeps a page well under Telegram's 4096 chars
+
+const desc = (f) => (a, b) => f(b) - f(a);
+const costEth = (r) => (r.avgBuyEth || 0) * (r.heldNum || 0);
+const openPct = (r) => (costEth(r) > 0 ? (r.unrealizedEth || 0) / costEth(r) * 100 : null);
+const byRecent = desc(r => r.lastTs || 0);
+// e = ETH, p = %, r = latest trade (codes ride in callback_data); the first is the list's default
+const SORTS = {
+  profits: { p: desc(r => r.realizedPct), e: desc(r => r.realizedEth), r: byRecent },
+  losses:  { p: desc(r => -r.realizedPct), e: desc(r => -r.realizedEth), r: byRecent },
+  // ETH = position size (same order as its USD value); no cost basis (airdrops) goes last on %
+  open:    { e: desc(r => r.usdNow || 0), p: desc(r => openPct(r) ?? -1e18), r: byRecent },
+};
+
+/** One page of a list in the requested order: { items, page, pages, sort }. */
+function pageOf(rows, view, page, sort) {
+  const sorts = SORTS[view];
+  const key = sorts[sort] ? sort : Object.keys(sorts)[0];
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const p = Math.min(pages, Math.max(1, Number(page) || 1));
+  const items = [...rows].sort(sorts[key]).slice((p - 1) * PAGE_SIZE, p * PAGE_SIZE);
+  return { items, page: p, pages, sort: key };
+}
+
+// ◀️ n/N ▶️ (when there is more than one page) and the sort row; to(page, sort) → callback_data
+function pagerRows(pg, to, t) {
+  const rows = [];
+  if (pg.pages > 1) {
+    rows.push([
+      { text:'◀️', callback_data: pg.page > 1 ? to(pg.page - 1, pg.sort) : 'noop' },
+      { text:`${pg.page}/${pg.pages}`, callback_data:'noop' },
+      { text:'▶️', callback_data: pg.page < pg.pages ? to(pg.page + 1, pg.sort) : 'noop' },
+    ]);
+  }
+  const labels = { e: t('pnl.sortEth'), p: t('pnl.sortPct'), r: t('pnl.sortRecent') };
+  rows.push(Object.entries(labels).map(([k, label]) => ({
+    text: k === pg.sort ? `• ${label}` : label,
+    callback_data: k === pg.sort ? 'noop' : to(1, k),
+  })));
+  return rows;
+}
+
+// portfolio = { id, name } switches the buttons to the portfolio routes; drill = extra rows (pager, sort, 🔎);
+// tail = buttons next to 🔄 (share, export)
+function buttons(wallet, window, view, chainKey, portfolio = null, drill = [], tail = [], t = translator()) {
+  const to = viewCb(wallet, window, chainKey, portfolio);
   const tabs = [
-    { t:'🏠 Overview', cb:`pnlv:${wallet}:${window}:overview` },
-    { t:'📈 Profits',  cb:`pnlv:${wallet}:${window}:profits` },
-    { t:'📉 Losses',   cb:`pnlv:${wallet}:${window}:losses` },
-    { t:'📦 Open',     cb:`pnlv:${wallet}:${window}:open` },
-    { t:'🎁 Airdrops', cb:`pnlv:${wallet}:${window}:airdrops` },
+    { t:t('btn.overview'),     cb:to('overview') },
+    { t:t('pnl.tabProfits'),   cb:to('profits') },
+    { t:t('pnl.tabLosses'),    cb:to('losses') },
+    { t:t('pnl.tabOpen'),      cb:to('open') },
+    { t:t('pnl.tabAirdrops'),  cb:to('airdrops') },
   ];
+  const refresh = portfolio ? cb('portfolio_refresh', chainKey, portfolio.id, window) : cb('pnl_refresh', chainKey, wallet, window);
   return {
     reply_markup: {
       inline_keyboard: [
+        ...drill,
         tabs.map(b => ({ text:b.t, callback_data:b.cb })),
-        [{ text:'↻ Refresh', callback_data:`pnl_refresh:${wallet}:${window}` }]
+        [{ text:t('btn.refresh'), callback_data:refresh }, ...tail]
       ]
     },
     disable_web_page_preview: true,
@@ -28,132 +103,239 @@ function buttons(wallet, window, view) {
   };
 }
 
-function header(data, window) {
+function header(data, window, { fmtEth, fmtPct, money, fixed }, portfolio = null, t = translator()) {
   const b = [];
-  b.push(`💼 <b>Wallet PnL — ${esc(data.wallet.slice(0,6))}…${esc(data.wallet.slice(-4))}</b>`);
-  b.push(`Window: ${esc(window)}`);
+  const short = (w) => `${esc(w.slice(0,6))}…${esc(w.slice(-4))}`;
+  if (portfolio) {
+    const wallets = data.wallets || [data.wallet];
+    b.push(t('pnl.portfolioTitle', { name: portfolio.name ? ` — ${esc(portfolio.name)}` : '', n: wallets.length }));
+    b.push(wallets.map(short).join(' · '));
+    if (data._meta?.internalMoves) b.push(t('pnl.internalMoves', { n: data._meta.internalMoves }));
+  } else {
+    b.push(t('pnl.walletTitle', { wallet: short(data.wallet) }));
+  }
+  b.push(t('pnl.window', { window: esc(window) }));
   // Wallet ETH (WETH) balance
-  const ethStr = (data.walletEthTotal && data.walletEth) ? `${Number(data.walletEthTotal).toFixed(6)} ETH` : `${Number(data.walletEth||0).toFixed(6)} ETH`;
-  b.push(`💰 Wallet Balance: ${esc(ethStr)}`);
+  const ethStr = (data.walletEthTotal && data.walletEth) ? `${fixed(data.walletEthTotal, 6)} ETH` : `${fixed(data.walletEth||0, 6)} ETH`;
+  b.push(t('pnl.balance', { eth: esc(ethStr) }));
   b.push(''); // blank line
 
-  const t = data.totals || {};
-  const emTotal = signEmoji(t.totalEth || 0);
-  const emReal  = signEmoji(t.realizedEth || 0);
-  const emUnr   = signEmoji(t.unrealizedEth || 0);
+  const tot = data.totals || {};
+  const emTotal = signEmoji(tot.totalEth || 0);
 
-  b.push(`📦 Holdings: ${money(t.holdingsUsd || 0)}`);
-  b.push(`🎁 Airdrops: ${money(t.airdropsUsd || 0)}`);
-  b.push(`${emTotal} Total PnL: ${fmtEth(t.totalEth || 0)} ETH  (${signEmoji(t.totalPct||0)} ${fmtPct(t.totalPct||0)})`);
+  b.push(t('pnl.holdings', { v: money(tot.holdingsUsd || 0) }));
+  b.push(t('pnl.airdropsTotal', { v: money(tot.airdropsUsd || 0) }));
+  b.push(t('pnl.total', { em: emTotal, eth: fmtEth(tot.totalEth || 0), em2: signEmoji(tot.totalPct||0), pct: fmtPct(tot.totalPct||0) }));
   return b.join('\n');
 }
 
+/* ---------- Entry point (auto-detected wallet) ---------- */
+export function renderPnlEntry(wallet, chainKey = 'tabs', opts = {}) {
+  const t = translator(opts.locale);
+  const text = [
+    t('pnl.entry', { wallet: esc(wallet) }),
+    '',
+    t('pnl.pickWindow'),
+  ].join('\n');
+  const windows = ['24h', '7d', '30d', '90d'];
+  return {
+    text,
+    extra: {
+      reply_markup: { inline_keyboard: [windows.map(w => ({ text:`💼 ${w}`, callback_data:cb('pnl', chainKey, wallet, w) }))] },
+      disable_web_page_preview: true,
+      parse_mode: 'HTML'
+    }
+  };
+}
+
 /* ---------- Overview ---------- */
-export function renderPNL(data, window='30d', view='overview') {
+/**
+ * opts.portfolio = { id, name } renders a multi-wallet portfolio (see walletGroups.js);
+ * opts.ledger = { id, index } adds a 🔎 button per listed token (see pnlLedger.js);
+ * opts.page / opts.sort ('e' | 'p' | 'r') page the profits, losses and open lists.
+ */
+export function renderPNL(data, window='30d', view='overview', opts = {}) {
+  const h = helpers(opts.fmt || fmt0);
+  const { fmtEth, fmtPct, money } = h;
+  const t = translator(opts.locale);
   const wallet = data.wallet;
-  const lines = [header(data, window), ''];
+  const chainKey = data._meta?.chain;
+  const portfolio = opts.portfolio || null;
+  const drillFor = (items) => drillRows(items, opts.ledger, chainKey);
+  // deep links carry a single wallet, so portfolios have no Share button
+  const share = portfolio ? null : shareButton(opts.botUsername, walletPayload(wallet, chainKey), t('pnl.shareText'), t('btn.share'));
+  // ⬇️ Export goes by the ledger id, which also names the cached computation (pnlCache.js)
+  const exp = opts.ledger ? { text:t('btn.export'), callback_data:cb('export', chainKey, opts.ledger.id, 'p') } : null;
+  const tail = [share, exp].filter(Boolean);
+  const kb = (v, items = [], pager = []) => buttons(wallet, window, v, chainKey, portfolio, [...pager, ...drillFor(items)], tail, t);
+  const lines = [header(data, window, h, portfolio, t), ''];
+  const to = viewCb(wallet, window, chainKey, portfolio);
+  const paged = (rows) => pageOf(rows, view, opts.page, opts.sort);
+  const pageNote = (pg) => (pg.pages > 1 ? [`<i>${t('common.page', { page: pg.page, total: pg.pages })}</i>`] : []);
+  const pagerFor = (pg) => pagerRows(pg, (page, sort) => to(view, page, sort), t);
 
   if (view === 'overview') {
     // top 3 profits
-    lines.push(`Top Profits (realized)`);
+    lines.push(t('pnl.topProfits'));
     const prof = (data.topProfits || []).slice(0,3);
-    if (!prof.length) lines.push('<i>No realized profits.</i>');
+    if (!prof.length) lines.push(t('pnl.noProfits'));
     for (const p of prof) {
       const em = signEmoji(p.realizedEth);
       lines.push(`• ${esc(p.symbol || p.token)} — ${em}`);
       lines.push(`${em} ${fmtEth(p.realizedEth)} ETH (${em} ${fmtPct(p.realizedPct)})`);
-      lines.push(`Bought ${fmtEth(p.buyEth)} ETH`);
-      lines.push(`Sold ${fmtEth(p.sellEth)} ETH`);
+      lines.push(t('pnl.bought', { eth: fmtEth(p.buyEth) }));
+      lines.push(t('pnl.sold', { eth: fmtEth(p.sellEth) }));
       lines.push(''); // blank line
     }
 
     // top 3 losses
-    lines.push(`Top Losses (realized)`);
+    lines.push(t('pnl.topLosses'));
     const loss = (data.topLosses || []).slice(0,3);
-    if (!loss.length) lines.push('<i>No realized losses.</i>');
+    if (!loss.length) lines.push(t('pnl.noLosses'));
     for (const p of loss) {
       const em = signEmoji(p.realizedEth); // will be 🔴
       lines.push(`• ${esc(p.symbol || p.token)} — ${em}`);
       lines.push(`${em} ${fmtEth(p.realizedEth)} ETH (${em} ${fmtPct(p.realizedPct)})`);
-      lines.push(`Bought ${fmtEth(p.buyEth)} ETH`);
-      lines.push(`Sold ${fmtEth(p.sellEth)} ETH`);
+      lines.push(t('pnl.bought', { eth: fmtEth(p.buyEth) }));
+      lines.push(t('pnl.sold', { eth: fmtEth(p.sellEth) }));
       lines.push(''); // blank line
     }
 
-    return { text: lines.join('\n'), extra: buttons(wallet, window, 'overview') };
+    return { text: lines.join('\n'), extra: kb('overview', [...prof, ...loss]) };
   }
 
   if (view === 'profits') {
-    lines.push(`📈 <b>All Realized Profits</b>`);
-    const rows = (data.fullProfits || []);
-    if (!rows.length) lines.push('<i>No realized profits.</i>');
-    for (const p of rows) {
+    lines.push(t('pnl.allProfits'));
+    const pg = paged(data.fullProfits || []);
+    if (!pg.items.length) lines.push(t('pnl.noProfits'));
+    for (const p of pg.items) {
       const em = '🟢';
       lines.push(`• ${esc(p.symbol || p.token)} — ${em}`);
       lines.push(`${em} ${fmtEth(p.realizedEth)} ETH (${em} ${fmtPct(p.realizedPct)})`);
-      lines.push(`Bought ${fmtEth(p.buyEth)} ETH`);
-      lines.push(`Sold ${fmtEth(p.sellEth)} ETH`);
+      lines.push(t('pnl.bought', { eth: fmtEth(p.buyEth) }));
+      lines.push(t('pnl.sold', { eth: fmtEth(p.sellEth) }));
       lines.push('');
     }
-    return { text: lines.join('\n'), extra: buttons(wallet, window, 'profits') };
+    lines.push(...pageNote(pg));
+    return { text: lines.join('\n'), extra: kb('profits', pg.items, pagerFor(pg)) };
   }
 
   if (view === 'losses') {
-    lines.push(`📉 <b>All Realized Losses</b>`);
-    const rows = (data.fullLosses || []);
-    if (!rows.length) lines.push('<i>No realized losses.</i>');
-    for (const p of rows) {
+    lines.push(t('pnl.allLosses'));
+    const pg = paged(data.fullLosses || []);
+    if (!pg.items.length) lines.push(t('pnl.noLosses'));
+    for (const p of pg.items) {
       const em = '🔴';
       // realizedEth will be negative; print negative number
       lines.push(`• ${esc(p.symbol || p.token)} — ${em}`);
       lines.push(`${em} ${fmtEth(p.realizedEth)} ETH (${em} ${fmtPct(p.realizedPct)})`);
-      lines.push(`Bought ${fmtEth(p.buyEth)} ETH`);
-      lines.push(`Sold ${fmtEth(p.sellEth)} ETH`);
+      lines.push(t('pnl.bought', { eth: fmtEth(p.buyEth) }));
+      lines.push(t('pnl.sold', { eth: fmtEth(p.sellEth) }));
       lines.push('');
     }
-    return { text: lines.join('\n'), extra: buttons(wallet, window, 'losses') };
+    lines.push(...pageNote(pg));
+    return { text: lines.join('\n'), extra: kb('losses', pg.items, pagerFor(pg)) };
   }
 
   if (view === 'open') {
-    lines.push(`📦 <b>Open Positions (>$0.10)</b>`);
-    const rows = (data.open || []);
-    if (!rows.length) lines.push('<i>No open positions.</i>');
-    for (const r of rows) {
+    lines.push(t('pnl.openTitle'));
+    const pg = paged(data.open || []);
+    if (!pg.items.length) lines.push(t('pnl.noOpen'));
+    for (const r of pg.items) {
       const em = signEmoji(r.unrealizedEth || 0);
       const sym = r.symbol || r.token;
+      const uPct = openPct(r);
       lines.push(`• ${esc(sym)} — ${em}`);
-      lines.push(`Held: ${Number(r.heldNum).toFixed(4)} — Now: ${money(r.usdNow)} (${fmtEth(r.priceNative||0)} ETH/ea)`);
-      lines.push(`Unrealized: ${em} ${fmtEth(r.unrealizedEth||0)} ETH`);
+      lines.push(t('pnl.held', { qty: fmtEth(r.heldNum), usd: money(r.usdNow), eth: fmtEth(r.priceNative||0) }));
+      lines.push(t('pnl.unrealized', { em, eth: fmtEth(r.unrealizedEth||0), pct: uPct == null ? '' : ` (${fmtPct(uPct)})` }));
       lines.push('');
     }
-    return { text: lines.join('\n'), extra: buttons(wallet, window, 'open') };
+    lines.push(...pageNote(pg));
+    return { text: lines.join('\n'), extra: kb('open', pg.items, pagerFor(pg)) };
   }
 
   if (view === 'airdrops') {
-    lines.push(`🎁 <b>Airdrops</b>`);
-    const t = data.airdrops?.tokens || [];
+    lines.push(t('pnl.airdropsTitle'));
+    const tok = data.airdrops?.tokens || [];
     const n = data.airdrops?.nfts   || [];
-    if (!t.length && !n.length) lines.push('<i>No airdrops found.</i>');
+    if (!tok.length && !n.length) lines.push(t('pnl.noAirdrops'));
 
-    if (t.length) {
-      lines.push('Tokens:');
-      for (const d of t) {
+    if (tok.length) {
+      lines.push(t('pnl.tokens'));
+      for (const d of tok) {
         const sym = d.symbol || d.name || d.ca;
-        lines.push(`• ${esc(sym)} — qty ${Number(d.qty).toFixed(4)}`);
+        lines.push(`• ${esc(sym)} — ${t('pnl.qty', { qty: fmtEth(d.qty) })}`);
       }
       lines.push('');
     }
     if (n.length) {
-      lines.push('NFTs:');
+      lines.push(t('pnl.nfts'));
       for (const a of n) {
         lines.push(`• ${esc(a.name || a.contract)} — ${a.qty}x`);
       }
       lines.push('');
     }
 
-    return { text: lines.join('\n'), extra: buttons(wallet, window, 'airdrops') };
+    return { text: lines.join('\n'), extra: kb('airdrops') };
   }
 
   // default fallback -> overview
-  return { text: lines.join('\n'), extra: buttons(wallet, window, 'overview') };
+  return { text: lines.join('\n'), extra: kb('overview') };
+}
+
+/* ---------- Per-token drill-down (/pnltoken, 🔎 buttons) ---------- */
+// Tiny per-token prices: ~4 significant digits instead of a row of zeros
+const priceDigits = (x) => (x > 0 && x < 1 ? Math.min(18, Math.max(4, 3 - Math.floor(Math.log10(x)))) : 4);
+const TRADES_SHOWN = 12; // newest ones; keeps the message under Telegram's 4096 chars
+
+/** One token's trades with the running position and cost basis. doc = loadLedger() result. */
+export function renderPnlToken(doc, opts = {}) {
+  const f = opts.fmt || fmt0;
+  const { fmtEth } = helpers(f);
+  const t = translator(opts.locale);
+  const { ledger: l, wallets = [], window, chain, portfolioId } = doc;
+  const sym = esc(l.symbol || `${l.token.slice(0,6)}…${l.token.slice(-4)}`);
+  const qty = (x) => f.num(x, 2);
+  const price = (x) => f.num(x, priceDigits(x));
+
+  const lines = [
+    t('pnl.tradesTitle', { sym }),
+    `<code>${esc(l.token)}</code>`,
+    `${wallets.length > 1 ? t('pnl.portfolioN', { n: wallets.length }) : t('pnl.wallet', { wallet: `${esc(wallets[0]?.slice(0,6) || '')}…${esc(wallets[0]?.slice(-4) || '')}` })} · ${t('pnl.window', { window: esc(window) })}`,
+    '',
+  ];
+
+  const shown = l.trades.slice(-TRADES_SHOWN);
+  if (l.trades.length > shown.length) lines.push(t('pnl.earlier', { n: l.trades.length - shown.length }), '');
+  for (const tr of shown) {
+    const when = tr.ts ? esc(f.date(tr.ts * 1000)) : '—';
+    lines.push(`${tr.side === 'buy' ? t('pnl.buy') : t('pnl.sell')} · ${when}`);
+    lines.push(`${qty(tr.qty)} ${sym} ⇄ ${fmtEth(tr.eth)} ETH @ ${price(tr.priceEth)}`);
+    lines.push(t('pnl.position', { qty: qty(tr.position), price: price(tr.avgCostEth) }));
+    lines.push(`tx <code>${esc(tr.hash)}</code>`);
+    lines.push('');
+  }
+
+  const buys = l.trades.filter(tr => tr.side === 'buy').length;
+  const em = signEmoji(l.realizedEth);
+  lines.push(t('pnl.totals'));
+  lines.push(t('pnl.boughtFor', { qty: qty(l.boughtQty), eth: fmtEth(l.spentEth), n: buys }));
+  lines.push(t('pnl.soldFor', { qty: qty(l.soldQty), eth: fmtEth(l.recvEth), n: l.trades.length - buys }));
+  lines.push(t('pnl.avgCost', { price: price(l.avgCostEth) }));
+  if (l.soldQty > 0 && l.boughtQty > 0) {
+    lines.push(t('pnl.realized', { em, recv: fmtEth(l.recvEth), avg: price(l.avgCostEth), qty: qty(l.soldQty), eth: fmtEth(l.realizedEth) }));
+  } else {
+    lines.push(t('pnl.noRealized', { why: t(l.boughtQty > 0 ? 'pnl.nothingSold' : 'pnl.noBuys') }));
+  }
+  lines.push(t('pnl.pricesNote'));
+
+  const back = portfolioId ? cb('portfolio', chain, portfolioId, window, 'overview') : cb('pnlv', chain, wallets[0], window, 'overview');
+  return {
+    text: lines.join('\n'),
+    extra: {
+      reply_markup: { inline_keyboard: [[{ text:t('pnl.back'), callback_data:back }]] },
+      disable_web_page_preview: true,
+      parse_mode: 'HTML'
+    }
+  };
 }
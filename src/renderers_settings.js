@@ -0,0 +1,58 @@
+// src/renderers_settings.js
+// /settings menu: one button per setting, tapping it cycles to the next choice.
+import { esc, makeFmt } from './ui_html.js';
+import { resolveChain } from './chains.js';
+import { LOCALES, resolveLocale, translator } from './i18n.js';
+
+// icon + catalog key of each row, in menu order
+const LABELS = {
+  chain:           ['🔗', 'set.chain'],
+  tz:              ['🕒', 'set.tz'],
+  numFormat:       ['🔢', 'set.numFormat'],
+  locale:          ['🌐', 'set.locale'],
+  pnlWindow:       ['📅', 'set.pnlWindow'],
+  refreshCooldown: ['⏱', 'set.refreshCooldown'],
+  watchChg:        ['👀', 'set.watchChg'],
+  autodetect:      ['🔎', 'set.autodetect'],
+};
+
+// Language names stay in their own language so they can be found from any catalog
+const LANGUAGES = { en: 'English', es: 'Español', tr: 'Türkçe' };
+
+const valueLabel = (field, v, t) => {
+  if (field === 'chain') return resolveChain(v).title;
+  if (field === 'tz') return v || t('set.serverTime');
+  if (field === 'numFormat' && v === 'auto') return t('set.numAuto');
+  if (field === 'locale') return LANGUAGES[v] || t('set.localeAuto');
+  if (field === 'refreshCooldown') return `${v}s`;
+  if (field === 'watchChg') return `±${v}%`;
+  if (field === 'autodetect') return t(v ? 'set.on' : 'set.off');
+  return String(v);
+};
+
+/**
+ * Settings of a chat with a cycle button per field. `canEdit` only changes the footer hint;
+ * languageCode (the viewer's Telegram language) resolves 'auto'. The menu follows the settings
+ * shown, so it switches language as soon as the Language row changes.
+ */
+export function renderSettings(settings, { canEdit = true, languageCode = null } = {}) {
+  const locale = resolveLocale(settings.locale, languageCode);
+  const t = translator(locale);
+  const f = makeFmt({ ...settings, intl: LOCALES[locale] });
+  const lines = [t('set.title'), ''];
+  const rows = [];
+
+  for (const [field, [icon, key]] of Object.entries(LABELS)) {
+    const label = t(key);
+    const v = valueLabel(field, settings[field], t);
+    lines.push(`${icon} ${label}: <b>${esc(v)}</b>`);
+    rows.push([{ text: `${icon} ${label}: ${v}`.slice(0, 64), callback_data: `set:${field}` }]);
+  }
+
+  lines.push('');
+  lines.push(`${t('set.preview')} ${esc(f.money(1234567.891))} · ${esc(f.pct(-3.5))} · ${esc(f.date(Date.now()))}`);
+  lines.push('');
+  lines.push(t(canEdit ? 'set.tapHint' : 'set.adminsOnly'));
+
+  return { text: lines.join('\n'), extra: { reply_markup: { inline_keyboard: rows } } };
+}
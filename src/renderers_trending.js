@@ -0,0 +1,41 @@
+// src/renderers_trending.js
+// /trending: most looked-up tokens of a chain, with their cached 24h price change.
+import { esc, shortAddr, fmt0 } from './ui_html.js';
+import { cb } from './callbacks.js';
+import { TRENDING_WINDOWS } from './trending.js';
+import { translator } from './i18n.js';
+
+/**
+ * items = [{ ca, count, summary|null, change24|null }] (change24 from the summary, else the stored history).
+ * opts.locale picks the catalog (i18n.js); opts.fmt the number format.
+ */
+export function renderTrending(items, { chain, window }, opts = {}) {
+  const { pct, compact, num } = opts.fmt || fmt0;
+  const t = translator(opts.locale);
+  const sym = (it) => it.summary?.market?.symbol || shortAddr(it.ca);
+
+  const lines = [t('trending.title', { chain: esc(chain.title), window: esc(window) }), ''];
+  if (!items.length) {
+    lines.push(t('trending.none'));
+  }
+  items.forEach((it, i) => {
+    const ch = typeof it.change24 === 'number'
+      ? ` · ${it.change24 >= 0 ? '🟢' : '🔴'} ${esc(pct(it.change24))}`
+      : '';
+    const mcap = it.summary?.market?.marketCap ? ` · $${esc(compact(it.summary.market.marketCap))}` : '';
+    lines.push(`${i + 1}. <b>${esc(sym(it))}</b> — ${t(it.count === 1 ? 'trending.lookup' : 'trending.lookups', { n: num(it.count, 0) })}${ch}${mcap}`);
+    lines.push(`<code>${esc(it.ca)}</code>`);
+  });
+  lines.push('');
+  lines.push(t('trending.footer'));
+
+  const open = items.map((it, i) => ({ text:`${i + 1}. ${sym(it)}`.slice(0, 32), callback_data:cb('stats', chain.key, it.ca) }));
+  const rows = [];
+  for (let k = 0; k < open.length; k += 3) rows.push(open.slice(k, k + 3));
+  rows.push(Object.keys(TRENDING_WINDOWS).map(w => ({
+    text: (w === window ? '• ' : '') + w,
+    callback_data: cb('trending', chain.key, '', w),
+  })));
+
+  return { text: lines.join('\n'), extra: { reply_markup: { inline_keyboard: rows } } };
+}
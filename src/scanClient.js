@@ -23,12 +23,13 @@ export function getScanFns(chainId, {
   apiKey = process.env.ETHERSCAN_API_KEY,
   rps    = process.env.ETHERSCAN_RPS || 5,
   v2Base = process.env.ETHERSCAN_V2_BASE || process.env.ETHERSCAN_BASE || 'https://api.etherscan.io/v2/api',
+  throttle: sharedThrottle = null,
 } = {}) {
   if (!apiKey) console.warn('[SCAN] ETHERSCAN_API_KEY is missing');
 
   const CHAIN = String(chainId || '').trim();
   const http = axios.create({ baseURL: v2Base, timeout: 45_000 });
-  const throttle = makeThrottle(rps);
+  const throttle = sharedThrottle || makeThrottle(rps);
 
   function esParams(params) {
     return { params: { chainid: CHAIN, apikey: apiKey, ...params } };
@@ -58,6 +59,8 @@ export function getScanFns(chainId, {
         if (data?.status === '1') return data.result;
         if (Array.isArray(data?.result)) return data.result;
         if (data?.message === 'OK' && data?.result != null) return data.result;
+        // module=proxy answers in JSON-RPC shape ({ jsonrpc, id, result }) without status/message
+        if (data?.jsonrpc && typeof data?.result === 'string') return data.result;
 
         const msg = data?.result || data?.message || 'Etherscan v2 error';
         if (attempt === maxAttempts) throw new Error(msg);
@@ -70,3 +73,15 @@ export function getScanFns(chainId, {
 
   return { esGET, esURL, chainId: CHAIN, ES_BASE: v2Base, ES_IS_V2: true };
 }
+
+/**
+ * Memoized per-chain client. All clients from here share ONE throttle, since the
+ * Etherscan v2 rate limit is per API key, not per chain.
+ */
+const processThrottle = makeThrottle(process.env.ETHERSCAN_RPS || 5);
+const clients = new Map();
+export function getScanClient(chainId) {
+  const id = String(chainId || '').trim();
+  if (!clients.has(id)) clients.set(id, getScanFns(id, { throttle: processThrottle }));
+  return clients.get(id);
+}
@@ -1,45 +1,21 @@
 // src/services/bundles.js
-import axios from 'axios';
+// Funder clusters ("sybil" view): links each of the first 100 buyers to the wallet
+// that sent it native currency within 2h before its first buy.
 import { getJSON, setJSON } from '../cache.js';
+import { resolveChain } from '../chains.js';
+import { getScanClient } from '../scanClient.js';
 
-const ES_BASE  = process.env.ETHERSCAN_BASE || 'https://api.etherscan.io/v2/api';
-const ES_KEY   = process.env.ETHERSCAN_API_KEY;
-const ES_CHAIN = process.env.ETHERSCAN_CHAIN_ID || '2741';
-
-const httpES = axios.create({ baseURL: ES_BASE, timeout: 45_000 });
 const ZERO = '0x0000000000000000000000000000000000000000';
 
-function esParams(params){ return { params: { chainid: ES_CHAIN, apikey: ES_KEY, ...params } }; }
-async function esGET(params){
-  const { data } = await httpES.get('', esParams(params));
-  if (data?.status === '1') return data.result;
-  throw new Error(data?.result || data?.message || 'Etherscan v2 error');
-}
+// Buyers resolved in parallel; the shared scan throttle still caps requests/sec.
+const CLUSTER_CONCURRENCY = Math.max(1, Number(process.env.CLUSTER_CONCURRENCY || 4));
+
 const toLower = (a)=> String(a||'').toLowerCase();
-const topicToAddr = (t) => ('0x' + String(t).slice(-40)).toLowerCase();
-
-async function getLogsTransfer(token, fromBlock, toBlock){
-  const all = [];
-  let page = 1;
-  while (true) {
-    const r = await esGET({
-      module:'logs', action:'getLogs',
-      address: token, topic0: '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
-      fromBlock, toBlock, page, offset: 1000
-    });
-    if (!Array.isArray(r) || r.length === 0) break;
-    all.push(...r);
-    if (r.length < 1000) break;
-    page++;
-  }
-  all.sort((a,b)=> (Number(a.blockNumber)-Number(b.blockNumber)) || (Number(a.logIndex)-Number(b.logIndex)));
-  return all;
-}
 
-async function getTokentxAsc(token){
+async function getTokentxAsc(es, token){
   const out = [];
   for (let page=1; page<=200; page++){
-    const r = await esGET({ module:'account', action:'tokentx', contractaddress:token, page, offset:1000, sort:'asc' });
+    const r = await es.esGET({ module:'account', action:'tokentx', contractaddress:token, page, offset:1000, sort:'asc' });
     if (!Array.isArray(r) || r.length===0) break;
     out.push(...r);
     if (r.length<1000) break;
@@ -48,16 +24,16 @@ async function getTokentxAsc(token){
   return out;
 }
 
-async function getBlockByTime(ts){
-  const r = await esGET({ module:'block', action:'getblocknobytime', timestamp: ts, closest:'before' });
+async function getBlockByTime(es, ts){
+  const r = await es.esGET({ module:'block', action:'getblocknobytime', timestamp: ts, closest:'before' });
   const n = Number(r?.blockNumber || r);
   return Number.isFinite(n) ? n : 0;
 }
 
-async function getAccountTxList(addr, startBlock, endBlock){
+async function getAccountTxList(es, addr, startBlock, endBlock){
   const out = [];
   for (let page=1; page<=10; page++){
-    const r = await esGET({ module:'account', action:'txlist', address:addr, startblock:startBlock, endblock:endBlock, sort:'desc', page, offset:100 });
+    const r = await es.esGET({ module:'account', action:'txlist', address:addr, startblock:startBlock, endblock:endBlock, sort:'desc', page, offset:100 });
     if (!Array.isArray(r) || r.length===0) break;
     out.push(...r);
     if (r.length<100) break;
@@ -86,36 +62,61 @@ function firstBuyers100FromTx(txAsc, { ca, ammPair }){
   return [...firstSeen.entries()].map(([addr,meta])=>({ address:addr, block:meta.bn, time:meta.ts }));
 }
 
-export async function analyzeBundlesForToken(token, { ammPair, force = false } = {}){
+/**
+ * analyzeBundlesForToken(token, opts)
+ *  • chainKey        chain to scan (default 'tabs')
+ *  • ammPair         LP address, counted as a buy source
+ *  • balances        Map<addr, bigint> from loadBalances() — enables holdings/status per cluster
+ *  • totalSupplyRaw  for % of supply
+ *  • onProgress      (done, total) callback while resolving funders
+ *  • force           skip cache
+ * Cached 30 minutes under token:<chain>:<ca>:clusters.
+ */
+export async function analyzeBundlesForToken(token, {
+  chainKey = 'tabs',
+  ammPair,
+  balances = null,
+  totalSupplyRaw = '0',
+  onProgress = null,
+  force = false,
+} = {}){
+  const chain = resolveChain(chainKey);
+  const es = getScanClient(chain.etherscanChainId);
   const ca = toLower(token);
-  const cacheKey = `bundles:${ca}:first100`;
+  const cacheKey = `token:${chain.key}:${ca}:clusters`;
   if (!force){
     const cached = await getJSON(cacheKey);
     if (cached) return cached;
   }
 
   // Pull tx list (asc) and pick first 100 buyers
-  const txAsc = await getTokentxAsc(ca);
+  const txAsc = await getTokentxAsc(es, ca);
   const buyers = firstBuyers100FromTx(txAsc, { ca, ammPair });
 
   // For each buyer, find funding EOA: last incoming native tx before their first buy (2h window)
   const clusters = new Map(); // funder -> Set(buyer)
   const buyerMeta = new Map(); // buyer -> { funder, txHash, value }
+  const blockAt = new Map();  // ts -> Promise<block>, many buyers share timestamps
+  const blockByTime = (ts) => {
+    if (!blockAt.has(ts)) blockAt.set(ts, getBlockByTime(es, ts).catch(() => 0));
+    return blockAt.get(ts);
+  };
 
-  for (const b of buyers){
+  let done = 0;
+  async function resolveFunder(b){
     const endTs = b.time || 0;
     const startTs = endTs ? endTs - 2*60*60 : 0;
     let startBlock = 0, endBlock = 9_223_372_036;
 
     if (startTs && endTs){
-      try { startBlock = await getBlockByTime(startTs); } catch {}
-      try { endBlock   = await getBlockByTime(endTs); } catch {}
+      startBlock = (await blockByTime(startTs)) || 0;
+      endBlock   = (await blockByTime(endTs)) || endBlock;
     }
 
-    const txs = await getAccountTxList(b.address, startBlock, endBlock);
+    const txs = await getAccountTxList(es, b.address, startBlock, endBlock);
     const incoming = txs.filter(t => toLower(t.to) === b.address && Number(t.value||0) > 0);
     const lastIn = incoming[0]; // because we asked sort=desc
-    if (!lastIn) continue;
+    if (!lastIn) return;
 
     const funder = toLower(lastIn.from);
     // Optional: skip contracts/routers if you maintain a set; for now cluster all EOAs
@@ -124,23 +125,49 @@ export async function analyzeBundlesForToken(token, { ammPair, force = false } =
     buyerMeta.set(b.address, { funder, txHash:lastIn.hash, value:lastIn.value });
   }
 
+  const pending = [...buyers];
+  await Promise.all(Array.from({ length: Math.min(CLUSTER_CONCURRENCY, pending.length) }, async () => {
+    while (pending.length){
+      const b = pending.shift();
+      try { await resolveFunder(b); }
+      catch (e) { console.warn('[CLUSTERS] funder lookup failed', b.address, e?.message || e); }
+      done++;
+      if (onProgress) { try { await onProgress(done, buyers.length); } catch {} }
+    }
+  }));
+
+  // Current holdings per cluster (needs the balances map from the last refresh)
+  let supply = 0n;
+  try { supply = BigInt(String(totalSupplyRaw || '0')); } catch {}
+  const hasBalances = balances instanceof Map;
+
   // Build output clusters sorted by size
   const summary = [...clusters.entries()]
-    .map(([funder, set]) => ({
-      funder,
-      buyers: [...set],
-      count: set.size
-    }))
+    .map(([funder, set]) => {
+      const wallets = [...set];
+      const out = { funder, buyers: wallets, count: set.size };
+      if (hasBalances){
+        const held = wallets.reduce((acc, a) => acc + (balances.get(a) || 0n), 0n);
+        out.holdingRaw = held.toString();
+        out.holdingPct = supply > 0n ? Number((held * 1000000n) / supply) / 10000 : null;
+        out.holdersNow = wallets.filter(a => (balances.get(a) || 0n) > 0n).length;
+        out.status = held > 0n ? 'hold' : 'sold';
+      }
+      return out;
+    })
     .filter(c => c.count >= 3) // threshold for “interesting” bundle
     .sort((a,b) => b.count - a.count);
 
   const payload = {
+    chain: chain.key,
     tokenAddress: ca,
     computedAt: Date.now(),
     totalFirstBuyers: buyers.length,
+    fundedBuyers: buyerMeta.size,
+    hasHoldings: hasBalances,
     clusters: summary.slice(0, 10), // top clusters
   };
 
-  await setJSON(cacheKey, payload, 300); // 5m cache
+  await setJSON(cacheKey, payload, 1800); // 30m cache
   return payload;
 }
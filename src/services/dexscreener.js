@@ -120,4 +120,56 @@ export async function getDexscreenerTokenStats(ca, chainKey = 'tabs') {
   };
 
   return { summary };
-}
\ No newline at end of file
+}
+/**
+ * searchDexscreenerTokens
+ * - Uses /latest/dex/search?q=<query> (ticker or name) and keeps pairs on the chain's slug
+ * - Only the pair's base token counts, and it must match: symbol equal to the query, or name containing it
+ * - One row per token (its most liquid pair), most liquid first
+ *
+ * @param {string} query    ticker or name, e.g. 'PEPE', '$PEPE' or 'pepe coin'
+ * @param {string} chainKey chain key: 'tabs' | 'base' | 'polygon' | ...
+ * @param {number} limit    max rows
+ * @returns {Promise<Array<{ address, symbol, name, liquidityUsd, priceUsd, marketCap, dexId }>>}
+ */
+export async function searchDexscreenerTokens(query, chainKey = 'tabs', limit = 8) {
+  const chain = resolveChain(chainKey);
+  const slug  = lc(chain.dsSlug);
+  const term  = String(query || '').trim().replace(/^\$+/, '').trim(); // '$PEPE' → 'PEPE'
+  const q     = lc(term);
+  if (!q) return [];
+
+  let pairs = [];
+  try {
+    const { data } = await http.get('https://api.dexscreener.com/latest/dex/search', { params: { q: term } });
+    pairs = Array.isArray(data?.pairs) ? data.pairs : [];
+  } catch (_) {
+    return [];
+  }
+
+  const byToken = new Map();
+  for (const p of pairs) {
+    if (lc(p?.chainId) !== slug) continue;
+    const t = p?.baseToken || {};
+    const addr = lc(t.address);
+    if (!/^0x[a-f0-9]{40}$/.test(addr)) continue;
+    if (lc(t.symbol) !== q && !lc(t.name).includes(q)) continue;
+
+    const liq = Number(p?.liquidity?.usd || 0);
+    const prev = byToken.get(addr);
+    if (prev && prev.liquidityUsd >= liq) continue;
+    byToken.set(addr, {
+      address: addr,
+      symbol: String(t.symbol || ''),
+      name: String(t.name || ''),
+      liquidityUsd: liq,
+      priceUsd: Number(p?.priceUsd || 0),
+      marketCap: Number(p?.marketCap || p?.fdv || 0),
+      dexId: p?.dexId || '',
+    });
+  }
+
+  return [...byToken.values()]
+    .sort((a, b) => b.liquidityUsd - a.liquidityUsd)
+    .slice(0, limit);
+}
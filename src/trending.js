@@ -0,0 +1,51 @@
+// src/trending.js
+// /trending: per-chain lookup counters. Every token lookup (/stats, /<chain>, view buttons) counts
+// once per user per token per 24h, so repeating a lookup doesn't move the board.
+//
+// Cache keys:
+//   trending:${chainKey}:h:${hour}           sorted set ca -> distinct lookups in that hour (8d)
+//   trending:seen:${chainKey}:${ca}:${user}  dedupe flag (24h)
+//   trending:${chainKey}:agg:${window}       summed window, rebuilt at most once a minute
+import { redis } from './cache.js';
+
+const HOUR = 3600 * 1000;
+const BUCKET_TTL = 8 * 24 * 3600;
+const DEDUPE_TTL = 24 * 3600;
+const AGG_TTL = 60;
+
+export const TRENDING_WINDOWS = { '1h': 1, '24h': 24, '7d': 168 }; // in hourly buckets
+
+const hourOf = (ts = Date.now()) => Math.floor(ts / HOUR);
+const bucketKey = (chainKey, hour) => `trending:${chainKey}:h:${hour}`;
+
+/** Count a lookup; returns false when this user already counted for this token in the last 24h. */
+export async function recordLookup(chainKey, ca, userId) {
+  if (!chainKey || !ca || !userId) return false;
+  const addr = String(ca).toLowerCase();
+  const fresh = await redis.set(`trending:seen:${chainKey}:${addr}:${userId}`, '1', 'EX', DEDUPE_TTL, 'NX');
+  if (fresh !== 'OK') return false;
+
+  const key = bucketKey(chainKey, hourOf());
+  await redis.multi().zincrby(key, 1, addr).expire(key, BUCKET_TTL).exec();
+  return true;
+}
+
+/** [{ ca, count }] most looked-up first, over the last window ('1h' | '24h' | '7d'). */
+export async function topTrending(chainKey, window = '24h', limit = 10) {
+  const hours = TRENDING_WINDOWS[window] || TRENDING_WINDOWS['24h'];
+  const agg = `trending:${chainKey}:agg:${window}`;
+
+  if (!(await redis.exists(agg))) {
+    const now = hourOf();
+    const keys = Array.from({ length: hours }, (_, i) => bucketKey(chainKey, now - i));
+    await redis.multi()
+      .zunionstore(agg, keys.length, ...keys)
+      .expire(agg, AGG_TTL)
+      .exec();
+  }
+
+  const flat = await redis.zrevrange(agg, 0, limit - 1, 'WITHSCORES');
+  const out = [];
+  for (let i = 0; i < flat.length; i += 2) out.push({ ca: flat[i], count: Number(flat[i + 1]) });
+  return out;
+}
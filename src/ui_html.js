@@ -4,3 +4,23 @@ export const pct = (n)=>{ const v=Number(n||0); const sign=v>0?'+':v<0?'':''; re
 export const money = (n,d=2)=> '$'+Number(n||0).toLocaleString(undefined,{ maximumFractionDigits:d });
 export const num = (n,d=2)=> Number(n||0).toLocaleString(undefined,{ maximumFractionDigits:d });
 export const trendBadge = (p)=>{ const v=Number(p||0); if(v>0.01) return '🟢 ⬆️'; if(v<-0.01) return '🔴 ⬇️'; return '🟡 ➖'; };
+export const units = (raw,dec=18,d=2)=>{ try{ const b=BigInt(String(raw||'0')); const base=10n**BigInt(Math.max(0,Number(dec)||0)); return num(Number(b/base)+Number(b%base)/Number(base),d); }catch{ return '0'; } };
+
+// Per-chat formatting (chatSettings: numFormat + tz). Same helpers as above, bound to a locale/timezone.
+// intl = the chat language's Intl locale (i18n.js LOCALES): numbers use it when numFormat is 'auto', dates always.
+export const NUM_FORMATS = { auto: undefined, en: 'en-US', eu: 'de-DE', space: 'fr-FR' };
+export const makeFmt = ({ numFormat = 'auto', tz = null, intl = undefined } = {}) => {
+  const loc = NUM_FORMATS[numFormat] || intl;
+  const num = (n,d=2)=> Number(n||0).toLocaleString(loc,{ maximumFractionDigits:d });
+  const dateOpts = tz ? { timeZone: tz, timeZoneName: 'short' } : undefined;
+  return {
+    num,
+    money: (n,d=2)=> '$'+num(n,d),
+    fixed: (n,d=2)=> Number(n||0).toLocaleString(loc,{ minimumFractionDigits:d, maximumFractionDigits:d }),
+    pct: (n)=>{ const v=Number(n||0); return `${v>0?'+':''}${v.toLocaleString(loc,{ minimumFractionDigits:2, maximumFractionDigits:2 })}%`; },
+    units: (raw,dec=18,d=2)=>{ try{ const b=BigInt(String(raw||'0')); const base=10n**BigInt(Math.max(0,Number(dec)||0)); return num(Number(b/base)+Number(b%base)/Number(base),d); }catch{ return '0'; } },
+    compact: (n,d=1)=> Number(n||0).toLocaleString(loc,{ notation:'compact', maximumFractionDigits:d }),
+    date: (ts)=> new Date(ts).toLocaleString(intl || loc, dateOpts),
+  };
+};
+export const fmt0 = makeFmt();
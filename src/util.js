@@ -4,3 +4,13 @@ export const shortAddr = a => a ? a.slice(0,6)+'…'+a.slice(-4) : '';
 export const pct = n => (n ?? 0).toFixed(2) + '%';
 export const num = (n, d=2) => Number(n ?? 0).toLocaleString(undefined, { maximumFractionDigits: d });
 export const now = () => Math.floor(Date.now()/1000);
+// "50k" / "1.5m" / "2b" / "$0.0012" -> number (NaN if unparsable)
+export const parseAmount = (s='') => { const m = String(s).trim().replace(/[$,_]/g,'').match(/^(\d+(?:\.\d+)?|\.\d+)([kmb])?$/i); return m ? Number(m[1]) * ({ k:1e3, m:1e6, b:1e9 }[(m[2]||'').toLowerCase()] || 1) : NaN; };
+// raw token units (bigint / string) -> exact decimal string, e.g. ("1500000", 6) -> "1.5"; '' if unparsable
+export const formatUnits = (raw, decimals=18) => {
+  let v; try { v = BigInt(raw ?? 0); } catch { return ''; }
+  const neg = v < 0n; if (neg) v = -v;
+  const base = 10n ** BigInt(decimals);
+  const frac = (v % base).toString().padStart(Number(decimals), '0').replace(/0+$/, '');
+  return (neg ? '-' : '') + (v / base).toString() + (frac ? '.' + frac : '');
+};
@@ -0,0 +1,64 @@
+// src/walletGroups.js
+// Portfolio PnL: named wallet groups per user, plus short ids for wallet sets so the
+// PnL buttons (64-byte callback data) can point at a whole portfolio.
+//
+// Cache keys:
+//   pnl:groups:${userId}   -> { groups: { <name>: { wallets:[…], updatedAt } } }
+//   pnl:portfolio:${id}    -> { wallets:[…], name }   (id = hash of the sorted wallet set, 30d)
+import crypto from 'node:crypto';
+import { getJSON, setJSON } from './cache.js';
+
+export const PORTFOLIO_MAX_WALLETS = Math.max(2, Number(process.env.PORTFOLIO_MAX_WALLETS || 5));
+export const PORTFOLIO_MAX_GROUPS = Math.max(1, Number(process.env.PORTFOLIO_MAX_GROUPS || 10));
+const PORTFOLIO_TTL = 30 * 24 * 3600;
+
+export const GROUP_NAME_RE = /^[a-z0-9_-]{1,16}$/;
+
+const userKey = (userId) => `pnl:groups:${userId}`;
+const normWallets = (wallets) => [...new Set(wallets.map(w => String(w || '').toLowerCase()))].sort();
+
+async function loadUser(userId) {
+  return (await getJSON(userKey(userId))) || { groups: {} };
+}
+
+/** Create or replace a group. Returns { ok, group?, updated?, reason? } (reason: 'limit'). */
+export async function saveGroup(userId, name, wallets) {
+  const doc = await loadUser(userId);
+  const updated = !!doc.groups[name];
+  if (!updated && Object.keys(doc.groups).length >= PORTFOLIO_MAX_GROUPS) return { ok: false, reason: 'limit' };
+  doc.groups[name] = { wallets: normWallets(wallets), updatedAt: Date.now() };
+  await setJSON(userKey(userId), doc);
+  return { ok: true, group: doc.groups[name], updated };
+}
+
+/** Remove a group. Returns true when it existed. */
+export async function deleteGroup(userId, name) {
+  const doc = await loadUser(userId);
+  if (!doc.groups[name]) return false;
+  delete doc.groups[name];
+  await setJSON(userKey(userId), doc);
+  return true;
+}
+
+export async function getGroup(userId, name) {
+  return (await loadUser(userId)).groups[name] || null;
+}
+
+/** [{ name, wallets, updatedAt }] sorted by name. */
+export async function listGroups(userId) {
+  const { groups } = await loadUser(userId);
+  return Object.entries(groups).map(([name, g]) => ({ name, ...g })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Store a wallet set under its short id (same set → same id) and return the id. */
+export async function rememberPortfolio(wallets, name = '') {
+  const list = normWallets(wallets);
+  const id = crypto.createHash('sha1').update(list.join(',')).digest('hex').slice(0, 12);
+  await setJSON(`pnl:portfolio:${id}`, { wallets: list, name }, PORTFOLIO_TTL);
+  return id;
+}
+
+/** { wallets, name } for a portfolio id, or null once it expired. */
+export async function loadPortfolio(id) {
+  return getJSON(`pnl:portfolio:${id}`);
+}
@@ -0,0 +1,131 @@
+// src/walletTracker.js
+// /track: per-chat tracked wallets. The worker polls each wallet from its last seen
+// block and posts every new buy/sell (classified like /pnl does) to the tracking chats.
+//
+// Redis keys:
+//   track:items:${chatId}               hash  "<chain>:<wallet>" -> { wallet, chain, label, addedBy, addedAt }
+//   track:chats:${chain}:${wallet}      set   chatIds tracking the wallet
+//   track:registry                      set   "<chain>:<wallet>" with at least one chat (for the poller)
+//   track:cursor:${chain}:${wallet}     hash  { lastBlock, updatedAt }   (advanced by the worker)
+import { redis, sremAndPrune, pairId, hvalsJSON, smembersPairs } from './cache.js';
+import { resolveChain } from './chains.js';
+import { getScanClient } from './scanClient.js';
+import { getWalletTradesSince } from './pnlWorker.js';
+import { sendHTMLTo } from './notify.js';
+import { renderTrackedTrade } from './renderers_alerts.js';
+import { chatOpts } from './chatSettings.js';
+
+// Cap per user inside one chat (a group shares the chat list, each member gets this many)
+export const TRACK_MAX_PER_USER = Math.max(1, Number(process.env.TRACK_MAX_PER_USER || 5));
+// Trades posted per wallet per poll; the rest are summarized in one line
+const TRACK_MAX_POSTS = Math.max(1, Number(process.env.TRACK_MAX_POSTS || 5));
+
+const itemsKey = (chatId) => `track:items:${chatId}`;
+const chatsKey = (id) => `track:chats:${id}`;
+const cursorKey = (chainKey, wallet) => `track:cursor:${chainKey}:${wallet}`;
+const REGISTRY_KEY = 'track:registry';
+
+// Write the item and (re)register its chat; the SADDs are idempotent, so a relabel racing an
+// untrack never leaves an item the poller can't see.
+async function saveItem(chatId, item) {
+  const id = pairId(item.chain, item.wallet);
+  const [, , [, fresh]] = await redis.multi()
+    .hset(itemsKey(chatId), id, JSON.stringify(item))
+    .sadd(chatsKey(id), String(chatId))
+    .sadd(REGISTRY_KEY, id)
+    .exec();
+  if (fresh) await redis.del(cursorKey(item.chain, item.wallet)); // newly tracked: start from the head again
+}
+
+/** Track a wallet in a chat (or relabel it). Returns { ok, item?, updated?, reason? } (reason: 'limit'). */
+export async function addTrack(chatId, wallet, chainKey, label = '', userId = null) {
+  const chain = resolveChain(chainKey);
+  const addr = String(wallet || '').toLowerCase();
+  const items = await listTracks(chatId);
+
+  const existing = items.find(x => x.wallet === addr && x.chain === chain.key);
+  if (existing) {
+    if (label) existing.label = label;
+    await saveItem(chatId, existing);
+    return { ok: true, item: existing, updated: true };
+  }
+
+  const mine = items.filter(x => userId != null && x.addedBy === userId).length;
+  if (mine >= TRACK_MAX_PER_USER) return { ok: false, reason: 'limit' };
+
+  const item = { wallet: addr, chain: chain.key, label: label || '', addedBy: userId, addedAt: Date.now() };
+  await saveItem(chatId, item);
+  return { ok: true, item };
+}
+
+/** Stop tracking (on one chain, or every chain when chainKey is omitted). Returns number removed. */
+export async function removeTrack(chatId, wallet, chainKey = null) {
+  const addr = String(wallet || '').toLowerCase();
+  const chain = chainKey ? resolveChain(chainKey).key : null;
+
+  const gone = (await listTracks(chatId)).filter(x => x.wallet === addr && (!chain || x.chain === chain));
+  let removed = 0;
+  for (const g of gone) {
+    const id = pairId(g.chain, g.wallet);
+    if (!(await redis.hdel(itemsKey(chatId), id))) continue;
+    removed++;
+    const [, pruned] = await sremAndPrune(chatsKey(id), chatId, REGISTRY_KEY, id);
+    if (pruned) await redis.del(cursorKey(g.chain, g.wallet));
+  }
+  return removed;
+}
+
+/** A chat's tracked wallets, oldest first. */
+export async function listTracks(chatId) {
+  return hvalsJSON(itemsKey(chatId), 'addedAt');
+}
+
+/** Distinct tracked wallets across all chats: [{ wallet, chain }] */
+export async function trackedWallets() {
+  return (await smembersPairs(REGISTRY_KEY)).map(([chain, wallet]) => ({ chain, wallet }));
+}
+
+async function latestBlock(chain) {
+  const es = getScanClient(chain.etherscanChainId);
+  const r = await es.esGET({ module: 'block', action: 'getblocknobytime', timestamp: Math.floor(Date.now() / 1000), closest: 'before' });
+  const n = Number(r?.blockNumber || r);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * One poll of a tracked wallet (run as a 'track' job by the worker).
+ * The first poll only sets the cursor to the chain head, so history is never replayed.
+ * Returns the new trades (oldest first).
+ */
+export async function pollTrackedWallet(wallet, chainKey) {
+  const chain = resolveChain(chainKey);
+  const addr = String(wallet || '').toLowerCase();
+  const chats = await redis.smembers(chatsKey(pairId(chain.key, addr)));
+  if (!chats.length) return [];
+
+  const key = cursorKey(chain.key, addr);
+  const from = Number(await redis.hget(key, 'lastBlock'));
+  if (!from) {
+    const head = await latestBlock(chain);
+    if (head) await redis.hset(key, 'lastBlock', head, 'updatedAt', Date.now());
+    return [];
+  }
+
+  const { trades, lastBlock } = await getWalletTradesSince(addr, from + 1, chain.key);
+  await redis.hset(key, 'lastBlock', Math.max(from, lastBlock), 'updatedAt', Date.now());
+  if (!trades.length) return trades;
+
+  console.log('[TRACK]', chain.key, addr, 'new trades', trades.length);
+  for (const chatId of chats) {
+    const item = (await listTracks(chatId)).find(x => x.wallet === addr && x.chain === chain.key);
+    if (!item) continue;
+    const shown = trades.slice(-TRACK_MAX_POSTS);
+    const opts = await chatOpts(chatId);
+    for (const [i, tr] of shown.entries()) {
+      const more = i === 0 ? trades.length - shown.length : 0;
+      const { text, extra } = renderTrackedTrade(tr, { wallet: addr, label: item.label, chain, skipped: more }, opts);
+      await sendHTMLTo(chatId, text, extra);
+    }
+  }
+  return trades;
+}
@@ -0,0 +1,160 @@
+// src/watchlist.js
+// Per-chat watchlists + threshold alerts evaluated after every refreshToken.
+//
+// Redis keys:
+//   watch:items:${chatId}       hash  "<chain>:<ca>" -> { ca, chain, addedBy, addedAt, updatedAt?, th:{chg,vol,mcap,dev,whale} }
+//   watch:state:${chatId}       hash  "<chain>:<ca>" -> { rev, armed, chg, vol, mcap }   (crossing state, rev = item updatedAt/addedAt)
+//   watch:chats:${chain}:${ca}  set   chatIds watching the token
+//   watch:registry              set   "<chain>:<ca>" with at least one watcher (for the scheduler)
+import { redis, sremAndPrune, hsetnxCapped, pairId, hgetJSON, hvalsJSON, smembersPairs } from './cache.js';
+import { resolveChain } from './chains.js';
+import { sendHTMLTo } from './notify.js';
+import { renderWatchAlert } from './renderers_alerts.js';
+import { chatOpts } from './chatSettings.js';
+
+export const WATCH_MAX_PER_CHAT = Math.max(1, Number(process.env.WATCH_MAX_PER_CHAT || 20));
+
+// Defaults for /watch when the user gives no thresholds (0 = off)
+export const WATCH_DEFAULTS = {
+  chg:  Number(process.env.WATCH_DEFAULT_CHG  || 20), // |1h price change| in %
+  vol:  Number(process.env.WATCH_DEFAULT_VOL  || 0),  // 24h volume in USD
+  mcap: Number(process.env.WATCH_DEFAULT_MCAP || 0),  // market cap in USD (either direction)
+  dev:  1,                                              // creator sell alerts (0 = off), see devAlerts.js
+  whale: 1,                                             // top-holder moves (0 = off), see whaleAlerts.js
+};
+
+const itemsKey = (chatId) => `watch:items:${chatId}`;
+const stateKey = (chatId) => `watch:state:${chatId}`;
+const chatsKey = (id) => `watch:chats:${id}`;
+const REGISTRY_KEY = 'watch:registry';
+
+/** Add (or update thresholds of) a watch. Returns { ok, item?, updated?, reason? }. */
+export async function addWatch(chatId, tokenAddress, chainKey, th = {}, userId = null) {
+  const chain = resolveChain(chainKey);
+  const ca = String(tokenAddress || '').toLowerCase();
+  const id = pairId(chain.key, ca);
+
+  const existing = await hgetJSON(itemsKey(chatId), id);
+  if (existing) {
+    // thresholds changed: the new updatedAt no longer matches the stored state's rev, so it re-arms.
+    // The SADDs are idempotent and keep the item registered if an /unwatch raced this update.
+    const item = { ...existing, th: { ...existing.th, ...th }, updatedAt: Date.now() };
+    await redis.multi()
+      .hset(itemsKey(chatId), id, JSON.stringify(item))
+      .hdel(stateKey(chatId), id)
+      .sadd(chatsKey(id), String(chatId))
+      .sadd(REGISTRY_KEY, id)
+      .exec();
+    return { ok: true, item, updated: true };
+  }
+
+  const item = {
+    ca,
+    chain: chain.key,
+    addedBy: userId,
+    addedAt: Date.now(),
+    th: { ...WATCH_DEFAULTS, ...th },
+  };
+  const added = await hsetnxCapped(itemsKey(chatId), id, JSON.stringify(item), WATCH_MAX_PER_CHAT);
+  if (added < 0) return { ok: false, reason: 'limit' };
+  if (!added) return addWatch(chatId, ca, chain.key, th, userId); // raced with another /watch: update instead
+  await redis.multi()
+    .hdel(stateKey(chatId), id)
+    .sadd(chatsKey(id), String(chatId))
+    .sadd(REGISTRY_KEY, id)
+    .exec();
+  return { ok: true, item };
+}
+
+/** Remove a watch (on one chain, or every chain when chainKey is omitted). Returns number removed. */
+export async function removeWatch(chatId, tokenAddress, chainKey = null) {
+  const ca = String(tokenAddress || '').toLowerCase();
+  const chain = chainKey ? resolveChain(chainKey).key : null;
+
+  const gone = (await listWatches(chatId)).filter(x => x.ca === ca && (!chain || x.chain === chain));
+  let removed = 0;
+  for (const g of gone) {
+    const id = pairId(g.chain, g.ca);
+    if (!(await redis.hdel(itemsKey(chatId), id))) continue;
+    removed++;
+    await redis.hdel(stateKey(chatId), id);
+    await sremAndPrune(chatsKey(id), chatId, REGISTRY_KEY, id);
+  }
+  return removed;
+}
+
+/** A chat's watches, oldest first. */
+export async function listWatches(chatId) {
+  return hvalsJSON(itemsKey(chatId), 'addedAt');
+}
+
+/** Distinct watched tokens across all chats: [{ ca, chain }] */
+export async function watchedTokens() {
+  return (await smembersPairs(REGISTRY_KEY)).map(([chain, ca]) => ({ chain, ca }));
+}
+
+/** Chat ids watching a token (used by other alert kinds to find subscribers). */
+export async function watchersOf(chainKey, ca) {
+  return redis.smembers(chatsKey(pairId(chainKey, String(ca).toLowerCase())));
+}
+
+// Compare one snapshot against thresholds; mutates st, returns crossed hits.
+// First evaluation only arms the state so adding a watch never fires on its own.
+function crossings(item, st, payload) {
+  const m = payload?.market || {};
+  const th = item.th || {};
+  const armed = !!st.armed;
+  const hits = [];
+
+  const chg = Number(m.priceChange?.h1 || 0);
+  if (th.chg > 0) {
+    const above = Math.abs(chg) >= th.chg;
+    if (armed && above && !st.chg) hits.push({ kind: 'chg', value: chg, th: th.chg });
+    st.chg = above;
+  }
+
+  const vol = Number(m.volume?.h24 || 0);
+  if (th.vol > 0) {
+    const above = vol >= th.vol;
+    if (armed && above && !st.vol) hits.push({ kind: 'vol', value: vol, th: th.vol });
+    st.vol = above;
+  }
+
+  const cap = Number(m.marketCap || 0);
+  if (th.mcap > 0 && cap > 0) {
+    const side = cap >= th.mcap ? 'above' : 'below';
+    if (armed && st.mcap && st.mcap !== side) hits.push({ kind: 'mcap', value: cap, th: th.mcap, side });
+    st.mcap = side;
+  }
+
+  st.armed = true;
+  return hits;
+}
+
+/** Called by refreshToken with the fresh payload; notifies every chat whose thresholds were crossed. */
+export async function evaluateWatchAlerts(chainKey, tokenAddress, payload) {
+  if (!payload?.market) return;
+  const chain = resolveChain(chainKey);
+  const ca = String(tokenAddress || '').toLowerCase();
+  const id = pairId(chain.key, ca);
+
+  for (const chatId of await watchersOf(chain.key, ca)) {
+    try {
+      const item = await hgetJSON(itemsKey(chatId), id);
+      if (!item) continue;
+
+      // state from before a threshold update (or a previous watch) carries another rev: start over
+      const rev = item.updatedAt || item.addedAt;
+      const prev = await hgetJSON(stateKey(chatId), id);
+      const st = prev?.rev === rev ? prev : { rev };
+      const hits = crossings(item, st, payload);
+      await redis.hset(stateKey(chatId), id, JSON.stringify(st));
+      if (!hits.length) continue;
+
+      const { text, extra } = renderWatchAlert(payload, chain, hits, await chatOpts(chatId));
+      await sendHTMLTo(chatId, text, extra);
+    } catch (e) {
+      console.warn('[WATCH] evaluate failed for chat', chatId, ca, e?.message || e);
+    }
+  }
+}
@@ -0,0 +1,84 @@
+// src/webApp.js
+// Telegram Mini App dashboard for one token (📱 Open dashboard, see deepLinks.js). apiServer.js serves
+// the page (webapp/index.html) at /app and its data at /app/data; the page proves who opened it with
+// Telegram's signed initData instead of an API key.
+//
+// Reads the same keys as the bot:
+//   token:${chain}:${ca}:summary     overview payload (refreshWorker.js)
+//   token:${chain}:${ca}:balances    full holder balances (balances.js) → top WEBAPP_HOLDERS
+//   token:${chain}:${ca}:index:data  holder distribution (indexWorker.js)
+//   token:${chain}:${ca}:history*    time series (history.js), last 30d
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { getJSON } from './cache.js';
+import { loadBalances } from './balances.js';
+import { getHistory } from './history.js';
+import { formatUnits } from './util.js';
+
+const WEBAPP_HOLDERS = Math.max(20, Number(process.env.WEBAPP_HOLDERS || 500));
+const INIT_DATA_MAX_AGE = Math.max(60, Number(process.env.WEBAPP_AUTH_MAX_AGE || 24 * 3600));
+
+export const WEBAPP_HTML = fs.readFileSync(new URL('./webapp/index.html', import.meta.url));
+
+/**
+ * Telegram WebApp initData check (core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app):
+ * hash = HMAC_SHA256(data_check_string, HMAC_SHA256(bot_token, "WebAppData")), plus an auth_date age limit.
+ * Returns the Telegram user, or null when the data isn't genuine or carries no user id.
+ */
+export function validateInitData(initData, botToken = process.env.BOT_TOKEN) {
+  if (!initData || !botToken) return null;
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash') || '';
+  params.delete('hash');
+
+  const checkString = [...params.entries()].map(([k, v]) => `${k}=${v}`).sort().join('\n');
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secret).update(checkString).digest('hex');
+  if (hash.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expected))) return null;
+
+  const authDate = Number(params.get('auth_date') || 0);
+  if (!authDate || Date.now() / 1000 - authDate > INIT_DATA_MAX_AGE) return null;
+  let user = null;
+  try { user = JSON.parse(params.get('user') || 'null'); } catch {}
+  return user?.id != null ? user : null;
+}
+
+// Largest balances first, as display numbers (the ⬇️ Export has the exact raw values)
+function topHolders(bal, summary) {
+  const decimals = Number(bal.decimals ?? summary?.decimals ?? 18);
+  let supply = 0n;
+  try { supply = BigInt(bal.totalSupply || '0'); } catch {}
+  const pair = String(summary?.market?.pairAddress || '').toLowerCase();
+  const creator = String(summary?.creator?.address || '').toLowerCase();
+  return [...bal.balances.entries()]
+    .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
+    .slice(0, WEBAPP_HOLDERS)
+    .map(([address, raw], i) => ({
+      rank: i + 1,
+      address,
+      balance: Number(formatUnits(raw, decimals)),
+      percent: supply > 0n ? Number((raw * 100_000_000n) / supply) / 1e6 : null,
+      tag: address === pair ? 'lp' : address === creator ? 'creator' : '',
+    }));
+}
+
+/** Everything the dashboard shows, or null when the summary isn't cached (caller queues a refresh). */
+export async function dashboardData(chain, ca) {
+  const summary = await getJSON(`token:${chain}:${ca}:summary`);
+  if (!summary) return null;
+  const [bal, index, history] = await Promise.all([
+    loadBalances(ca, chain),
+    getJSON(`token:${chain}:${ca}:index:data`),
+    getHistory(chain, ca, '30d'),
+  ]);
+  const decimals = Number(summary.decimals ?? 18);
+  const units = (raw) => (raw == null ? null : Number(formatUnits(raw, decimals)));
+  return {
+    summary,
+    buyers: (summary.first20Buyers || []).map(b => ({ ...b, firstBuy: units(b.firstBuyRaw), balanceNow: units(b.balanceRaw) })),
+    holders: bal ? topHolders(bal, summary) : null,
+    holdersTotal: bal ? bal.balances.size : null,
+    index: index || null,
+    history,
+  };
+}
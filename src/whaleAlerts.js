@@ -0,0 +1,98 @@
+// src/whaleAlerts.js
+// Top-holder movement between refreshes. refreshToken overwrites holdersTop20 every
+// time, so the previous snapshot is kept here and diffed against the new one.
+//
+// Cache keys:
+//   token:${chainKey}:${ca}:holders_prev -> { at, holders:[{ address, percent }] }
+//   token:${chainKey}:${ca}:holders_diff -> { chain, tokenAddress, prevAt, at, entrants, exits, changes }
+import { getJSON, setJSON } from './cache.js';
+import { resolveChain } from './chains.js';
+import { sendHTMLTo } from './notify.js';
+import { watchersOf, listWatches } from './watchlist.js';
+import { renderWhaleAlert } from './renderers_alerts.js';
+import { chatOpts } from './chatSettings.js';
+
+// Moves smaller than this (in % of supply) are kept in the diff view but not pushed
+export const WHALE_MIN_PCT = Number(process.env.WHALE_MIN_PCT || 0.5);
+const SNAPSHOT_TTL = 7 * 24 * 3600;
+
+const round4 = (n) => +Number(n || 0).toFixed(4);
+
+/**
+ * Compare two top-20 lists.
+ *  • entrants: in the new list only     { address, percent }
+ *  • exits:    in the old list only     { address, prevPercent, percent } (percent from the balances map when known)
+ *  • changes:  in both, percent moved   { address, prevPercent, percent, delta }
+ * Each list sorted by size of the move.
+ */
+export function diffTopHolders(prev = [], cur = [], { balances = null, supply = 0n } = {}) {
+  const before = new Map(prev.map(h => [h.address, Number(h.percent || 0)]));
+  const after  = new Map(cur.map(h => [h.address, Number(h.percent || 0)]));
+  const pctNow = (addr) => {
+    if (!(balances instanceof Map) || supply <= 0n) return null;
+    return Number(((balances.get(addr) || 0n) * 1000000n) / supply) / 10000;
+  };
+
+  const entrants = [], exits = [], changes = [];
+  for (const [address, percent] of after) {
+    if (!before.has(address)) entrants.push({ address, percent });
+    else {
+      const delta = round4(percent - before.get(address));
+      if (delta !== 0) changes.push({ address, prevPercent: before.get(address), percent, delta });
+    }
+  }
+  for (const [address, prevPercent] of before) {
+    if (!after.has(address)) exits.push({ address, prevPercent, percent: pctNow(address) });
+  }
+
+  entrants.sort((a, b) => b.percent - a.percent);
+  exits.sort((a, b) => b.prevPercent - a.prevPercent);
+  changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return { entrants, exits, changes };
+}
+
+/** Keep only the moves worth a push message. */
+export function significantMoves(diff, minPct = WHALE_MIN_PCT) {
+  return {
+    entrants: diff.entrants.filter(h => h.percent >= minPct),
+    exits:    diff.exits.filter(h => h.prevPercent - (h.percent || 0) >= minPct),
+    changes:  diff.changes.filter(h => Math.abs(h.delta) >= minPct),
+  };
+}
+
+/**
+ * Called by refreshToken when holdersTop20 was computed from a full crawl.
+ * Stores the diff for the "Changes" view, rolls the snapshot, and notifies watchers.
+ */
+export async function evaluateWhaleMoves(chainKey, tokenAddress, payload, { balances, supply }) {
+  const chain = resolveChain(chainKey);
+  const ca = String(tokenAddress || '').toLowerCase();
+  const cur = (payload?.holdersTop20 || []).map(h => ({ address: h.address, percent: h.percent }));
+  if (!cur.length) return null;
+
+  const prevKey = `token:${chain.key}:${ca}:holders_prev`;
+  const prev = await getJSON(prevKey);
+  await setJSON(prevKey, { at: payload.updatedAt, holders: cur }, SNAPSHOT_TTL);
+  if (!prev?.holders?.length) return null;
+
+  const diff = {
+    chain: chain.key,
+    tokenAddress: ca,
+    prevAt: prev.at,
+    at: payload.updatedAt,
+    ...diffTopHolders(prev.holders, cur, { balances, supply }),
+  };
+  await setJSON(`token:${chain.key}:${ca}:holders_diff`, diff, SNAPSHOT_TTL);
+
+  const moves = significantMoves(diff);
+  if (!moves.entrants.length && !moves.exits.length && !moves.changes.length) return diff;
+
+  for (const chatId of await watchersOf(chain.key, ca)) {
+    // whale=0 on /watch opts a chat out of these
+    const item = (await listWatches(chatId)).find(x => x.ca === ca && x.chain === chain.key);
+    if (!item || item.th?.whale === 0) continue;
+    const { text, extra } = renderWhaleAlert(payload, chain, moves, await chatOpts(chatId));
+    await sendHTMLTo(chatId, text, extra);
+  }
+  return diff;
+}